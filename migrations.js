@@ -0,0 +1,751 @@
+// Versioned schema migrations for tickets.db.
+//
+// Each migration runs once, in version order, and is recorded in the
+// schema_migrations table. Pending migrations are applied together in one
+// transaction at server startup, or with `npm run migrate`. Never edit a
+// migration that has been released; add a new one instead.
+const sqlite3 = require('sqlite3').verbose();
+
+const DATABASE_FILE = './tickets.db';
+
+// Tables, search index and triggers as of the first versioned release
+const BASELINE_TABLES = [
+  // Users table
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    full_name TEXT NOT NULL,
+    email TEXT,
+    role TEXT DEFAULT 'agent',
+    active INTEGER DEFAULT 1,
+    failed_login_attempts INTEGER DEFAULT 0,
+    locked_until DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Tickets table
+  `CREATE TABLE IF NOT EXISTS tickets (
+    id TEXT PRIMARY KEY,
+    external_ref TEXT,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    customer TEXT,
+    customer_id INTEGER REFERENCES customers(id),
+    pipeline TEXT NOT NULL,
+    status TEXT NOT NULL,
+    priority TEXT NOT NULL,
+    assigned_to TEXT,
+    created_by TEXT,
+    resolution TEXT,
+    first_response_due_at DATETIME,
+    resolution_due_at DATETIME,
+    first_responded_at DATETIME,
+    resolved_at DATETIME,
+    response_breached_at DATETIME,
+    resolution_breached_at DATETIME,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Customers table - one row per customer account. normalized_name is
+  // the de-duplication key (see normalizeCustomerName).
+  `CREATE TABLE IF NOT EXISTS customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL UNIQUE,
+    email TEXT,
+    phone TEXT,
+    address TEXT,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Contacts table - people at a customer
+  `CREATE TABLE IF NOT EXISTS contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    title TEXT,
+    email TEXT,
+    phone TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+  )`,
+
+  // Timeline table for activity tracking
+  `CREATE TABLE IF NOT EXISTS timeline (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    user TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+  )`,
+
+  // Pipelines table - configurable ticket workflows
+  `CREATE TABLE IF NOT EXISTS pipelines (
+    key TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    color TEXT,
+    sort_order INTEGER DEFAULT 0,
+    id_prefix TEXT NOT NULL DEFAULT 'TKT',
+    id_include_year INTEGER DEFAULT 0,
+    id_padding INTEGER DEFAULT 3,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Ticket counters table - last number handed out per ID scope
+  // (prefix, or prefix and year), bumped inside the create transaction
+  `CREATE TABLE IF NOT EXISTS ticket_counters (
+    scope TEXT PRIMARY KEY,
+    last_value INTEGER NOT NULL DEFAULT 0
+  )`,
+
+  // Pipeline statuses table - ordered status list for each pipeline
+  `CREATE TABLE IF NOT EXISTS pipeline_statuses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pipeline TEXT NOT NULL,
+    key TEXT NOT NULL,
+    name TEXT NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    is_closed INTEGER DEFAULT 0,
+    UNIQUE (pipeline, key),
+    FOREIGN KEY (pipeline) REFERENCES pipelines(key) ON DELETE CASCADE
+  )`,
+
+  // Pipeline transitions table - allowed status changes and the ticket
+  // fields that must be filled in before each change
+  `CREATE TABLE IF NOT EXISTS pipeline_transitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pipeline TEXT NOT NULL,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    required_fields TEXT DEFAULT '[]',
+    UNIQUE (pipeline, from_status, to_status),
+    FOREIGN KEY (pipeline) REFERENCES pipelines(key) ON DELETE CASCADE
+  )`,
+
+  // Pipeline fields table - typed custom ticket fields of each pipeline
+  // (see CUSTOM_FIELD_TYPES); options is a JSON list of the enum values
+  // or currency codes allowed
+  `CREATE TABLE IF NOT EXISTS pipeline_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pipeline TEXT NOT NULL,
+    key TEXT NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    required INTEGER DEFAULT 0,
+    options TEXT,
+    sort_order INTEGER DEFAULT 0,
+    UNIQUE (pipeline, key),
+    FOREIGN KEY (pipeline) REFERENCES pipelines(key) ON DELETE CASCADE
+  )`,
+
+  // Sessions table - persistent login sessions
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+
+  // Pipeline grants - limits a non-admin user to specific pipelines
+  `CREATE TABLE IF NOT EXISTS user_pipeline_grants (
+    user_id INTEGER NOT NULL,
+    pipeline TEXT NOT NULL,
+    PRIMARY KEY (user_id, pipeline),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+
+  // Ticket history table - server-computed field-level audit log. Rows
+  // are kept when a ticket is deleted.
+  `CREATE TABLE IF NOT EXISTS ticket_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id TEXT NOT NULL,
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    actor_user_id INTEGER,
+    actor_name TEXT NOT NULL,
+    source TEXT NOT NULL,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Comments table - discussion on a ticket, kept apart from the system
+  // timeline. Replies point at the top-level comment of their thread.
+  `CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id TEXT NOT NULL,
+    parent_id INTEGER,
+    author_user_id INTEGER,
+    author_name TEXT NOT NULL,
+    body TEXT,
+    is_internal INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
+    deleted_at DATETIME,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES comments(id)
+  )`,
+
+  // Comment mentions table - users @mentioned in a comment
+  `CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    read_at DATETIME,
+    PRIMARY KEY (comment_id, user_id),
+    FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+
+  // Attachments table - files uploaded to a ticket. The contents live in
+  // ATTACHMENTS_DIR under their SHA-256 digest.
+  `CREATE TABLE IF NOT EXISTS attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    uploaded_by_user_id INTEGER,
+    uploaded_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+  )`,
+
+  // SLA policies table - response and resolution targets in business hours
+  // per pipeline and priority. Pipeline "*" applies to every pipeline
+  // without a policy of its own.
+  `CREATE TABLE IF NOT EXISTS sla_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pipeline TEXT NOT NULL DEFAULT '*',
+    priority TEXT NOT NULL,
+    first_response_hours REAL,
+    resolution_hours REAL,
+    escalate_priority INTEGER DEFAULT 0,
+    escalate_to TEXT,
+    UNIQUE (pipeline, priority)
+  )`,
+
+  // Business hours table - working time per weekday (0 = Sunday) in server
+  // local time. Days without a row are not worked.
+  `CREATE TABLE IF NOT EXISTS business_hours (
+    day_of_week INTEGER PRIMARY KEY,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL
+  )`,
+
+  // Holidays table - dates (YYYY-MM-DD) that are not worked
+  `CREATE TABLE IF NOT EXISTS holidays (
+    date TEXT PRIMARY KEY,
+    name TEXT
+  )`,
+
+  // Webhooks table - URLs notified of ticket events. events, fields and
+  // pipelines are JSON arrays; empty fields/pipelines mean no filter.
+  `CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    fields TEXT NOT NULL DEFAULT '[]',
+    pipelines TEXT NOT NULL DEFAULT '[]',
+    active INTEGER DEFAULT 1,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Webhook deliveries table - one row per event sent to a webhook, with
+  // the exact payload so it can be replayed
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
+    last_error TEXT,
+    replay_of INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+  )`,
+
+  // Notification opt-outs table - e-mail notification types a user has
+  // turned off (see NOTIFICATION_TYPES)
+  `CREATE TABLE IF NOT EXISTS notification_opt_outs (
+    user_id INTEGER NOT NULL,
+    notification TEXT NOT NULL,
+    PRIMARY KEY (user_id, notification),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+
+  // E-mail messages table - Message-IDs of e-mails received for or sent
+  // about a ticket, to thread replies and skip redelivered messages
+  `CREATE TABLE IF NOT EXISTS email_messages (
+    message_id TEXT PRIMARY KEY,
+    ticket_id TEXT NOT NULL,
+    comment_id INTEGER,
+    direction TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+  )`,
+
+  // Saved views - named ticket list filters and sort orders. Personal
+  // views are seen by their owner only, shared views by the users of
+  // team_pipeline, or by everyone when it is NULL.
+  `CREATE TABLE IF NOT EXISTS saved_views (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    filters TEXT NOT NULL DEFAULT '{}',
+    sort TEXT,
+    shared INTEGER DEFAULT 0,
+    team_pipeline TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES users(id)
+  )`,
+
+  // The view each user lands on
+  `CREATE TABLE IF NOT EXISTS default_views (
+    user_id INTEGER PRIMARY KEY,
+    view_id INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (view_id) REFERENCES saved_views(id) ON DELETE CASCADE
+  )`,
+
+  // Ticket links table - typed relations between tickets, stored from
+  // the source ticket's side (see TICKET_LINK_TYPES)
+  `CREATE TABLE IF NOT EXISTS ticket_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_id TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source_id, target_id, type),
+    FOREIGN KEY (source_id) REFERENCES tickets(id) ON DELETE CASCADE,
+    FOREIGN KEY (target_id) REFERENCES tickets(id) ON DELETE CASCADE
+  )`,
+
+  // Ticket field values table - custom field values by field key. value
+  // is the stored text ("1250.00 EUR" for currency fields); number holds
+  // the amount of number and currency fields for filtering and sorting.
+  `CREATE TABLE IF NOT EXISTS ticket_field_values (
+    ticket_id TEXT NOT NULL,
+    field TEXT NOT NULL,
+    value TEXT NOT NULL,
+    number REAL,
+    PRIMARY KEY (ticket_id, field),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+  )`,
+
+  // Full-text search index, one row per ticket with its timeline and
+  // comment text, kept in sync by the triggers below. FTS rows are
+  // addressed through ticket_search_rows, since tickets have no stable
+  // integer key.
+  `CREATE TABLE IF NOT EXISTS ticket_search_rows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id TEXT NOT NULL UNIQUE
+  )`,
+
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ticket_search USING fts5(
+    ticket_id, title, description, customer, timeline, comments,
+    tokenize = 'porter unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  )`,
+
+  `CREATE TRIGGER IF NOT EXISTS ticket_search_insert AFTER INSERT ON tickets BEGIN
+    INSERT INTO ticket_search_rows (ticket_id) VALUES (new.id);
+    INSERT INTO ticket_search (rowid, ticket_id, title, description, customer)
+    VALUES ((SELECT id FROM ticket_search_rows WHERE ticket_id = new.id), new.id, new.title, new.description, new.customer);
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS ticket_search_update AFTER UPDATE OF title, description, customer ON tickets BEGIN
+    UPDATE ticket_search SET title = new.title, description = new.description, customer = new.customer
+    WHERE rowid = (SELECT id FROM ticket_search_rows WHERE ticket_id = new.id);
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS ticket_search_delete AFTER DELETE ON tickets BEGIN
+    DELETE FROM ticket_search WHERE rowid = (SELECT id FROM ticket_search_rows WHERE ticket_id = old.id);
+    DELETE FROM ticket_search_rows WHERE ticket_id = old.id;
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS ticket_search_timeline AFTER INSERT ON timeline BEGIN
+    UPDATE ticket_search SET timeline = (SELECT group_concat(action, ' ') FROM timeline WHERE ticket_id = new.ticket_id)
+    WHERE rowid = (SELECT id FROM ticket_search_rows WHERE ticket_id = new.ticket_id);
+  END`,
+
+  // Comments are edited by updating their body and deleted by setting
+  // deleted_at; deleted comments leave the index
+  `CREATE TRIGGER IF NOT EXISTS ticket_search_comment_insert AFTER INSERT ON comments BEGIN
+    UPDATE ticket_search SET comments = (
+      SELECT group_concat(body, ' ') FROM comments WHERE ticket_id = new.ticket_id AND deleted_at IS NULL
+    )
+    WHERE rowid = (SELECT id FROM ticket_search_rows WHERE ticket_id = new.ticket_id);
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS ticket_search_comment_update AFTER UPDATE OF body, deleted_at ON comments BEGIN
+    UPDATE ticket_search SET comments = (
+      SELECT group_concat(body, ' ') FROM comments WHERE ticket_id = new.ticket_id AND deleted_at IS NULL
+    )
+    WHERE rowid = (SELECT id FROM ticket_search_rows WHERE ticket_id = new.ticket_id);
+  END`
+];
+
+// Columns added to existing tables before migrations were versioned.
+// CREATE TABLE IF NOT EXISTS leaves older tables as they were, so the
+// baseline adds whichever of these are missing.
+const BASELINE_COLUMNS = {
+  users: [
+    'active INTEGER DEFAULT 1',
+    'failed_login_attempts INTEGER DEFAULT 0',
+    'locked_until DATETIME'
+  ],
+  tickets: [
+    'external_ref TEXT',
+    'customer_id INTEGER REFERENCES customers(id)',
+    'created_by TEXT',
+    'resolution TEXT',
+    'first_response_due_at DATETIME',
+    'resolution_due_at DATETIME',
+    'first_responded_at DATETIME',
+    'resolved_at DATETIME',
+    'response_breached_at DATETIME',
+    'resolution_breached_at DATETIME',
+    'version INTEGER NOT NULL DEFAULT 1'
+  ],
+  pipelines: [
+    "id_prefix TEXT NOT NULL DEFAULT 'TKT'",
+    'id_include_year INTEGER DEFAULT 0',
+    'id_padding INTEGER DEFAULT 3'
+  ]
+};
+
+// Indexes, created once the baseline columns they cover exist
+const BASELINE_INDEXES = [
+  `CREATE INDEX IF NOT EXISTS idx_tickets_pipeline ON tickets(pipeline)`,
+  `CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)`,
+  `CREATE INDEX IF NOT EXISTS idx_tickets_created ON tickets(created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_tickets_customer ON tickets(customer_id)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_tickets_external_ref ON tickets(external_ref)`,
+  `CREATE INDEX IF NOT EXISTS idx_contacts_customer ON contacts(customer_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_timeline_ticket ON timeline(ticket_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_history_ticket ON ticket_history(ticket_id, field)`,
+  `CREATE INDEX IF NOT EXISTS idx_comments_ticket ON comments(ticket_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_mentions_user ON comment_mentions(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_attachments_ticket ON attachments(ticket_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_attachments_sha256 ON attachments(sha256)`,
+  `CREATE INDEX IF NOT EXISTS idx_deliveries_webhook ON webhook_deliveries(webhook_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_deliveries_pending ON webhook_deliveries(status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_email_messages_ticket ON email_messages(ticket_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_saved_views_owner ON saved_views(owner_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_ticket_links_target ON ticket_links(target_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_field_values_field ON ticket_field_values(field, value)`
+];
+
+// Custom fields of the default pipelines, as first shipped. Kept here
+// rather than shared with the server's seed data so this migration never
+// changes.
+const DEFAULT_CUSTOM_FIELDS = [
+  { pipeline: 'sales', key: 'quote-value', name: 'Quote Value', type: 'currency', sort_order: 0 },
+  { pipeline: 'orders', key: 'po-number', name: 'PO Number', type: 'text', sort_order: 0 },
+  { pipeline: 'orders', key: 'quantity', name: 'Quantity', type: 'number', sort_order: 1 },
+  { pipeline: 'orders', key: 'ship-date', name: 'Ship Date', type: 'date', sort_order: 2 },
+  { pipeline: 'support', key: 'serial-number', name: 'Machine Serial Number', type: 'text', sort_order: 0 }
+];
+
+// Run SQL statements one after another, stopping at the first error
+function runStatements(db, statements, callback) {
+  const runNext = (index) => {
+    if (index === statements.length) {
+      return callback(null);
+    }
+
+    const [sql, params] = Array.isArray(statements[index]) ? statements[index] : [statements[index], []];
+    db.run(sql, params, (err) => {
+      if (err) {
+        return callback(err);
+      }
+      runNext(index + 1);
+    });
+  };
+
+  runNext(0);
+}
+
+// Add the columns a table is missing, given as column definitions
+function addMissingColumns(db, table, columns, callback) {
+  db.all(`PRAGMA table_info(${table})`, (err, existing) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const names = existing.map(column => column.name);
+    const missing = columns.filter(column => !names.includes(column.split(' ')[0]));
+    runStatements(db, missing.map(column => `ALTER TABLE ${table} ADD COLUMN ${column}`), callback);
+  });
+}
+
+// Migrations in version order; versions are never reused
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    up(db, callback) {
+      runStatements(db, BASELINE_TABLES, (err) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const tables = Object.keys(BASELINE_COLUMNS);
+        const addNext = (index) => {
+          if (index === tables.length) {
+            return runStatements(db, [
+              ...BASELINE_INDEXES,
+              // The former catch-all "user" role becomes "agent"
+              "UPDATE users SET role = 'agent' WHERE role = 'user'"
+            ], callback);
+          }
+
+          addMissingColumns(db, tables[index], BASELINE_COLUMNS[tables[index]], (err) => {
+            if (err) {
+              return callback(err);
+            }
+            addNext(index + 1);
+          });
+        };
+
+        addNext(0);
+      });
+    }
+  },
+  {
+    // Databases whose pipelines were seeded before custom fields existed
+    // get the default fields; new databases are seeded with them
+    version: 2,
+    name: 'default-custom-fields',
+    up(db, callback) {
+      runStatements(db, DEFAULT_CUSTOM_FIELDS.map(field => [
+        `INSERT OR IGNORE INTO pipeline_fields (pipeline, key, name, type, sort_order)
+         SELECT ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM pipelines WHERE key = ?)`,
+        [field.pipeline, field.key, field.name, field.type, field.sort_order, field.pipeline]
+      ]), callback);
+    }
+  },
+  {
+    // Outbound e-mails remember the user they were sent to, so replies to
+    // them can be attributed to that user
+    version: 3,
+    name: 'email-message-recipients',
+    up(db, callback) {
+      addMissingColumns(db, 'email_messages', ['user_id INTEGER REFERENCES users(id)'], callback);
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Applied migrations, oldest first; none for a database that predates
+// schema_migrations
+function getAppliedMigrations(db, callback) {
+  db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'", (err, table) => {
+    if (err || !table) {
+      return callback(err, []);
+    }
+    db.all('SELECT * FROM schema_migrations ORDER BY version', callback);
+  });
+}
+
+// Schema version of the database and the migrations still to apply
+function getMigrationStatus(db, callback) {
+  getAppliedMigrations(db, (err, applied) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const version = applied.reduce((max, migration) => Math.max(max, migration.version), 0);
+    const appliedVersions = applied.map(migration => migration.version);
+
+    callback(null, {
+      version,
+      latest_version: LATEST_VERSION,
+      applied,
+      pending: MIGRATIONS
+        .filter(migration => !appliedVersions.includes(migration.version))
+        .map(migration => ({ version: migration.version, name: migration.name }))
+    });
+  });
+}
+
+// Apply pending migrations in one transaction. With dryRun the migrations
+// run and are then rolled back, so errors show up without changing the
+// database. Refuses to touch a database migrated by newer code.
+function migrate(db, options, callback) {
+  getMigrationStatus(db, (err, status) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (status.version > LATEST_VERSION) {
+      return callback(new Error(
+        `Database schema version ${status.version} is newer than this code supports (${LATEST_VERSION}); ` +
+        'upgrade the application before using this database'
+      ));
+    }
+
+    const result = { applied: status.pending, version: status.version, dryRun: !!options.dryRun };
+    if (status.pending.length === 0) {
+      return callback(null, result);
+    }
+
+    db.run('BEGIN IMMEDIATE', (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const finish = (err) => {
+        const end = (err || options.dryRun) ? 'ROLLBACK' : 'COMMIT';
+        db.run(end, (endErr) => {
+          if (err || endErr) {
+            return callback(err || endErr);
+          }
+          if (!options.dryRun) {
+            result.version = status.pending[status.pending.length - 1].version;
+          }
+          callback(null, result);
+        });
+      };
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) {
+          return finish(err);
+        }
+
+        const applyNext = (index) => {
+          if (index === status.pending.length) {
+            return finish(null);
+          }
+
+          const migration = MIGRATIONS.find(candidate => candidate.version === status.pending[index].version);
+          migration.up(db, (err) => {
+            if (err) {
+              return finish(new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`));
+            }
+
+            db.run(
+              'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+              [migration.version, migration.name],
+              (err) => {
+                if (err) {
+                  return finish(err);
+                }
+                applyNext(index + 1);
+              }
+            );
+          });
+        };
+
+        applyNext(0);
+      });
+    });
+  });
+}
+
+// Command line: `node migrations.js [status] [--dry-run]`
+function runCommand(args) {
+  const command = args.find(arg => !arg.startsWith('--')) || 'up';
+  const dryRun = args.includes('--dry-run');
+
+  if (!['up', 'status'].includes(command)) {
+    console.error(`Unknown command "${command}" (use "up" or "status")`);
+    process.exit(1);
+  }
+
+  const db = new sqlite3.Database(DATABASE_FILE, (err) => {
+    if (err) {
+      console.error('Error opening database:', err.message);
+      process.exit(1);
+    }
+  });
+  // Wait for a running server's writes rather than failing at once
+  db.configure('busyTimeout', 5000);
+
+  const done = (err) => {
+    db.close(() => {
+      if (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+    });
+  };
+
+  if (command === 'status') {
+    getMigrationStatus(db, (err, status) => {
+      if (err) {
+        return done(err);
+      }
+
+      console.log(`Schema version ${status.version} (latest ${status.latest_version})`);
+      status.applied.forEach(migration => {
+        const known = migration.version <= LATEST_VERSION ? '' : ' (unknown to this code)';
+        console.log(`  applied  ${migration.version} ${migration.name} at ${migration.applied_at}${known}`);
+      });
+      status.pending.forEach(migration => {
+        console.log(`  pending  ${migration.version} ${migration.name}`);
+      });
+      done(null);
+    });
+    return;
+  }
+
+  migrate(db, { dryRun }, (err, result) => {
+    if (err) {
+      return done(err);
+    }
+
+    if (result.applied.length === 0) {
+      console.log(`Database is up to date (schema version ${result.version})`);
+    } else {
+      result.applied.forEach(migration => {
+        console.log(`${dryRun ? 'Would apply' : 'Applied'} migration ${migration.version} ${migration.name}`);
+      });
+      if (dryRun) {
+        console.log('Dry run: changes rolled back');
+      }
+    }
+    done(null);
+  });
+}
+
+if (require.main === module) {
+  runCommand(process.argv.slice(2));
+}
+
+module.exports = {
+  DATABASE_FILE,
+  MIGRATIONS,
+  LATEST_VERSION,
+  getMigrationStatus,
+  migrate
+};
@@ -2,558 +2,8182 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const multer = require('multer');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+const { DATABASE_FILE, migrate } = require('./migrations');
 
 const app = express();
 const PORT = 3000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Link', 'X-Total-Count'] }));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Database setup
-const db = new sqlite3.Database('./tickets.db', (err) => {
+// How long a statement waits for a lock held by the other connection
+const DATABASE_BUSY_TIMEOUT_MS = 10000;
+
+// Database setup. Pending schema migrations are applied before the server
+// starts; a database migrated by newer code is refused.
+const db = new sqlite3.Database(DATABASE_FILE, (err) => {
   if (err) {
     console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database');
-    initializeDatabase();
+    return;
   }
+
+  console.log('Connected to SQLite database');
+  // Write-ahead logging lets this connection keep reading while a transaction
+  // on transactionDb commits; with a rollback journal the two deadlock
+  db.run('PRAGMA journal_mode = WAL', (err) => {
+    if (err) {
+      console.error('Error enabling write-ahead logging:', err.message);
+      process.exit(1);
+    }
+
+    migrate(db, {}, (err, result) => {
+      if (err) {
+        console.error('Error migrating database:', err.message);
+        process.exit(1);
+      }
+
+      result.applied.forEach(migration => {
+        console.log(`Applied migration ${migration.version} ${migration.name}`);
+      });
+      console.log(`Database schema version ${result.version}`);
+
+      // Requests are only accepted once the default data is in place
+      initializeDatabase((err) => {
+        if (err) {
+          console.error('Error initializing database:', err.message);
+          process.exit(1);
+        }
+        startServer();
+      });
+    });
+  });
 });
 
-// Simple in-memory session store
-const sessions = new Map();
+// Transactions run on a connection of their own (see withTransaction), so
+// statements of other requests never end up inside one. Writes on either
+// connection wait for the other's transaction to finish.
+const transactionDb = new sqlite3.Database(DATABASE_FILE);
+db.configure('busyTimeout', DATABASE_BUSY_TIMEOUT_MS);
+transactionDb.configure('busyTimeout', DATABASE_BUSY_TIMEOUT_MS);
+
+// Statements on db run one at a time. Overlapping statements share a read
+// snapshot, and a write in it fails at once (instead of waiting) when a
+// transaction has committed since.
+db.serialize();
+
+// Session lifetime: sessions end after a period of inactivity (renewed on
+// every authenticated request) and, regardless of activity, after a maximum age
+const SESSION_IDLE_MINUTES = 120;
+const SESSION_MAX_HOURS = 12;
+
+// Password policy and account lockout settings
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// How often the SLA scheduler checks open tickets for missed targets
+const SLA_CHECK_INTERVAL_SECONDS = 60;
+
+// Outbound webhooks. Failed deliveries are retried with exponential
+// backoff: 30 seconds after the first attempt, then 1, 2, 4 ... minutes.
+const WEBHOOK_EVENTS = ['ticket.created', 'ticket.updated', 'ticket.deleted', 'comment.added', 'comment.updated'];
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_TIMEOUT_SECONDS = 10;
+const WEBHOOK_RETRY_INTERVAL_SECONDS = 15;
+
+// E-mail. Notifications are sent through EMAIL_TRANSPORT: "smtp" (to
+// SMTP_URL), "file" (one .eml file per message in EMAIL_OUTBOX_DIR) or
+// "console". Inbound messages that do not reply to a ticket open a new
+// ticket in INBOUND_EMAIL_PIPELINE.
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'file';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Ticketing System <tickets@localhost>';
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+const INBOUND_EMAIL_PIPELINE = process.env.INBOUND_EMAIL_PIPELINE || 'support';
+const MAX_INBOUND_EMAIL_MB = 50;
+const NOTIFICATION_TYPES = ['assignment', 'status_change'];
+
+// Attachment storage. Files are stored once per SHA-256 digest under
+// ATTACHMENTS_DIR, so the same drawing attached to several tickets takes
+// the space of one copy.
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, 'attachments');
+const MAX_ATTACHMENT_MB = 25;
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Accepted file extensions and the MIME types browsers send for them.
+// CAD formats have no registered type in most browsers and arrive as
+// application/octet-stream.
+const ATTACHMENT_TYPES = {
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.gif': ['image/gif'],
+  '.webp': ['image/webp'],
+  '.pdf': ['application/pdf'],
+  '.dxf': ['image/vnd.dxf', 'image/x-dxf', 'application/dxf', 'application/octet-stream'],
+  '.step': ['model/step', 'application/step', 'application/octet-stream'],
+  '.stp': ['model/step', 'application/step', 'application/octet-stream']
+};
+
+// Role-based permissions. Non-admin roles are further limited to the
+// pipelines granted to the user (no grants means every pipeline).
+const ROLE_PERMISSIONS = {
+  admin: ['tickets:read', 'tickets:create', 'tickets:update', 'tickets:delete', 'tickets:import', 'timeline:add', 'comments:create', 'customers:write'],
+  manager: ['tickets:read', 'tickets:create', 'tickets:update', 'tickets:delete', 'tickets:import', 'timeline:add', 'comments:create', 'customers:write'],
+  agent: ['tickets:read', 'tickets:create', 'tickets:update', 'timeline:add', 'comments:create', 'customers:write'],
+  viewer: ['tickets:read']
+};
+const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const PERMISSION_ACTIONS = {
+  'tickets:read': 'view tickets',
+  'tickets:create': 'create tickets',
+  'tickets:update': 'update tickets',
+  'tickets:delete': 'delete tickets',
+  'tickets:import': 'import tickets',
+  'timeline:add': 'add timeline entries',
+  'comments:create': 'add comments',
+  'customers:write': 'manage customers'
+};
+
+// Hash a password with a random salt using scrypt.
+// Stored format: scrypt$<salt hex>$<hash hex>
+function hashPassword(password, callback) {
+  if (typeof password !== 'string') {
+    return callback(new Error('Password must be a string'));
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, `scrypt$${salt}$${derivedKey.toString('hex')}`);
+  });
+}
+
+// Check a password against a stored scrypt hash
+function verifyPassword(password, stored, callback) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+
+  if (typeof password !== 'string') {
+    return callback(new Error('Password must be a string'));
+  }
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return callback(null, false);
+  }
+
+  crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    callback(null, expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+  });
+}
+
+// Check a new password against the password policy; returns an error
+// message or null
+function validateNewPassword(password) {
+  if (typeof password !== 'string') {
+    return 'Password must be a string';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function isHashedPassword(stored) {
+  return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+// Session tokens are only stored hashed, so a copy of the database
+// cannot be used to hijack live sessions
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Remove every session belonging to a user (e.g. after disabling the account)
+function endUserSessions(userId, exceptSessionId, callback) {
+  db.run(
+    'DELETE FROM sessions WHERE user_id = ? AND id != ?',
+    [userId, exceptSessionId || 0],
+    function(err) {
+      if (callback) {
+        callback(err, err ? 0 : this.changes);
+      }
+    }
+  );
+}
+
+function purgeExpiredSessions() {
+  db.run(
+    "DELETE FROM sessions WHERE expires_at <= datetime('now') OR last_seen_at <= datetime('now', ?)",
+    [`-${SESSION_IDLE_MINUTES} minutes`]
+  );
+}
 
 // Middleware to check authentication
 function requireAuth(req, res, next) {
   const sessionId = req.headers['x-session-id'];
-  
-  if (!sessionId || !sessions.has(sessionId)) {
+
+  if (!sessionId) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
-  
-  req.user = sessions.get(sessionId);
-  next();
+
+  db.get(
+    `SELECT s.id as session_id, u.id, u.username, u.full_name, u.email, u.role
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ?
+       AND s.expires_at > datetime('now')
+       AND s.last_seen_at > datetime('now', ?)
+       AND u.active = 1`,
+    [hashSessionToken(sessionId), `-${SESSION_IDLE_MINUTES} minutes`],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!row) {
+        return res.status(401).json({ error: 'Session expired or invalid' });
+      }
+
+      // Sliding renewal of the idle timeout
+      db.run('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [row.session_id]);
+
+      const { session_id, ...user } = row;
+      req.sessionRecordId = session_id;
+
+      db.all('SELECT pipeline FROM user_pipeline_grants WHERE user_id = ?', [user.id], (err, grants) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        req.user = { ...user, pipelines: grants.length > 0 ? grants.map(grant => grant.pipeline) : null };
+        next();
+      });
+    }
+  );
 }
 
-// Initialize database tables
-function initializeDatabase() {
-  db.serialize(() => {
-    // Users table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        full_name TEXT NOT NULL,
-        email TEXT,
-        role TEXT DEFAULT 'user',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        description TEXT NOT NULL,
-        customer TEXT,
-        pipeline TEXT NOT NULL,
-        status TEXT NOT NULL,
-        priority TEXT NOT NULL,
-        assigned_to TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+function hasPermission(user, permission) {
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
 
-    // Timeline table for activity tracking
-    db.run(`
-      CREATE TABLE IF NOT EXISTS timeline (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        ticket_id TEXT NOT NULL,
-        action TEXT NOT NULL,
-        user TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
-      )
-    `);
+function canAccessPipeline(user, pipeline) {
+  return user.role === 'admin' || !user.pipelines || user.pipelines.includes(pipeline);
+}
+
+// Middleware factory checking the role permission matrix (use after requireAuth)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        error: `Role "${req.user.role}" is not allowed to ${PERMISSION_ACTIONS[permission]}`
+      });
+    }
+
+    next();
+  };
+}
 
-    // Create indexes for better performance
-    db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_pipeline ON tickets(pipeline)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_timeline_ticket ON timeline(ticket_id)`);
+function denyPipeline(res, pipeline) {
+  res.status(403).json({ error: `You do not have access to the "${pipeline}" pipeline` });
+}
+
+// Load a ticket the current user may access. Sends the 404/403 response
+// itself and only calls back when the ticket is accessible.
+function loadAccessibleTicket(req, res, id, callback) {
+  db.get('SELECT * FROM tickets WHERE id = ?', [id], (err, ticket) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!ticket) {
+      res.status(404).json({ error: 'Ticket not found' });
+      return;
+    }
+    if (!canAccessPipeline(req.user, ticket.pipeline)) {
+      denyPipeline(res, ticket.pipeline);
+      return;
+    }
+
+    callback(ticket);
+  });
+}
 
-    console.log('Database tables initialized');
-    
-    // Insert sample users if users table is empty
-    db.get('SELECT COUNT(*) as count FROM users', (err, row) => {
-      if (!err && row.count === 0) {
-        insertSampleUsers();
+// Middleware to restrict a route to administrators (use after requireAuth)
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+
+  next();
+}
+
+// Seed an empty database and bring older data up to date, one step after
+// another; the schema itself comes from migrations.js. callback(err) once
+// everything is written.
+function initializeDatabase(callback) {
+  // Run seed(next) when the table has no rows, else just go on
+  const ifEmpty = (table, seed) => (next) => {
+    db.get(`SELECT COUNT(*) as count FROM ${table}`, (err, row) => {
+      if (err) {
+        return next(err);
       }
+      row.count === 0 ? seed(next) : next(null);
     });
-    
-    // Insert sample data if tickets table is empty
-    db.get('SELECT COUNT(*) as count FROM tickets', (err, row) => {
-      if (!err && row.count === 0) {
-        insertSampleData();
+  };
+
+  const steps = [
+    // Sample users if the users table is empty
+    ifEmpty('users', insertSampleUsers),
+    // Hash any passwords still stored in plain text by older versions
+    migratePlaintextPasswords,
+    (next) => {
+      purgeExpiredSessions();
+      next(null);
+    },
+    // Default pipelines, SLA calendar and policies on a new database
+    ifEmpty('pipelines', insertDefaultPipelines),
+    ifEmpty('business_hours', insertDefaultSlaConfig),
+    // Sample data if the tickets table is empty; otherwise link any
+    // free-text customers left by older versions and index tickets that
+    // predate the search index
+    (next) => {
+      ifEmpty('tickets', insertSampleData)((err) => {
+        if (err) {
+          return next(err);
+        }
+        migrateTicketCustomers((err) => err ? next(err) : syncSearchIndex(next));
+      });
+    }
+  ];
+
+  const runNext = (index) => {
+    if (index === steps.length) {
+      return callback(null);
+    }
+    steps[index]((err) => {
+      if (err) {
+        return callback(err);
       }
+      runNext(index + 1);
     });
-  });
+  };
+
+  runNext(0);
 }
 
 // Insert sample users
-function insertSampleUsers() {
+function insertSampleUsers(callback) {
   const sampleUsers = [
     { username: 'admin', password: 'admin123', full_name: 'Administrator', email: 'admin@company.com', role: 'admin' },
-    { username: 'sjohnson', password: 'password123', full_name: 'Sarah Johnson', email: 'sarah.johnson@company.com', role: 'user' },
-    { username: 'mchen', password: 'password123', full_name: 'Mike Chen', email: 'mike.chen@company.com', role: 'user' },
-    { username: 'jdoe', password: 'password123', full_name: 'John Doe', email: 'john.doe@company.com', role: 'user' }
+    { username: 'sjohnson', password: 'password123', full_name: 'Sarah Johnson', email: 'sarah.johnson@company.com', role: 'manager', pipelines: [] },
+    { username: 'mchen', password: 'password123', full_name: 'Mike Chen', email: 'mike.chen@company.com', role: 'agent', pipelines: ['sales', 'orders'] },
+    { username: 'jdoe', password: 'password123', full_name: 'John Doe', email: 'john.doe@company.com', role: 'agent', pipelines: ['orders', 'support'] }
   ];
 
-  const stmt = db.prepare(`
-    INSERT INTO users (username, password, full_name, email, role)
-    VALUES (?, ?, ?, ?, ?)
-  `);
+  // Hash all passwords first so the users are inserted in a stable order
+  const hashes = [];
+  let hashed = 0;
+
+  sampleUsers.forEach((user, index) => {
+    hashPassword(user.password, (err, passwordHash) => {
+      if (err) {
+        return callback(err);
+      }
+
+      hashes[index] = passwordHash;
+      hashed++;
+      if (hashed < sampleUsers.length) {
+        return;
+      }
+
+      db.serialize(() => {
+        const stmt = db.prepare(`
+          INSERT INTO users (username, password, full_name, email, role)
+          VALUES (?, ?, ?, ?, ?)
+        `);
+
+        sampleUsers.forEach((sample, i) => {
+          stmt.run([sample.username, hashes[i], sample.full_name, sample.email, sample.role]);
 
-  sampleUsers.forEach(user => {
-    stmt.run([user.username, user.password, user.full_name, user.email, user.role]);
+          (sample.pipelines || []).forEach(pipeline => {
+            db.run(
+              'INSERT INTO user_pipeline_grants (user_id, pipeline) SELECT id, ? FROM users WHERE username = ?',
+              [pipeline, sample.username]
+            );
+          });
+        });
+
+        stmt.finalize();
+        db.get('SELECT 1', (err) => {
+          if (!err) {
+            console.log('Sample users inserted (demo passwords - change them before production use!)');
+          }
+          callback(err);
+        });
+      });
+    });
   });
+}
 
-  stmt.finalize();
-  console.log('Sample users inserted (WARNING: Using plain text passwords - for demo only!)');
+// Replace plain text passwords left by older versions with scrypt hashes
+function migratePlaintextPasswords(callback) {
+  db.all("SELECT id, password FROM users WHERE password NOT LIKE 'scrypt$%'", (err, users) => {
+    if (err || users.length === 0) {
+      return callback(err);
+    }
+
+    let pending = users.length;
+    users.forEach(user => {
+      hashPassword(user.password, (err, passwordHash) => {
+        const finish = (err) => {
+          if (err) {
+            console.error(`Error hashing password for user ${user.id}:`, err.message);
+          }
+          if (--pending === 0) {
+            console.log(`Migrated ${users.length} plain text password(s) to scrypt hashes`);
+            callback(null);
+          }
+        };
+
+        if (err) {
+          return finish(err);
+        }
+        db.run('UPDATE users SET password = ? WHERE id = ?', [passwordHash, user.id], finish);
+      });
+    });
+  });
 }
 
-// Insert sample data
-function insertSampleData() {
-  const sampleTickets = [
-    {
-      id: 'TKT-001',
-      title: 'New Product Launch Campaign',
-      description: 'Plan and execute marketing campaign for new CNC machine line',
-      customer: 'Internal Marketing',
-      pipeline: 'marketing',
-      status: 'in-progress',
-      priority: 'high',
-      assigned_to: 'Sarah Johnson',
-      created_by: 'Sarah Johnson'
-    },
+// Standard status list used for the default pipelines and for new pipelines
+// created without an explicit status list
+const DEFAULT_STATUSES = [
+  { key: 'new', name: 'New', is_closed: 0 },
+  { key: 'in-progress', name: 'In Progress', is_closed: 0 },
+  { key: 'pending', name: 'Pending', is_closed: 0 },
+  { key: 'completed', name: 'Completed', is_closed: 1 }
+];
+
+// Review workflow for the default pipelines: work must pass through
+// "pending" before it can be completed, and completion needs a resolution
+const DEFAULT_TRANSITIONS = [
+  { from: 'new', to: 'in-progress', required_fields: [] },
+  { from: 'in-progress', to: 'pending', required_fields: [] },
+  { from: 'pending', to: 'in-progress', required_fields: [] },
+  { from: 'pending', to: 'completed', required_fields: ['resolution'] },
+  { from: 'completed', to: 'in-progress', required_fields: [] }
+];
+
+// Ticket fields a transition may require; they can be supplied together
+// with the status change
+const TRANSITION_FIELDS = ['assigned_to', 'customer', 'resolution'];
+
+// Insert default pipelines
+function insertDefaultPipelines(callback) {
+  const defaultPipelines = [
+    { key: 'marketing', name: 'Marketing', color: '#f093fb', id_prefix: 'MKT', fields: [] },
     {
-      id: 'TKT-002',
-      title: 'Quote Request - Custom Tooling',
-      description: 'Customer needs quote for custom tooling for automotive parts manufacturing',
-      customer: 'Acme Manufacturing Co.',
-      pipeline: 'sales',
-      status: 'pending',
-      priority: 'high',
-      assigned_to: 'Mike Chen',
-      created_by: 'Mike Chen'
+      key: 'sales', name: 'Sales/Quoting', color: '#4facfe', id_prefix: 'SAL',
+      fields: [{ key: 'quote-value', name: 'Quote Value', type: 'currency' }]
     },
     {
-      id: 'TKT-003',
-      title: 'Process Order #5542',
-      description: 'Rush order for 500 precision components',
-      customer: 'TechParts Inc.',
-      pipeline: 'orders',
-      status: 'in-progress',
-      priority: 'high',
-      assigned_to: 'Production Team',
-      created_by: 'John Doe'
+      key: 'orders', name: 'Order Processing', color: '#43e97b', id_prefix: 'ORD',
+      fields: [
+        { key: 'po-number', name: 'PO Number', type: 'text' },
+        { key: 'quantity', name: 'Quantity', type: 'number' },
+        { key: 'ship-date', name: 'Ship Date', type: 'date' }
+      ]
     },
     {
-      id: 'TKT-004',
-      title: 'Equipment Malfunction Report',
-      description: 'Customer reporting issues with recently delivered milling machine',
-      customer: 'Precision Metals Ltd.',
-      pipeline: 'support',
-      status: 'new',
-      priority: 'high',
-      assigned_to: 'Support Team',
-      created_by: 'Administrator'
+      key: 'support', name: 'Customer Support', color: '#fa709a', id_prefix: 'SUP',
+      fields: [{ key: 'serial-number', name: 'Machine Serial Number', type: 'text' }]
     }
   ];
 
-  const stmt = db.prepare(`
-    INSERT INTO tickets (id, title, description, customer, pipeline, status, priority, assigned_to, created_by)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
+  db.serialize(() => {
+    const pipelineStmt = db.prepare(`
+      INSERT INTO pipelines (key, name, color, sort_order, id_prefix, id_include_year, id_padding)
+      VALUES (?, ?, ?, ?, ?, 1, 4)
+    `);
+    const statusStmt = db.prepare(`
+      INSERT INTO pipeline_statuses (pipeline, key, name, sort_order, is_closed)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const transitionStmt = db.prepare(`
+      INSERT INTO pipeline_transitions (pipeline, from_status, to_status, required_fields)
+      VALUES (?, ?, ?, ?)
+    `);
+    const fieldStmt = db.prepare(`
+      INSERT INTO pipeline_fields (pipeline, key, name, type, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+    `);
 
-  sampleTickets.forEach(ticket => {
-    stmt.run([
-      ticket.id,
-      ticket.title,
-      ticket.description,
-      ticket.customer,
-      ticket.pipeline,
-      ticket.status,
-      ticket.priority,
-      ticket.assigned_to,
-      ticket.created_by
-    ]);
+    defaultPipelines.forEach((pipeline, index) => {
+      pipelineStmt.run([pipeline.key, pipeline.name, pipeline.color, index, pipeline.id_prefix]);
 
-    // Add initial timeline entry
-    db.run(
-      'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
-      [ticket.id, 'Ticket created', 'System']
-    );
-  });
+      DEFAULT_STATUSES.forEach((status, statusIndex) => {
+        statusStmt.run([pipeline.key, status.key, status.name, statusIndex, status.is_closed]);
+      });
 
-  stmt.finalize();
-  console.log('Sample data inserted');
-}
+      DEFAULT_TRANSITIONS.forEach(transition => {
+        transitionStmt.run([
+          pipeline.key,
+          transition.from,
+          transition.to,
+          JSON.stringify(transition.required_fields)
+        ]);
+      });
 
-// API Routes
+      pipeline.fields.forEach((field, fieldIndex) => {
+        fieldStmt.run([pipeline.key, field.key, field.name, field.type, fieldIndex]);
+      });
+    });
 
-// Authentication endpoints
-app.post('/api/auth/login', (req, res) => {
-  const { username, password } = req.body;
+    pipelineStmt.finalize();
+    statusStmt.finalize();
+    transitionStmt.finalize();
+    fieldStmt.finalize();
+    db.get('SELECT 1', (err) => {
+      if (!err) {
+        console.log('Default pipelines inserted');
+      }
+      callback(err);
+    });
+  });
+}
 
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Username and password required' });
-  }
+// Load all pipelines with their ordered statuses, transitions and custom fields
+function loadPipelineConfig(callback) {
+  db.all('SELECT * FROM pipelines ORDER BY sort_order, name', (err, pipelines) => {
+    if (err) {
+      return callback(err);
+    }
 
-  db.get(
-    'SELECT id, username, full_name, email, role FROM users WHERE username = ? AND password = ?',
-    [username, password],
-    (err, user) => {
+    db.all('SELECT * FROM pipeline_statuses ORDER BY sort_order, id', (err, statuses) => {
       if (err) {
-        res.status(500).json({ error: err.message });
-        return;
+        return callback(err);
       }
 
-      if (!user) {
-        res.status(401).json({ error: 'Invalid credentials' });
-        return;
-      }
+      db.all('SELECT * FROM pipeline_transitions ORDER BY id', (err, transitions) => {
+        if (err) {
+          return callback(err);
+        }
 
-      // Create session
-      const sessionId = `sess_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      sessions.set(sessionId, user);
+        db.all('SELECT * FROM pipeline_fields ORDER BY sort_order, id', (err, fields) => {
+          if (err) {
+            return callback(err);
+          }
 
-      res.json({
-        sessionId,
-        user: {
-          id: user.id,
-          username: user.username,
-          fullName: user.full_name,
-          email: user.email,
-          role: user.role
-        }
+          callback(null, pipelines.map(pipeline => ({
+            ...pipeline,
+            id_include_year: !!pipeline.id_include_year,
+            statuses: statuses
+              .filter(status => status.pipeline === pipeline.key)
+              .map(status => ({ ...status, is_closed: !!status.is_closed })),
+            transitions: transitions
+              .filter(transition => transition.pipeline === pipeline.key)
+              .map(transition => ({
+                from: transition.from_status,
+                to: transition.to_status,
+                required_fields: JSON.parse(transition.required_fields || '[]')
+              })),
+            fields: fields
+              .filter(field => field.pipeline === pipeline.key)
+              .map(formatCustomField)
+          })));
+        });
       });
-    }
-  );
-});
+    });
+  });
+}
+
+function findPipeline(pipelines, key) {
+  return pipelines.find(pipeline => pipeline.key === key);
+}
+
+function findStatus(pipeline, key) {
+  return pipeline && pipeline.statuses.find(status => status.key === key);
+}
+
+// Statuses a ticket may move to next. A pipeline without any transitions
+// configured allows every status change.
+function getNextStatuses(pipeline, fromStatus) {
+  if (!pipeline) {
+    return [];
+  }
+
+  if (pipeline.transitions.length === 0) {
+    return pipeline.statuses
+      .filter(status => status.key !== fromStatus)
+      .map(status => ({ key: status.key, name: status.name, required_fields: [] }));
+  }
+
+  return pipeline.transitions
+    .filter(transition => transition.from === fromStatus)
+    .map(transition => {
+      const status = findStatus(pipeline, transition.to);
+      return {
+        key: transition.to,
+        name: status ? status.name : transition.to,
+        required_fields: transition.required_fields
+      };
+    });
+}
+
+// Display names of editable ticket fields
+const FIELD_NAMES = {
+  pipeline: 'Pipeline',
+  status: 'Status',
+  priority: 'Priority',
+  assigned_to: 'Assigned To',
+  title: 'Title',
+  description: 'Description',
+  customer: 'Customer',
+  resolution: 'Resolution'
+};
+
+// customer_id is kept in step with customer (see resolveTicketCustomer);
+// the timeline shows the customer name change only
+const EDITABLE_FIELDS = [...Object.keys(FIELD_NAMES), 'customer_id'];
+const REQUIRED_TICKET_FIELDS = ['title', 'description', 'pipeline', 'status', 'priority'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Fields a bulk update may set (resolution for statuses that require it)
+const BULK_FIELDS = ['status', 'priority', 'assigned_to', 'pipeline', 'resolution'];
+const MAX_BULK_TICKETS = 500;
+
+// Ticket export and import. Exports are read and written EXPORT_BATCH_SIZE
+// tickets at a time. Imported rows are matched to existing tickets by
+// external_ref, or by id when they have none (e.g. a re-imported export).
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_COLUMNS = [
+  'id', 'external_ref', 'title', 'description', 'customer', 'pipeline', 'status', 'priority',
+  'assigned_to', 'resolution', 'created_by', 'created_at', 'updated_at'
+];
+const EXPORT_TIMELINE_COLUMNS = ['timeline_action', 'timeline_user', 'timeline_created_at'];
+const EXPORT_BATCH_SIZE = 200;
+const IMPORT_FIELDS = [
+  'id', 'external_ref', 'title', 'description', 'customer', 'pipeline', 'status', 'priority',
+  'assigned_to', 'resolution'
+];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_MB = 10;
+
+// Ticket list paging and sorting (GET /api/tickets)
+const MAX_TICKET_PAGE_SIZE = 500;
+const TICKET_SORT_COLUMNS = [
+  'id', 'external_ref', 'title', 'customer', 'pipeline', 'status', 'priority', 'assigned_to', 'created_by',
+  'resolution', 'first_response_due_at', 'resolution_due_at', 'first_responded_at', 'resolved_at',
+  'created_at', 'updated_at'
+];
+
+// Fields of the ticket query language (?q=priority:high assignee:me) and
+// the columns they match. Date fields take YYYY-MM-DD dates (UTC).
+const QUERY_FIELDS = {
+  id: 'id',
+  ref: 'external_ref',
+  pipeline: 'pipeline',
+  status: 'status',
+  priority: 'priority',
+  assignee: 'assigned_to',
+  creator: 'created_by',
+  customer: 'customer',
+  created: 'created_at',
+  updated: 'updated_at',
+  due: 'resolution_due_at'
+};
+const QUERY_DATE_FIELDS = ['created_at', 'updated_at', 'resolution_due_at'];
+
+// Full-text search (GET /api/search): results per page by default and the
+// bm25 weights of the ticket_search columns (ticket_id, title, description,
+// customer, timeline, comments)
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_WEIGHTS = [10, 8, 4, 4, 1, 2];
+
+// Ticket list parameters that are shorthands for query terms, e.g.
+// ?created_from=2026-01-01 is q=created:>=2026-01-01
+const TICKET_FILTER_TERMS = {
+  priority: ['priority', ''],
+  assigned_to: ['assignee', ''],
+  created_by: ['creator', ''],
+  customer: ['customer', ''],
+  created_from: ['created', '>='],
+  created_to: ['created', '<='],
+  updated_from: ['updated', '>='],
+  updated_to: ['updated', '<=']
+};
+
+// Ticket list parameters a saved view can store, besides its sort order and
+// custom field filters (cf.<key>)
+const VIEW_FILTERS = ['pipeline', 'status', 'search', 'q', 'customer_id', ...Object.keys(TICKET_FILTER_TERMS)];
+const MAX_VIEW_NAME_LENGTH = 60;
+
+// Analytics (GET /api/analytics). Durations are reported in hours; open
+// tickets are sorted into the aging buckets by age in days.
+const ANALYTICS_GROUPS = ['pipeline', 'priority'];
+const ANALYTICS_DEFAULT_WEEKS = 12;
+const MAX_ANALYTICS_DAYS = 731;
+const ANALYTICS_PERCENTILES = [50, 75, 90];
+const AGING_BUCKET_DAYS = [1, 3, 7, 14, 30, 90];
+
+// Timeline entries of status and pipeline changes, for tickets older
+// than ticket_history
+const TIMELINE_CHANGE_PATTERN = /^(?:SLA escalation: )?(Status|Pipeline) changed from "(.*)" to "(.*)"$/;
+
+// Ticket link types as stored, from the source ticket's side, and their
+// name from the target's side: "A converted-from B" is "B converted-to A".
+// POST /api/tickets/:id/convert links the new ticket as converted-from
+// the ticket it was made from.
+const TICKET_LINK_TYPES = {
+  'converted-from': 'converted-to',
+  blocks: 'blocked-by',
+  duplicates: 'duplicated-by',
+  'parent-of': 'child-of',
+  related: 'related'
+};
+const MAX_CONVERSION_DEPTH = 20;
+
+// Custom ticket fields, defined per pipeline. Tickets carry them as
+// custom_fields: { key: value }, where currency values are
+// { amount, currency } with a three-letter currency code. Ticket list
+// filters and sort keys name them as cf.<key>.
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'currency'];
+const CUSTOM_FIELD_PREFIX = 'cf.';
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const MAX_CUSTOM_TEXT_LENGTH = 1000;
+
+// Channels a request may declare with the X-Request-Source header
+const REQUEST_SOURCES = ['web', 'api'];
+
+// Where a change came from: the declared client channel, or "system" for
+// changes made by the server itself (req is null)
+function getRequestSource(req) {
+  if (!req) {
+    return 'system';
+  }
+
+  const declared = String(req.get('x-request-source') || '').toLowerCase();
+  return REQUEST_SOURCES.includes(declared) ? declared : 'api';
+}
+
+// Write field-level audit rows for a ticket. changes: [{ field, old_value, new_value }].
+// Pass req = null for changes made by the server itself. conn is db, or
+// the tx of the transaction the change belongs to.
+function recordHistory(conn, req, ticketId, changes) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  // Changes recorded together share a timestamp with milliseconds, which
+  // tells them apart from changes made moments later (see
+  // buildTransitionFlows)
+  const createdAt = new Date().toISOString().replace('T', ' ').slice(0, 23);
+  const stmt = conn.prepare(`
+    INSERT INTO ticket_history (ticket_id, field, old_value, new_value, actor_user_id, actor_name, source, ip_address, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  changes.forEach(change => {
+    stmt.run([
+      ticketId,
+      change.field,
+      change.old_value === undefined || change.old_value === null ? null : String(change.old_value),
+      change.new_value === undefined || change.new_value === null ? null : String(change.new_value),
+      req ? req.user.id : null,
+      req ? req.user.full_name : 'System',
+      getRequestSource(req),
+      req ? req.ip : null,
+      createdAt
+    ]);
+  });
+
+  stmt.finalize();
+}
+
+// Transactions are queued and run one at a time on transactionDb.
+// work(tx, done) performs the statements, all of them through tx (never
+// db, which would wait for the transaction's lock or miss its changes),
+// and calls done(err, result); the transaction is rolled back when err is
+// set.
+const pendingTransactions = [];
+let transactionRunning = false;
+
+function withTransaction(work, callback) {
+  pendingTransactions.push({ work, callback });
+  if (!transactionRunning) {
+    runNextTransaction();
+  }
+}
+
+function runNextTransaction() {
+  const next = pendingTransactions.shift();
+  if (!next) {
+    transactionRunning = false;
+    return;
+  }
+
+  transactionRunning = true;
+
+  // The queue moves on even if the callback throws
+  const finish = (err, result) => {
+    try {
+      next.callback(err, result);
+    } finally {
+      runNextTransaction();
+    }
+  };
+
+  transactionDb.run('BEGIN IMMEDIATE', (err) => {
+    if (err) {
+      return finish(err);
+    }
+
+    const done = (err, result) => {
+      if (err) {
+        return transactionDb.run('ROLLBACK', () => finish(err));
+      }
+
+      transactionDb.run('COMMIT', (commitErr) => {
+        if (commitErr) {
+          return transactionDb.run('ROLLBACK', () => finish(commitErr));
+        }
+        finish(null, result);
+      });
+    };
+
+    try {
+      next.work(transactionDb, done);
+    } catch (err) {
+      done(err);
+    }
+  });
+}
+
+// Pipeline and status keys end up in URLs and CSS class names
+const KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Ticket ID prefixes, e.g. "SAL" in SAL-2026-0042
+const ID_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{0,9}$/;
+const MAX_ID_PADDING = 8;
+
+// Counter scope for a pipeline's ticket IDs. Pipelines that share a prefix
+// share a counter, and year-based formats start again at 1 each year.
+function getTicketIdScope(pipeline, year) {
+  return pipeline.id_include_year ? `${pipeline.id_prefix}-${year}` : pipeline.id_prefix;
+}
+
+function formatTicketId(pipeline, year, number) {
+  return `${getTicketIdScope(pipeline, year)}-${String(number).padStart(pipeline.id_padding || 1, '0')}`;
+}
+
+// Create the counter for a scope the first time it is used, starting from
+// the highest ticket number already issued with that scope so existing IDs
+// (such as the legacy TKT-NNN tickets) are never handed out again
+function seedTicketCounter(tx, scope, callback) {
+  tx.run(`
+    INSERT OR IGNORE INTO ticket_counters (scope, last_value)
+    SELECT ?, COALESCE(MAX(CAST(SUBSTR(id, ?) AS INTEGER)), 0)
+    FROM tickets
+    WHERE id GLOB ? AND SUBSTR(id, ?) NOT GLOB '*[^0-9]*'
+  `, [scope, scope.length + 2, `${scope}-[0-9]*`, scope.length + 2], callback);
+}
+
+// Reserve the next ticket ID for a pipeline. Must run inside withTransaction
+// so the counter bump and the ticket insert commit together.
+function reserveTicketId(tx, pipeline, callback) {
+  const year = new Date().getFullYear();
+  const scope = getTicketIdScope(pipeline, year);
+
+  seedTicketCounter(tx, scope, (err) => {
+    if (err) {
+      return callback(err);
+    }
+
+    tx.run('UPDATE ticket_counters SET last_value = last_value + 1 WHERE scope = ?', [scope], (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      tx.get('SELECT last_value FROM ticket_counters WHERE scope = ?', [scope], (err, row) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, formatTicketId(pipeline, year, row.last_value));
+      });
+    });
+  });
+}
+
+// Next ticket ID for a pipeline without reserving it (for the create form)
+function previewTicketId(pipeline, callback) {
+  const year = new Date().getFullYear();
+  const scope = getTicketIdScope(pipeline, year);
+
+  db.get(`
+    SELECT COALESCE(
+      (SELECT last_value FROM ticket_counters WHERE scope = ?),
+      (SELECT COALESCE(MAX(CAST(SUBSTR(id, ?) AS INTEGER)), 0) FROM tickets
+       WHERE id GLOB ? AND SUBSTR(id, ?) NOT GLOB '*[^0-9]*')
+    ) as last_value
+  `, [scope, scope.length + 2, `${scope}-[0-9]*`, scope.length + 2], (err, row) => {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, formatTicketId(pipeline, year, row.last_value + 1));
+  });
+}
+
+// Validate ticket ID format settings; returns an error message or null
+function validateIdFormatInput(input) {
+  if (input.id_prefix !== undefined && !ID_PREFIX_PATTERN.test(input.id_prefix)) {
+    return 'ID prefix must be 1-10 uppercase letters or digits, starting with a letter';
+  }
+  if (input.id_padding !== undefined &&
+      !(Number.isInteger(input.id_padding) && input.id_padding >= 1 && input.id_padding <= MAX_ID_PADDING)) {
+    return `ID padding must be a whole number from 1 to ${MAX_ID_PADDING}`;
+  }
+  return null;
+}
+
+// Default SLA targets in business hours. Breaching medium and low tickets
+// are raised one priority level.
+const DEFAULT_SLA_POLICIES = [
+  { priority: 'high', first_response_hours: 1, resolution_hours: 8, escalate_priority: 0 },
+  { priority: 'medium', first_response_hours: 4, resolution_hours: 24, escalate_priority: 1 },
+  { priority: 'low', first_response_hours: 8, resolution_hours: 40, escalate_priority: 1 }
+];
+
+// Insert default work calendar (Monday-Friday, 08:00-17:00) and SLA policies
+function insertDefaultSlaConfig(callback) {
+  db.serialize(() => {
+    const hoursStmt = db.prepare('INSERT INTO business_hours (day_of_week, start_time, end_time) VALUES (?, ?, ?)');
+    [1, 2, 3, 4, 5].forEach(day => hoursStmt.run([day, '08:00', '17:00']));
+    hoursStmt.finalize();
+
+    const policyStmt = db.prepare(`
+      INSERT OR IGNORE INTO sla_policies (pipeline, priority, first_response_hours, resolution_hours, escalate_priority)
+      VALUES ('*', ?, ?, ?, ?)
+    `);
+    DEFAULT_SLA_POLICIES.forEach(policy => {
+      policyStmt.run([policy.priority, policy.first_response_hours, policy.resolution_hours, policy.escalate_priority]);
+    });
+    policyStmt.finalize();
+
+    db.get('SELECT 1', (err) => {
+      if (!err) {
+        console.log('Default SLA calendar and policies inserted');
+      }
+      callback(err);
+    });
+  });
+}
+
+// Load SLA policies and the work calendar
+function loadSlaConfig(callback) {
+  db.all('SELECT * FROM sla_policies ORDER BY pipeline, priority', (err, policies) => {
+    if (err) {
+      return callback(err);
+    }
+
+    db.all('SELECT * FROM business_hours ORDER BY day_of_week', (err, hours) => {
+      if (err) {
+        return callback(err);
+      }
+
+      db.all('SELECT * FROM holidays ORDER BY date', (err, holidays) => {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, {
+          policies: policies.map(policy => ({ ...policy, escalate_priority: !!policy.escalate_priority })),
+          calendar: { hours, holidays }
+        });
+      });
+    });
+  });
+}
+
+// Policy for a pipeline and priority, falling back to the "*" policy
+function findSlaPolicy(policies, pipeline, priority) {
+  return policies.find(policy => policy.pipeline === pipeline && policy.priority === priority) ||
+    policies.find(policy => policy.pipeline === '*' && policy.priority === priority);
+}
+
+// SQLite stores CURRENT_TIMESTAMP as UTC "YYYY-MM-DD HH:MM:SS"
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqlDate(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function formatLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Working time of one (local) day as { start, end }, or null when the day
+// is not worked
+function getWorkingWindow(day, calendar) {
+  const hours = calendar.hours.find(entry => entry.day_of_week === day.getDay());
+  if (!hours || calendar.holidays.some(holiday => holiday.date === formatLocalDate(day))) {
+    return null;
+  }
+
+  const at = time => {
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+  };
+
+  return { start: at(hours.start_time), end: at(hours.end_time) };
+}
+
+// Give up looking for working time after this many calendar days
+const MAX_CALENDAR_DAYS = 366;
+
+// Add business hours to a start time, skipping non-working days, holidays
+// and time outside business hours. Returns null when the calendar has no
+// working time.
+function addBusinessHours(start, hours, calendar) {
+  let remaining = hours * 3600 * 1000;
+  let cursor = start;
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const window = getWorkingWindow(cursor, calendar);
+
+    if (window) {
+      const from = Math.max(cursor.getTime(), window.start.getTime());
+      const available = window.end.getTime() - from;
+
+      if (available >= remaining) {
+        return new Date(from + remaining);
+      }
+      if (available > 0) {
+        remaining -= available;
+      }
+    }
+
+    cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+  }
+
+  return null;
+}
+
+// Due dates for a ticket opened at openedAt (a Date) under the applicable
+// policy, as SQLite timestamps (null when there is no target)
+function computeSlaDueDates(pipeline, priority, openedAt, slaConfig) {
+  const policy = findSlaPolicy(slaConfig.policies, pipeline, priority);
+  const dueAfter = hours => {
+    if (!policy || hours === null || hours === undefined) {
+      return null;
+    }
+    const due = addBusinessHours(openedAt, hours, slaConfig.calendar);
+    return due ? toSqlDate(due) : null;
+  };
+
+  return {
+    first_response_due_at: dueAfter(policy && policy.first_response_hours),
+    resolution_due_at: dueAfter(policy && policy.resolution_hours)
+  };
+}
+
+// SLA columns to update along with a ticket change: due dates follow
+// priority and pipeline changes, the first status change counts as the
+// first response, and entering or leaving a closed status sets or clears
+// resolved_at
+function getSlaUpdates(current, updates, pipelines, slaConfig) {
+  const slaUpdates = {};
+  const now = toSqlDate(new Date());
+  const pipeline = updates.pipeline !== undefined ? updates.pipeline : current.pipeline;
+  const priority = updates.priority !== undefined ? updates.priority : current.priority;
+
+  if (pipeline !== current.pipeline || priority !== current.priority) {
+    const due = computeSlaDueDates(pipeline, priority, fromSqlDate(current.created_at), slaConfig);
+    if (!current.first_responded_at) {
+      slaUpdates.first_response_due_at = due.first_response_due_at;
+    }
+    if (!current.resolved_at) {
+      slaUpdates.resolution_due_at = due.resolution_due_at;
+    }
+  }
+
+  const status = updates.status !== undefined ? updates.status : current.status;
+  if (status !== current.status || pipeline !== current.pipeline) {
+    const wasClosed = findStatus(findPipeline(pipelines, current.pipeline), current.status);
+    const isClosed = findStatus(findPipeline(pipelines, pipeline), status);
+
+    if (!current.first_responded_at) {
+      slaUpdates.first_responded_at = now;
+    }
+    if (isClosed && isClosed.is_closed && !current.resolved_at) {
+      slaUpdates.resolved_at = now;
+    } else if (wasClosed && wasClosed.is_closed && !(isClosed && isClosed.is_closed)) {
+      slaUpdates.resolved_at = null;
+    }
+  }
+
+  return slaUpdates;
+}
+
+// Pipeline and SLA configuration needed to create or change tickets
+function loadTicketConfig(callback) {
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      return callback(err);
+    }
+    loadSlaConfig((err, slaConfig) => callback(err, pipelines, slaConfig));
+  });
+}
+
+// Insert sample data. Its free-text customers are linked afterwards by
+// migrateTicketCustomers, as for older databases.
+function insertSampleData(callback) {
+  const sampleTickets = [
+    {
+      id: 'TKT-001',
+      title: 'New Product Launch Campaign',
+      description: 'Plan and execute marketing campaign for new CNC machine line',
+      customer: 'Internal Marketing',
+      pipeline: 'marketing',
+      status: 'in-progress',
+      priority: 'high',
+      assigned_to: 'Sarah Johnson',
+      created_by: 'Sarah Johnson'
+    },
+    {
+      id: 'TKT-002',
+      title: 'Quote Request - Custom Tooling',
+      description: 'Customer needs quote for custom tooling for automotive parts manufacturing',
+      customer: 'Acme Manufacturing Co.',
+      pipeline: 'sales',
+      status: 'pending',
+      priority: 'high',
+      assigned_to: 'Mike Chen',
+      created_by: 'Mike Chen'
+    },
+    {
+      id: 'TKT-003',
+      title: 'Process Order #5542',
+      description: 'Rush order for 500 precision components',
+      customer: 'TechParts Inc.',
+      pipeline: 'orders',
+      status: 'in-progress',
+      priority: 'high',
+      assigned_to: 'Production Team',
+      created_by: 'John Doe'
+    },
+    {
+      id: 'TKT-004',
+      title: 'Equipment Malfunction Report',
+      description: 'Customer reporting issues with recently delivered milling machine',
+      customer: 'Precision Metals Ltd.',
+      pipeline: 'support',
+      status: 'new',
+      priority: 'high',
+      assigned_to: 'Support Team',
+      created_by: 'Administrator'
+    }
+  ];
+
+  db.serialize(() => {
+    const stmt = db.prepare(`
+      INSERT INTO tickets (id, title, description, customer, pipeline, status, priority, assigned_to, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    sampleTickets.forEach(ticket => {
+      stmt.run([
+        ticket.id,
+        ticket.title,
+        ticket.description,
+        ticket.customer,
+        ticket.pipeline,
+        ticket.status,
+        ticket.priority,
+        ticket.assigned_to,
+        ticket.created_by
+      ]);
+
+      // Add initial timeline entry
+      db.run(
+        'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
+        [ticket.id, 'Ticket created', 'System']
+      );
+
+      recordHistory(db, null, ticket.id, [{ field: 'ticket', old_value: null, new_value: 'created' }]);
+    });
+
+    stmt.finalize();
+    db.get('SELECT 1', (err) => {
+      if (!err) {
+        console.log('Sample data inserted');
+      }
+      callback(err);
+    });
+  });
+}
+
+// API Routes
+
+// Authentication endpoints
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password must be strings' });
+  }
+
+  db.get(
+    `SELECT id, username, password, full_name, email, role, active, failed_login_attempts,
+            locked_until, locked_until > datetime('now') as is_locked
+     FROM users WHERE username = ?`,
+    [username],
+    (err, user) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      // Disabled accounts get the same answer as unknown ones, before the
+      // password is checked, so neither reveals that the account exists
+      if (!user || !user.active) {
+        res.status(401).json({ error: 'Invalid credentials' });
+        return;
+      }
+
+      if (user.is_locked) {
+        res.status(423).json({ error: `Account locked after repeated failed logins, try again after ${user.locked_until} UTC` });
+        return;
+      }
+
+      verifyPassword(password, user.password, (err, valid) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        if (!valid) {
+          const attempts = user.failed_login_attempts + 1;
+
+          // Lock the account once the limit is reached and start counting again
+          if (attempts >= MAX_FAILED_LOGINS) {
+            db.run(
+              `UPDATE users SET failed_login_attempts = 0, locked_until = datetime('now', ?) WHERE id = ?`,
+              [`+${LOCKOUT_MINUTES} minutes`, user.id]
+            );
+          } else {
+            db.run('UPDATE users SET failed_login_attempts = ? WHERE id = ?', [attempts, user.id]);
+          }
+
+          res.status(401).json({ error: 'Invalid credentials' });
+          return;
+        }
+
+        db.run('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [user.id]);
+        purgeExpiredSessions();
+
+        // Create session
+        const sessionId = crypto.randomBytes(32).toString('hex');
+
+        db.run(
+          `INSERT INTO sessions (token_hash, user_id, ip_address, user_agent, expires_at)
+           VALUES (?, ?, ?, ?, datetime('now', ?))`,
+          [hashSessionToken(sessionId), user.id, req.ip, req.get('user-agent') || null, `+${SESSION_MAX_HOURS} hours`],
+          (err) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+
+            res.json({
+              sessionId,
+              user: {
+                id: user.id,
+                username: user.username,
+                fullName: user.full_name,
+                email: user.email,
+                role: user.role
+              }
+            });
+          }
+        );
+      });
+    }
+  );
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const sessionId = req.headers['x-session-id'];
 
-app.post('/api/auth/logout', (req, res) => {
-  const sessionId = req.headers['x-session-id'];
-  
   if (sessionId) {
-    sessions.delete(sessionId);
+    db.run('DELETE FROM sessions WHERE token_hash = ?', [hashSessionToken(sessionId)]);
+  }
+
+  res.json({ message: 'Logged out successfully' });
+});
+
+// End every session of the current user, including this one
+app.post('/api/auth/logout-all', requireAuth, (req, res) => {
+  endUserSessions(req.user.id, null, (err, count) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ message: `Logged out of ${count} session(s)` });
+  });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    user: {
+      id: req.user.id,
+      username: req.user.username,
+      fullName: req.user.full_name,
+      email: req.user.email,
+      role: req.user.role,
+      permissions: ROLE_PERMISSIONS[req.user.role] || [],
+      pipelines: req.user.pipelines
+    }
+  });
+});
+
+// Change own password
+app.post('/api/auth/password', requireAuth, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    res.status(400).json({ error: 'Current and new password required' });
+    return;
+  }
+  if (typeof currentPassword !== 'string') {
+    res.status(400).json({ error: 'Password must be a string' });
+    return;
+  }
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) {
+    res.status(400).json({ error: passwordError });
+    return;
+  }
+
+  db.get('SELECT password FROM users WHERE id = ?', [req.user.id], (err, user) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    verifyPassword(currentPassword, user.password, (err, valid) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (!valid) {
+        res.status(401).json({ error: 'Current password is incorrect' });
+        return;
+      }
+
+      hashPassword(newPassword, (err, passwordHash) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        db.run('UPDATE users SET password = ? WHERE id = ?', [passwordHash, req.user.id], (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          // Sessions on other devices must log in with the new password
+          endUserSessions(req.user.id, req.sessionRecordId);
+          res.json({ message: 'Password changed successfully' });
+        });
+      });
+    });
+  });
+});
+
+// User management endpoints
+const USER_COLUMNS = 'id, username, full_name, email, role, active, failed_login_attempts, locked_until, created_at';
+
+app.get('/api/users', requireAuth, (req, res) => {
+  db.all(
+    'SELECT id, username, full_name, email, role, active FROM users ORDER BY full_name',
+    (err, users) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(users);
+    }
+  );
+});
+
+// Create user (admin only)
+app.post('/api/users', requireAuth, requireAdmin, (req, res) => {
+  const { username, password, full_name, email } = req.body;
+  const role = req.body.role || 'agent';
+
+  if (!username || !password || !full_name) {
+    res.status(400).json({ error: 'Username, password and full name are required' });
+    return;
+  }
+  const passwordError = validateNewPassword(password);
+  if (passwordError) {
+    res.status(400).json({ error: passwordError });
+    return;
+  }
+  if (!USER_ROLES.includes(role)) {
+    res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    return;
+  }
+
+  db.get('SELECT id FROM users WHERE username = ?', [username], (err, existing) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (existing) {
+      res.status(409).json({ error: `Username "${username}" is already taken` });
+      return;
+    }
+
+    hashPassword(password, (err, passwordHash) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      db.run(
+        'INSERT INTO users (username, password, full_name, email, role) VALUES (?, ?, ?, ?, ?)',
+        [username, passwordHash, full_name, email, role],
+        function(err) {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [this.lastID], (err, user) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+            res.status(201).json(user);
+          });
+        }
+      );
+    });
+  });
+});
+
+// Update user details, role, active flag or password; unlock a locked account (admin only)
+app.put('/api/users/:id', requireAuth, requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const { password, unlock } = req.body;
+  const allowedFields = ['full_name', 'email', 'role', 'active'];
+  const fields = Object.keys(req.body).filter(field => allowedFields.includes(field));
+
+  if (fields.length === 0 && !password && !unlock) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+  if (req.body.role !== undefined && !USER_ROLES.includes(req.body.role)) {
+    res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    return;
+  }
+  const passwordError = password !== undefined ? validateNewPassword(password) : null;
+  if (passwordError) {
+    res.status(400).json({ error: passwordError });
+    return;
+  }
+  if (id === req.user.id && (req.body.active === false || (req.body.role && req.body.role !== 'admin'))) {
+    res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    return;
+  }
+
+  const applyUpdate = (passwordHash) => {
+    const assignments = fields.map(field => `${field} = ?`);
+    const values = fields.map(field => field === 'active' ? (req.body.active ? 1 : 0) : req.body[field]);
+
+    if (passwordHash) {
+      assignments.push('password = ?');
+      values.push(passwordHash);
+    }
+    if (unlock) {
+      assignments.push('failed_login_attempts = 0', 'locked_until = NULL');
+    }
+
+    db.run(`UPDATE users SET ${assignments.join(', ')} WHERE id = ?`, [...values, id], function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (this.changes === 0) {
+        res.status(404).json({ error: 'User not found' });
+        return;
+      }
+
+      // A reset password or disabled account ends the user's sessions
+      if (passwordHash || req.body.active === false) {
+        endUserSessions(id);
+      }
+
+      db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id], (err, user) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json(user);
+      });
+    });
+  };
+
+  if (!password) {
+    applyUpdate(null);
+    return;
+  }
+
+  hashPassword(password, (err, passwordHash) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    applyUpdate(passwordHash);
+  });
+});
+
+// Replace the pipeline grants of a user (admin only). An empty list gives
+// access to every pipeline.
+app.put('/api/users/:id/pipelines', requireAuth, requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const { pipelines } = req.body;
+
+  if (!Array.isArray(pipelines)) {
+    res.status(400).json({ error: 'Pipelines must be an array' });
+    return;
+  }
+
+  loadPipelineConfig((err, config) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const unknown = pipelines.filter(key => !findPipeline(config, key));
+    if (unknown.length > 0) {
+      res.status(400).json({ error: `Unknown pipeline(s): ${unknown.join(', ')}` });
+      return;
+    }
+
+    db.get('SELECT id FROM users WHERE id = ?', [id], (err, user) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return;
+      }
+
+      db.serialize(() => {
+        db.run('DELETE FROM user_pipeline_grants WHERE user_id = ?', [id]);
+
+        const stmt = db.prepare('INSERT INTO user_pipeline_grants (user_id, pipeline) VALUES (?, ?)');
+        pipelines.forEach(pipeline => stmt.run([id, pipeline]));
+        stmt.finalize((err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          res.json({ user_id: id, pipelines });
+        });
+      });
+    });
+  });
+});
+
+// Disable user (admin only). Accounts are kept so ticket history still
+// resolves; a disabled user cannot log in.
+app.delete('/api/users/:id', requireAuth, requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+
+  if (id === req.user.id) {
+    res.status(400).json({ error: 'You cannot disable your own account' });
+    return;
+  }
+
+  db.run('UPDATE users SET active = 0 WHERE id = ?', [id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    endUserSessions(id);
+    res.json({ message: 'User disabled successfully' });
+  });
+});
+
+// Active sessions of all users (admin only)
+app.get('/api/sessions', requireAuth, requireAdmin, (req, res) => {
+  db.all(
+    `SELECT s.id, s.user_id, u.username, u.full_name, s.ip_address, s.user_agent,
+            s.created_at, s.last_seen_at, s.expires_at
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.expires_at > datetime('now') AND s.last_seen_at > datetime('now', ?)
+     ORDER BY s.last_seen_at DESC`,
+    [`-${SESSION_IDLE_MINUTES} minutes`],
+    (err, sessionList) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(sessionList.map(session => ({ ...session, current: session.id === req.sessionRecordId })));
+    }
+  );
+});
+
+// Revoke a session (admin only)
+app.delete('/api/sessions/:id', requireAuth, requireAdmin, (req, res) => {
+  db.run('DELETE FROM sessions WHERE id = ?', [req.params.id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+    res.json({ message: 'Session revoked successfully' });
+  });
+});
+
+// Pipeline configuration endpoints
+app.get('/api/pipelines', requireAuth, (req, res) => {
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(pipelines);
+  });
+});
+
+// Preview the next ticket ID for a pipeline. The number is not reserved, so
+// a concurrent create may still take it.
+app.get('/api/pipelines/:key/next-id', requireAuth, (req, res) => {
+  const { key } = req.params;
+
+  if (!canAccessPipeline(req.user, key)) {
+    denyPipeline(res, key);
+    return;
+  }
+
+  db.get('SELECT * FROM pipelines WHERE key = ?', [key], (err, pipeline) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!pipeline) {
+      res.status(404).json({ error: 'Pipeline not found' });
+      return;
+    }
+
+    previewTicketId(pipeline, (err, nextId) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ pipeline: key, next_id: nextId });
+    });
+  });
+});
+
+// Validate a status definition from a request body
+function validateStatusInput(status) {
+  if (!status || !status.key || !status.name) {
+    return 'Status key and name are required';
+  }
+  if (!KEY_PATTERN.test(status.key)) {
+    return `Invalid status key "${status.key}" (use lowercase letters, digits and dashes)`;
+  }
+  return null;
+}
+
+// Validate a transition list against the status keys of its pipeline
+function validateTransitionsInput(transitions, statusKeys) {
+  if (!Array.isArray(transitions)) {
+    return 'Transitions must be an array';
+  }
+
+  for (const transition of transitions) {
+    if (!transition || !statusKeys.includes(transition.from) || !statusKeys.includes(transition.to)) {
+      return `Transition ${JSON.stringify(transition)} references an unknown status`;
+    }
+    if (transition.from === transition.to) {
+      return `Transition from "${transition.from}" to itself is not allowed`;
+    }
+
+    const requiredFields = transition.required_fields || [];
+    if (!Array.isArray(requiredFields) || requiredFields.some(field => !TRANSITION_FIELDS.includes(field))) {
+      return `Required fields must be chosen from: ${TRANSITION_FIELDS.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+function insertTransitions(pipelineKey, transitions) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO pipeline_transitions (pipeline, from_status, to_status, required_fields)
+    VALUES (?, ?, ?, ?)
+  `);
+  transitions.forEach(transition => {
+    stmt.run([pipelineKey, transition.from, transition.to, JSON.stringify(transition.required_fields || [])]);
+  });
+  stmt.finalize();
+}
+
+// Create pipeline (admin only)
+app.post('/api/pipelines', requireAuth, requireAdmin, (req, res) => {
+  const { key, name, color, sort_order } = req.body;
+  const statuses = req.body.statuses || DEFAULT_STATUSES;
+  const transitions = req.body.transitions || (req.body.statuses ? [] : DEFAULT_TRANSITIONS);
+
+  if (!key || !name) {
+    res.status(400).json({ error: 'Pipeline key and name are required' });
+    return;
+  }
+  if (!KEY_PATTERN.test(key) || key === 'total' || key === 'all') {
+    res.status(400).json({ error: `Invalid pipeline key "${key}"` });
+    return;
+  }
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    res.status(400).json({ error: 'A pipeline needs at least one status' });
+    return;
+  }
+
+  for (const status of statuses) {
+    const error = validateStatusInput(status);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+  }
+
+  const statusKeys = statuses.map(status => status.key);
+  if (new Set(statusKeys).size !== statusKeys.length) {
+    res.status(400).json({ error: 'Status keys must be unique within a pipeline' });
+    return;
+  }
+
+  const transitionError = validateTransitionsInput(transitions, statusKeys);
+  if (transitionError) {
+    res.status(400).json({ error: transitionError });
+    return;
+  }
+
+  const idFormatError = validateIdFormatInput(req.body);
+  if (idFormatError) {
+    res.status(400).json({ error: idFormatError });
+    return;
+  }
+
+  db.get('SELECT key FROM pipelines WHERE key = ?', [key], (err, existing) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (existing) {
+      res.status(409).json({ error: `Pipeline "${key}" already exists` });
+      return;
+    }
+
+    db.serialize(() => {
+      db.run(`
+        INSERT INTO pipelines (key, name, color, sort_order, id_prefix, id_include_year, id_padding)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        key, name, color || null, sort_order || 0,
+        req.body.id_prefix || 'TKT', req.body.id_include_year ? 1 : 0, req.body.id_padding || 3
+      ]);
+
+      const stmt = db.prepare(`
+        INSERT INTO pipeline_statuses (pipeline, key, name, sort_order, is_closed)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      statuses.forEach((status, index) => {
+        stmt.run([key, status.key, status.name, index, status.is_closed ? 1 : 0]);
+      });
+      stmt.finalize();
+
+      insertTransitions(key, transitions);
+
+      loadPipelineConfig((err, pipelines) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.status(201).json(findPipeline(pipelines, key));
+      });
+    });
+  });
+});
+
+// Update pipeline name, color, ordering or ticket ID format (admin only).
+// A new ID format only applies to tickets created afterwards.
+app.put('/api/pipelines/:key', requireAuth, requireAdmin, (req, res) => {
+  const { key } = req.params;
+  const allowedFields = ['name', 'color', 'sort_order', 'id_prefix', 'id_include_year', 'id_padding'];
+  const fields = Object.keys(req.body).filter(field => allowedFields.includes(field));
+
+  if (fields.length === 0) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+
+  const idFormatError = validateIdFormatInput(req.body);
+  if (idFormatError) {
+    res.status(400).json({ error: idFormatError });
+    return;
+  }
+
+  const values = fields.map(field => field === 'id_include_year' ? (req.body[field] ? 1 : 0) : req.body[field]);
+  const query = `UPDATE pipelines SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE key = ?`;
+
+  db.run(query, [...values, key], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'Pipeline not found' });
+      return;
+    }
+
+    loadPipelineConfig((err, pipelines) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(findPipeline(pipelines, key));
+    });
+  });
+});
+
+// Delete pipeline (admin only) - refused while tickets still use it. The
+// pipeline goes with its statuses, transitions, fields, grants and SLA
+// policies in one transaction.
+app.delete('/api/pipelines/:key', requireAuth, requireAdmin, (req, res) => {
+  const { key } = req.params;
+
+  withTransaction((tx, done) => {
+    tx.get('SELECT COUNT(*) as count FROM tickets WHERE pipeline = ?', [key], (err, row) => {
+      if (err) {
+        return done(err);
+      }
+      if (row.count > 0) {
+        return done(null, { status: 409, body: { error: `Pipeline "${key}" still has ${row.count} ticket(s)` } });
+      }
+
+      let writeError = null;
+      const check = (err) => {
+        writeError = writeError || err;
+      };
+
+      tx.serialize(() => {
+        tx.run('DELETE FROM user_pipeline_grants WHERE pipeline = ?', [key], check);
+        tx.run('DELETE FROM pipeline_transitions WHERE pipeline = ?', [key], check);
+        tx.run('DELETE FROM pipeline_statuses WHERE pipeline = ?', [key], check);
+        tx.run('DELETE FROM pipeline_fields WHERE pipeline = ?', [key], check);
+        tx.run('DELETE FROM sla_policies WHERE pipeline = ?', [key], check);
+
+        tx.run('DELETE FROM pipelines WHERE key = ?', [key], function(err) {
+          if (writeError || err) {
+            return done(writeError || err);
+          }
+          if (this.changes === 0) {
+            return done(null, { status: 404, body: { error: 'Pipeline not found' } });
+          }
+          done(null, { status: 200, body: { message: 'Pipeline deleted successfully' } });
+        });
+      });
+    });
+  }, (err, result) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.status(result.status).json(result.body);
+  });
+});
+
+// Add status to pipeline (admin only)
+app.post('/api/pipelines/:key/statuses', requireAuth, requireAdmin, (req, res) => {
+  const { key } = req.params;
+  const error = validateStatusInput(req.body);
+
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const pipeline = findPipeline(pipelines, key);
+    if (!pipeline) {
+      res.status(404).json({ error: 'Pipeline not found' });
+      return;
+    }
+    if (findStatus(pipeline, req.body.key)) {
+      res.status(409).json({ error: `Status "${req.body.key}" already exists in pipeline "${key}"` });
+      return;
+    }
+
+    const sortOrder = req.body.sort_order !== undefined
+      ? req.body.sort_order
+      : pipeline.statuses.reduce((max, status) => Math.max(max, status.sort_order + 1), 0);
+
+    db.run(
+      'INSERT INTO pipeline_statuses (pipeline, key, name, sort_order, is_closed) VALUES (?, ?, ?, ?, ?)',
+      [key, req.body.key, req.body.name, sortOrder, req.body.is_closed ? 1 : 0],
+      function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        db.get('SELECT * FROM pipeline_statuses WHERE id = ?', [this.lastID], (err, status) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          res.status(201).json({ ...status, is_closed: !!status.is_closed });
+        });
+      }
+    );
+  });
+});
+
+// Update status name, ordering or closed flag (admin only)
+app.put('/api/pipelines/:key/statuses/:status', requireAuth, requireAdmin, (req, res) => {
+  const { key, status } = req.params;
+  const allowedFields = ['name', 'sort_order', 'is_closed'];
+  const fields = Object.keys(req.body).filter(field => allowedFields.includes(field));
+
+  if (fields.length === 0) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+
+  const values = fields.map(field => field === 'is_closed' ? (req.body[field] ? 1 : 0) : req.body[field]);
+  const query = `UPDATE pipeline_statuses SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE pipeline = ? AND key = ?`;
+
+  db.run(query, [...values, key, status], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'Status not found' });
+      return;
+    }
+
+    db.get(
+      'SELECT * FROM pipeline_statuses WHERE pipeline = ? AND key = ?',
+      [key, status],
+      (err, row) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json({ ...row, is_closed: !!row.is_closed });
+      }
+    );
+  });
+});
+
+// Delete status from pipeline (admin only) - refused while tickets are in it
+app.delete('/api/pipelines/:key/statuses/:status', requireAuth, requireAdmin, (req, res) => {
+  const { key, status } = req.params;
+
+  db.get(
+    'SELECT COUNT(*) as count FROM tickets WHERE pipeline = ? AND status = ?',
+    [key, status],
+    (err, row) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (row.count > 0) {
+        res.status(409).json({ error: `Status "${status}" still has ${row.count} ticket(s)` });
+        return;
+      }
+
+      db.serialize(() => {
+        db.run(
+          'DELETE FROM pipeline_transitions WHERE pipeline = ? AND (from_status = ? OR to_status = ?)',
+          [key, status, status]
+        );
+
+        db.run(
+          'DELETE FROM pipeline_statuses WHERE pipeline = ? AND key = ?',
+          [key, status],
+          function(err) {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+            if (this.changes === 0) {
+              res.status(404).json({ error: 'Status not found' });
+              return;
+            }
+            res.json({ message: 'Status deleted successfully' });
+          }
+        );
+      });
+    }
+  );
+});
+
+// Replace the transition graph of a pipeline (admin only). An empty list
+// removes all restrictions.
+app.put('/api/pipelines/:key/transitions', requireAuth, requireAdmin, (req, res) => {
+  const { key } = req.params;
+  const { transitions } = req.body;
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const pipeline = findPipeline(pipelines, key);
+    if (!pipeline) {
+      res.status(404).json({ error: 'Pipeline not found' });
+      return;
+    }
+
+    const error = validateTransitionsInput(transitions, pipeline.statuses.map(status => status.key));
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    db.serialize(() => {
+      db.run('DELETE FROM pipeline_transitions WHERE pipeline = ?', [key]);
+      insertTransitions(key, transitions);
+
+      loadPipelineConfig((err, pipelines) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json(findPipeline(pipelines, key).transitions);
+      });
+    });
+  });
+});
+
+// Custom field definition as returned by the API
+function formatCustomField(row) {
+  return { ...row, required: !!row.required, options: row.options ? JSON.parse(row.options) : null };
+}
+
+// Validate a custom field definition (a new one, or an existing one with
+// the requested changes applied)
+function validateCustomFieldInput(field) {
+  if (!field || !field.key || !field.name) {
+    return 'Field key and name are required';
+  }
+  if (!KEY_PATTERN.test(field.key)) {
+    return `Invalid field key "${field.key}" (use lowercase letters, digits and dashes)`;
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+    return `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+  }
+  if (field.options !== undefined && field.options !== null &&
+      (!Array.isArray(field.options) || field.options.some(option => typeof option !== 'string' || !option.trim()))) {
+    return 'Options must be a list of values';
+  }
+  if (field.type === 'enum' && (!field.options || field.options.length === 0)) {
+    return 'Enum fields need a list of options';
+  }
+  if (field.type === 'currency' && field.options && field.options.some(code => !CURRENCY_PATTERN.test(code))) {
+    return 'Currency field options must be three-letter currency codes, e.g. EUR';
+  }
+  return null;
+}
+
+// Check a custom field value from a request. Returns { value, number } as
+// stored, { value: null } to clear the field, or { error }.
+function parseCustomFieldValue(field, input) {
+  if (input === null || input === '') {
+    return field.required ? { error: `${field.name} is required` } : { value: null, number: null };
+  }
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof input === 'number' || (typeof input === 'string' && input.trim() !== '')
+        ? Number(input)
+        : NaN;
+      if (!Number.isFinite(number)) {
+        return { error: `${field.name} must be a number` };
+      }
+      return { value: String(number), number };
+    }
+    case 'date':
+      if (typeof input !== 'string' || !parseQueryDate(input)) {
+        return { error: `${field.name} must be a date (YYYY-MM-DD)` };
+      }
+      return { value: input, number: null };
+    case 'enum':
+      if (!field.options.includes(input)) {
+        return { error: `${field.name} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value: input, number: null };
+    case 'currency': {
+      // { amount, currency } or the stored form, e.g. "1250.00 EUR"
+      const [amount, currency] = typeof input === 'object'
+        ? [input.amount, input.currency]
+        : String(input).trim().split(/\s+/);
+      const number = amount === undefined || amount === '' ? NaN : Number(amount);
+      const code = String(currency || '').toUpperCase();
+      if (!Number.isFinite(number) || !CURRENCY_PATTERN.test(code)) {
+        return { error: `${field.name} must be an amount and a currency code, e.g. { "amount": 1250, "currency": "EUR" }` };
+      }
+      if (field.options && !field.options.includes(code)) {
+        return { error: `${field.name} currency must be one of: ${field.options.join(', ')}` };
+      }
+      const rounded = Math.round(number * 100) / 100;
+      return { value: `${rounded.toFixed(2)} ${code}`, number: rounded };
+    }
+    default:
+      if (typeof input !== 'string' && typeof input !== 'number') {
+        return { error: `${field.name} must be text` };
+      }
+      if (String(input).length > MAX_CUSTOM_TEXT_LENGTH) {
+        return { error: `${field.name} is limited to ${MAX_CUSTOM_TEXT_LENGTH} characters` };
+      }
+      return { value: String(input).trim(), number: null };
+  }
+}
+
+// API form of a stored value. Values kept from a field of another type
+// (after a pipeline move) are returned as stored.
+function formatCustomFieldValue(field, row) {
+  if (row.number === null) {
+    return row.value;
+  }
+  if (field.type === 'currency') {
+    return { amount: row.number, currency: row.value.split(' ')[1] };
+  }
+  return field.type === 'number' ? row.number : row.value;
+}
+
+// Compare the custom_fields of a request with a ticket's stored values
+// (field key => row) and list the changes. On create, required fields must
+// be given. Returns { changes: [{ field, key, name, old_value, new_value,
+// number }] } or { error }.
+function getCustomFieldChanges(pipeline, currentRows, input, isCreate) {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    return { error: 'custom_fields must be an object of field keys and values' };
+  }
+
+  const values = input || {};
+  const fields = pipeline ? pipeline.fields : [];
+  const unknown = Object.keys(values).filter(key => !fields.some(field => field.key === key));
+  if (unknown.length > 0) {
+    return { error: `Unknown custom field(s) for pipeline "${pipeline ? pipeline.key : ''}": ${unknown.join(', ')}` };
+  }
+
+  const changes = [];
+  for (const field of fields) {
+    if (values[field.key] === undefined) {
+      if (isCreate && field.required) {
+        return { error: `${field.name} is required` };
+      }
+      continue;
+    }
+
+    const parsed = parseCustomFieldValue(field, values[field.key]);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    const oldValue = currentRows[field.key] ? currentRows[field.key].value : null;
+    if (oldValue !== parsed.value) {
+      changes.push({
+        field: `${CUSTOM_FIELD_PREFIX}${field.key}`,
+        key: field.key,
+        name: field.name,
+        old_value: oldValue,
+        new_value: parsed.value,
+        number: parsed.number
+      });
+    }
+  }
+
+  return { changes };
+}
+
+// Write custom field changes (see getCustomFieldChanges); call inside a transaction
+function writeCustomFieldChanges(tx, ticketId, changes) {
+  changes.forEach(change => {
+    if (change.new_value === null) {
+      tx.run('DELETE FROM ticket_field_values WHERE ticket_id = ? AND field = ?', [ticketId, change.key]);
+    } else {
+      tx.run(
+        'INSERT OR REPLACE INTO ticket_field_values (ticket_id, field, value, number) VALUES (?, ?, ?, ?)',
+        [ticketId, change.key, change.new_value, change.number]
+      );
+    }
+  });
+}
+
+// Timeline entries of custom field changes
+function describeCustomFieldChanges(changes) {
+  return changes.map(change => {
+    if (change.new_value === null) {
+      return `${change.name} cleared`;
+    }
+    return change.old_value
+      ? `${change.name} changed from "${change.old_value}" to "${change.new_value}"`
+      : `${change.name} updated to "${change.new_value}"`;
+  });
+}
+
+// Stored custom field values of tickets, as ticket ID => field key => row.
+// IDs are queried in batches to stay within SQLite's parameter limit. conn
+// is db, or the tx of a transaction.
+function loadCustomFieldRows(conn, ticketIds, callback) {
+  const batchSize = 500;
+  const rows = {};
+
+  const loadBatch = (offset) => {
+    const batch = ticketIds.slice(offset, offset + batchSize);
+    if (batch.length === 0) {
+      return callback(null, rows);
+    }
+
+    conn.all(
+      `SELECT * FROM ticket_field_values WHERE ticket_id IN (${batch.map(() => '?').join(', ')})`,
+      batch,
+      (err, values) => {
+        if (err) {
+          return callback(err);
+        }
+
+        values.forEach(row => {
+          rows[row.ticket_id] = rows[row.ticket_id] || {};
+          rows[row.ticket_id][row.field] = row;
+        });
+        loadBatch(offset + batchSize);
+      }
+    );
+  };
+
+  loadBatch(0);
+}
+
+// custom_fields of a ticket: every field of its current pipeline, null when
+// unset. Values of fields the pipeline lacks are kept but not shown, so
+// they come back if the ticket moves back.
+function getCustomFieldValues(pipeline, rows) {
+  return Object.fromEntries((pipeline ? pipeline.fields : []).map(field => [
+    field.key,
+    rows && rows[field.key] ? formatCustomFieldValue(field, rows[field.key]) : null
+  ]));
+}
+
+// Add custom_fields to loaded ticket rows
+function attachCustomFields(tickets, pipelines, callback) {
+  loadCustomFieldRows(db, tickets.map(ticket => ticket.id), (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, tickets.map(ticket => ({
+      ...ticket,
+      custom_fields: getCustomFieldValues(findPipeline(pipelines, ticket.pipeline), rows[ticket.id])
+    })));
+  });
+}
+
+// Add a custom field to a pipeline (admin only)
+app.post('/api/pipelines/:key/fields', requireAuth, requireAdmin, (req, res) => {
+  const { key } = req.params;
+  const error = validateCustomFieldInput(req.body);
+
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const pipeline = findPipeline(pipelines, key);
+    if (!pipeline) {
+      res.status(404).json({ error: 'Pipeline not found' });
+      return;
+    }
+    if (pipeline.fields.some(field => field.key === req.body.key)) {
+      res.status(409).json({ error: `Field "${req.body.key}" already exists in pipeline "${key}"` });
+      return;
+    }
+
+    const sortOrder = req.body.sort_order !== undefined
+      ? req.body.sort_order
+      : pipeline.fields.reduce((max, field) => Math.max(max, field.sort_order + 1), 0);
+    const options = req.body.options ? JSON.stringify(req.body.options) : null;
+
+    db.run(
+      'INSERT INTO pipeline_fields (pipeline, key, name, type, required, options, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [key, req.body.key, req.body.name, req.body.type, req.body.required ? 1 : 0, options, sortOrder],
+      function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        db.get('SELECT * FROM pipeline_fields WHERE id = ?', [this.lastID], (err, field) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          res.status(201).json(formatCustomField(field));
+        });
+      }
+    );
+  });
+});
+
+// Update a custom field's name, required flag, options or ordering (admin
+// only). Its key and type are fixed; stored values are not revalidated.
+app.put('/api/pipelines/:key/fields/:field', requireAuth, requireAdmin, (req, res) => {
+  const { key, field: fieldKey } = req.params;
+  const allowedFields = ['name', 'required', 'options', 'sort_order'];
+  const fields = Object.keys(req.body).filter(name => allowedFields.includes(name));
+
+  if (req.body.key !== undefined || req.body.type !== undefined) {
+    res.status(400).json({ error: 'The key and type of a field cannot be changed' });
+    return;
+  }
+  if (fields.length === 0) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const pipeline = findPipeline(pipelines, key);
+    const current = pipeline && pipeline.fields.find(field => field.key === fieldKey);
+    if (!current) {
+      res.status(404).json({ error: 'Field not found' });
+      return;
+    }
+
+    const error = validateCustomFieldInput({ ...current, ...req.body });
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const values = fields.map(name => {
+      if (name === 'required') {
+        return req.body.required ? 1 : 0;
+      }
+      if (name === 'options') {
+        return req.body.options ? JSON.stringify(req.body.options) : null;
+      }
+      return req.body[name];
+    });
+    const query = `UPDATE pipeline_fields SET ${fields.map(name => `${name} = ?`).join(', ')} WHERE id = ?`;
+
+    db.run(query, [...values, current.id], (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      db.get('SELECT * FROM pipeline_fields WHERE id = ?', [current.id], (err, field) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json(formatCustomField(field));
+      });
+    });
+  });
+});
+
+// Delete a custom field from a pipeline (admin only), with its values on
+// the pipeline's tickets
+app.delete('/api/pipelines/:key/fields/:field', requireAuth, requireAdmin, (req, res) => {
+  const { key, field } = req.params;
+
+  db.serialize(() => {
+    db.run(
+      'DELETE FROM ticket_field_values WHERE field = ? AND ticket_id IN (SELECT id FROM tickets WHERE pipeline = ?)',
+      [field, key]
+    );
+
+    db.run('DELETE FROM pipeline_fields WHERE pipeline = ? AND key = ?', [key, field], function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (this.changes === 0) {
+        res.status(404).json({ error: 'Field not found' });
+        return;
+      }
+      res.json({ message: 'Field deleted successfully' });
+    });
+  });
+});
+
+// Customer names are compared in normalized form: lower case, punctuation
+// removed, common abbreviations expanded and legal-form suffixes dropped, so
+// "Acme Manufacturing Co." and "Acme Mfg" are the same customer
+const CUSTOMER_NAME_ABBREVIATIONS = {
+  mfg: 'manufacturing',
+  mfrs: 'manufacturers',
+  intl: 'international',
+  eng: 'engineering',
+  svc: 'services',
+  svcs: 'services',
+  bros: 'brothers'
+};
+const CUSTOMER_LEGAL_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'co', 'company', 'corp', 'corporation', 'gmbh', 'plc'
+];
+
+// Minimum similarity (0-1) for a customer to be offered as a possible duplicate
+const CUSTOMER_MATCH_THRESHOLD = 0.6;
+
+function normalizeCustomerName(name) {
+  const tokens = String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(token => CUSTOMER_NAME_ABBREVIATIONS[token] || token);
+
+  while (tokens.length > 1 && CUSTOMER_LEGAL_SUFFIXES.includes(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.join(' ') || String(name).trim().toLowerCase();
+}
+
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Similarity of two normalized names: the better of word overlap and
+// character edit distance, so both reordered words and typos score well
+function customerNameSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const tokenScore = shared / new Set([...tokensA, ...tokensB]).size;
+  const editScore = 1 - levenshteinDistance(a, b) / Math.max(a.length, b.length);
+
+  return Math.max(tokenScore, editScore);
+}
+
+// Find the customer with the same normalized name, creating it if needed.
+// INSERT OR IGNORE keeps concurrent callers from creating duplicates.
+// conn is db, or the tx of a transaction.
+function findOrCreateCustomer(conn, name, callback) {
+  const normalized = normalizeCustomerName(name);
+
+  conn.run(
+    'INSERT OR IGNORE INTO customers (name, normalized_name) VALUES (?, ?)',
+    [String(name).trim(), normalized],
+    (err) => {
+      if (err) {
+        return callback(err);
+      }
+      conn.get('SELECT * FROM customers WHERE normalized_name = ?', [normalized], callback);
+    }
+  );
+}
+
+// Keep a ticket's customer_id and customer name in step. A customer_id
+// selects a registered customer; a free-text customer name is matched to a
+// customer or registers a new one. Returns { error } for an unknown id.
+// conn is db, or the tx of a transaction.
+function resolveTicketCustomer(conn, patch, callback) {
+  const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+
+  if (patch.customer_id !== undefined) {
+    if (isEmpty(patch.customer_id)) {
+      return callback(null, { ...patch, customer_id: null, customer: null });
+    }
+
+    conn.get('SELECT * FROM customers WHERE id = ?', [patch.customer_id], (err, customer) => {
+      if (err) {
+        return callback(err);
+      }
+      if (!customer) {
+        return callback(null, { error: `Customer ${patch.customer_id} does not exist` });
+      }
+      callback(null, { ...patch, customer_id: customer.id, customer: customer.name });
+    });
+    return;
+  }
+
+  if (patch.customer !== undefined) {
+    if (isEmpty(patch.customer)) {
+      return callback(null, { ...patch, customer_id: null, customer: null });
+    }
+
+    findOrCreateCustomer(conn, patch.customer, (err, customer) => {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, { ...patch, customer_id: customer.id, customer: customer.name });
+    });
+    return;
+  }
+
+  callback(null, patch);
+}
+
+// Link tickets that only have a free-text customer (from older versions)
+// to customer records. callback(err) once every name is handled.
+function migrateTicketCustomers(callback) {
+  db.all(`
+    SELECT DISTINCT customer FROM tickets
+    WHERE customer_id IS NULL AND customer IS NOT NULL AND TRIM(customer) != ''
+  `, (err, rows) => {
+    if (err || rows.length === 0) {
+      return callback(err);
+    }
+
+    // One name at a time, so similar names resolve to the same customer
+    const linkNext = (index) => {
+      if (index === rows.length) {
+        console.log(`Linked ${rows.length} free-text customer name(s) to customer records`);
+        return callback(null);
+      }
+
+      const row = rows[index];
+      findOrCreateCustomer(db, row.customer, (err, customer) => {
+        if (err) {
+          console.error(`Error linking customer "${row.customer}":`, err.message);
+          return linkNext(index + 1);
+        }
+        db.run(
+          'UPDATE tickets SET customer_id = ? WHERE customer_id IS NULL AND customer = ?',
+          [customer.id, row.customer],
+          (err) => err ? callback(err) : linkNext(index + 1)
+        );
+      });
+    };
+
+    linkNext(0);
+  });
+}
+
+// Load a customer with its contacts. Sends 404/500 itself.
+function loadCustomer(res, id, callback) {
+  db.get('SELECT * FROM customers WHERE id = ?', [id], (err, customer) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!customer) {
+      res.status(404).json({ error: 'Customer not found' });
+      return;
+    }
+
+    db.all('SELECT * FROM contacts WHERE customer_id = ? ORDER BY name', [id], (err, contacts) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      callback({ ...customer, contacts });
+    });
+  });
+}
+
+const CUSTOMER_FIELDS = ['name', 'email', 'phone', 'address', 'notes'];
+const CONTACT_FIELDS = ['name', 'title', 'email', 'phone'];
+
+// Get all customers with ticket counts (?search= filters by name)
+app.get('/api/customers', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  // Only tickets in the user's pipelines are counted
+  let ticketJoin = 't.customer_id = c.id';
+  const params = [];
+  if (req.user.role !== 'admin' && req.user.pipelines) {
+    ticketJoin += ` AND t.pipeline IN (${req.user.pipelines.map(() => '?').join(', ')})`;
+    params.push(...req.user.pipelines);
+  }
+
+  let query = `
+    SELECT c.*, COUNT(t.id) as ticket_count
+    FROM customers c
+    LEFT JOIN tickets t ON ${ticketJoin}
+    WHERE 1=1
+  `;
+
+  if (req.query.search) {
+    query += ' AND (c.name LIKE ? OR c.normalized_name LIKE ?)';
+    params.push(`%${req.query.search}%`, `%${normalizeCustomerName(req.query.search)}%`);
+  }
+
+  query += ' GROUP BY c.id ORDER BY c.name';
+
+  db.all(query, params, (err, customers) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(customers);
+  });
+});
+
+// Find existing customers similar to a name (?name=), best match first.
+// Used to catch duplicates before registering a customer.
+app.get('/api/customers/match', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const { name } = req.query;
+
+  if (!name || !String(name).trim()) {
+    res.status(400).json({ error: 'Missing name' });
+    return;
+  }
+
+  const normalized = normalizeCustomerName(name);
+
+  db.all('SELECT * FROM customers', (err, customers) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const matches = customers
+      .map(customer => ({
+        ...customer,
+        score: Math.round(customerNameSimilarity(normalized, customer.normalized_name) * 100) / 100
+      }))
+      .filter(customer => customer.score >= CUSTOMER_MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, 10);
+
+    res.json(matches);
+  });
+});
+
+// Get single customer with contacts
+app.get('/api/customers/:id', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadCustomer(res, req.params.id, customer => res.json(customer));
+});
+
+// Get a customer's tickets (limited to the user's pipelines) with counts
+// per pipeline and open/closed totals
+app.get('/api/customers/:id/tickets', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadCustomer(res, req.params.id, (customer) => {
+    loadPipelineConfig((err, pipelines) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      db.all('SELECT * FROM tickets WHERE customer_id = ? ORDER BY created_at DESC', [customer.id], (err, rows) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        const tickets = rows.filter(ticket => canAccessPipeline(req.user, ticket.pipeline));
+        const stats = { total: tickets.length, open: 0, closed: 0, by_pipeline: {} };
+
+        tickets.forEach(ticket => {
+          const status = findStatus(findPipeline(pipelines, ticket.pipeline), ticket.status);
+          const closed = !!(status && status.is_closed);
+
+          stats[closed ? 'closed' : 'open']++;
+          stats.by_pipeline[ticket.pipeline] = stats.by_pipeline[ticket.pipeline] || { open: 0, closed: 0 };
+          stats.by_pipeline[ticket.pipeline][closed ? 'closed' : 'open']++;
+        });
+
+        res.json({ customer, stats, tickets });
+      });
+    });
+  });
+});
+
+// Create customer - refused when the normalized name is already registered
+app.post('/api/customers', requireAuth, requirePermission('customers:write'), (req, res) => {
+  const { name } = req.body;
+
+  if (!name || !String(name).trim()) {
+    res.status(400).json({ error: 'Customer name is required' });
+    return;
+  }
+
+  const normalized = normalizeCustomerName(name);
+
+  db.get('SELECT * FROM customers WHERE normalized_name = ?', [normalized], (err, existing) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (existing) {
+      res.status(409).json({ error: `Customer "${existing.name}" already exists`, existing });
+      return;
+    }
+
+    db.run(`
+      INSERT INTO customers (name, normalized_name, email, phone, address, notes)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [String(name).trim(), normalized, req.body.email, req.body.phone, req.body.address, req.body.notes], function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      loadCustomer(res, this.lastID, customer => res.status(201).json(customer));
+    });
+  });
+});
+
+// Update customer. A new name is copied to the customer's tickets.
+app.put('/api/customers/:id', requireAuth, requirePermission('customers:write'), (req, res) => {
+  const { id } = req.params;
+  const fields = Object.keys(req.body).filter(field => CUSTOMER_FIELDS.includes(field));
+
+  if (fields.length === 0) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+  if (req.body.name !== undefined && !String(req.body.name).trim()) {
+    res.status(400).json({ error: 'Customer name is required' });
+    return;
+  }
+
+  const values = fields.map(field => field === 'name' ? String(req.body.name).trim() : req.body[field]);
+  const assignments = fields.map(field => `${field} = ?`);
+
+  if (req.body.name !== undefined) {
+    assignments.push('normalized_name = ?');
+    values.push(normalizeCustomerName(req.body.name));
+  }
+
+  const name = req.body.name !== undefined ? String(req.body.name).trim() : null;
+
+  // Tickets keep a copy of the customer name. A rename rewrites it in the
+  // same transaction, as a change to each ticket with version, history and
+  // timeline entry. done(err, updates or null when there is no customer)
+  withTransaction((tx, done) => {
+    tx.run(
+      `UPDATE customers SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...values, id],
+      function(err) {
+        if (err || this.changes === 0) {
+          return done(err, null);
+        }
+        if (name === null) {
+          return done(null, []);
+        }
+
+        tx.all('SELECT * FROM tickets WHERE customer_id = ? AND customer IS NOT ?', [id, name], (err, tickets) => {
+          if (err) {
+            return done(err);
+          }
+
+          let writeError = null;
+          const check = (err) => {
+            writeError = writeError || err;
+          };
+          const updates = tickets.map(ticket => ({
+            previous: ticket,
+            changes: [{ field: 'customer', old_value: ticket.customer, new_value: name }],
+            actions: [ticket.customer
+              ? `${FIELD_NAMES.customer} changed from "${ticket.customer}" to "${name}"`
+              : `${FIELD_NAMES.customer} updated to "${name}"`]
+          }));
+
+          tx.serialize(() => {
+            updates.forEach(update => {
+              tx.run(
+                'UPDATE tickets SET customer = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [name, update.previous.id],
+                check
+              );
+              recordHistory(tx, req, update.previous.id, update.changes);
+              tx.run(
+                'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
+                [update.previous.id, update.actions[0], req.user.full_name],
+                check
+              );
+            });
+
+            tx.all('SELECT * FROM tickets WHERE customer_id = ? AND customer = ?', [id, name], (err, rows) => {
+              if (writeError || err) {
+                return done(writeError || err);
+              }
+              updates.forEach(update => {
+                update.body = rows.find(row => row.id === update.previous.id);
+              });
+              done(null, updates);
+            });
+          });
+        });
+      }
+    );
+  }, (err, updates) => {
+    if (err) {
+      const status = err.message.includes('UNIQUE') ? 409 : 500;
+      res.status(status).json({ error: status === 409 ? 'Another customer already has this name' : err.message });
+      return;
+    }
+    if (!updates) {
+      res.status(404).json({ error: 'Customer not found' });
+      return;
+    }
+
+    // Events go out only once the rename is committed
+    updates.forEach(update => publishTicketUpdate(req, update));
+    loadCustomer(res, id, customer => res.json(customer));
+  });
+});
+
+// Delete customer - refused while tickets still refer to it
+app.delete('/api/customers/:id', requireAuth, requirePermission('customers:write'), (req, res) => {
+  const { id } = req.params;
+
+  db.get('SELECT COUNT(*) as count FROM tickets WHERE customer_id = ?', [id], (err, row) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (row.count > 0) {
+      res.status(409).json({ error: `Customer still has ${row.count} ticket(s)` });
+      return;
+    }
+
+    db.serialize(() => {
+      db.run('DELETE FROM contacts WHERE customer_id = ?', [id]);
+      db.run('DELETE FROM customers WHERE id = ?', [id], function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        if (this.changes === 0) {
+          res.status(404).json({ error: 'Customer not found' });
+          return;
+        }
+        res.json({ message: 'Customer deleted successfully' });
+      });
+    });
+  });
+});
+
+// Add contact person to a customer
+app.post('/api/customers/:id/contacts', requireAuth, requirePermission('customers:write'), (req, res) => {
+  const { name, title, email, phone } = req.body;
+
+  if (!name || !String(name).trim()) {
+    res.status(400).json({ error: 'Contact name is required' });
+    return;
+  }
+
+  loadCustomer(res, req.params.id, (customer) => {
+    db.run(
+      'INSERT INTO contacts (customer_id, name, title, email, phone) VALUES (?, ?, ?, ?, ?)',
+      [customer.id, String(name).trim(), title, email, phone],
+      function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        db.get('SELECT * FROM contacts WHERE id = ?', [this.lastID], (err, contact) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          res.status(201).json(contact);
+        });
+      }
+    );
+  });
+});
+
+// Update contact
+app.put('/api/contacts/:id', requireAuth, requirePermission('customers:write'), (req, res) => {
+  const { id } = req.params;
+  const fields = Object.keys(req.body).filter(field => CONTACT_FIELDS.includes(field));
+
+  if (fields.length === 0) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+  if (req.body.name !== undefined && !String(req.body.name).trim()) {
+    res.status(400).json({ error: 'Contact name is required' });
+    return;
+  }
+
+  const query = `UPDATE contacts SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+
+  db.run(query, [...fields.map(field => req.body[field]), id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'Contact not found' });
+      return;
+    }
+
+    db.get('SELECT * FROM contacts WHERE id = ?', [id], (err, contact) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(contact);
+    });
+  });
+});
+
+// Delete contact
+app.delete('/api/contacts/:id', requireAuth, requirePermission('customers:write'), (req, res) => {
+  db.run('DELETE FROM contacts WHERE id = ?', [req.params.id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'Contact not found' });
+      return;
+    }
+    res.json({ message: 'Contact deleted successfully' });
+  });
+});
+
+// Real-time updates over Server-Sent Events. Recent events are kept in
+// memory so a reconnecting client can catch up from its Last-Event-ID.
+const EVENT_BUFFER_SIZE = 500;
+const EVENT_HEARTBEAT_SECONDS = 25;
+const eventClients = new Set();
+const recentEvents = [];
+let lastEventId = 0;
+
+// A client receives an event when it may see one of the event's pipelines
+// and has subscribed to it (no filter means every pipeline)
+function clientWantsEvent(client, event) {
+  return event.pipelines.some(pipeline =>
+    canAccessPipeline(client.user, pipeline) && (!client.pipelines || client.pipelines.includes(pipeline))
+  );
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Send an event to connected clients, subscribed webhooks and, for ticket
+// changes, e-mail notifications. pipelines lists every pipeline the
+// event concerns (a ticket moved between pipelines concerns both).
+function publishEvent(type, pipelines, data) {
+  const event = { id: ++lastEventId, type, pipelines: [...new Set(pipelines.filter(Boolean))], data };
+
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  eventClients.forEach(client => {
+    if (clientWantsEvent(client, event)) {
+      writeEvent(client.res, event);
+    }
+  });
+
+  if (WEBHOOK_EVENTS.includes(type)) {
+    queueWebhookDeliveries(event);
+  }
+  if (type === 'ticket.created' || type === 'ticket.updated') {
+    queueNotifications(event);
+  }
+}
+
+// Publish timeline entries written by a handler, once they are committed
+function publishTimeline(ticket, actions, user) {
+  actions.forEach(action => {
+    publishEvent('timeline.added', [ticket.pipeline], { ticket_id: ticket.id, action, user });
+  });
+}
+
+// Text search over title, description, customer and ID
+function addTextSearch(filter, text) {
+  filter.where += ` AND (
+    title LIKE ? OR 
+    description LIKE ? OR 
+    customer LIKE ? OR 
+    id LIKE ?
+  )`;
+  const searchPattern = `%${text}%`;
+  filter.params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+}
+
+// A YYYY-MM-DD date as the start of that day (UTC), or null
+function parseQueryDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+// Add one field:value term of the ticket query language to a filter.
+// operator is "!" (not), a date comparison (>, >=, <, <=) or empty.
+// Returns an error message for terms that cannot be used.
+function addQueryTerm(filter, user, name, operator, value) {
+  const field = QUERY_FIELDS[name.toLowerCase()];
+  if (!field) {
+    return `Unknown search field "${name}"; use one of: ${Object.keys(QUERY_FIELDS).join(', ')}`;
+  }
+  if (value === '') {
+    return `Missing value for "${name}"`;
+  }
+
+  if (QUERY_DATE_FIELDS.includes(field)) {
+    const isRange = value.includes('..');
+    const [from, to] = isRange ? value.split('..') : [value, value];
+    const start = parseQueryDate(from);
+    const end = parseQueryDate(to);
+    if (!start || !end || operator === '!' || (isRange && operator)) {
+      return `Invalid date "${operator}${value}" for "${name}"; use YYYY-MM-DD, a comparison or a range (from..to)`;
+    }
+
+    // Dates stand for whole days: created:>2026-01-01 starts on January 2
+    const dayAfterEnd = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+    const [after, before] = {
+      '>': [dayAfterEnd, null],
+      '>=': [start, null],
+      '<': [null, start],
+      '<=': [null, dayAfterEnd],
+      '': [start, dayAfterEnd]
+    }[operator];
+
+    if (after) {
+      filter.where += ` AND ${field} >= ?`;
+      filter.params.push(toSqlDate(after));
+    }
+    if (before) {
+      filter.where += ` AND ${field} < ?`;
+      filter.params.push(toSqlDate(before));
+    }
+    return null;
+  }
+
+  if (operator && operator !== '!') {
+    return `"${name}" cannot be compared with ${operator}`;
+  }
+
+  // "me" is the current user; a list (priority:high,medium) matches any value
+  const values = value.split(',').map(item => item.trim()).filter(Boolean).map(item =>
+    item.toLowerCase() === 'me' && (field === 'assigned_to' || field === 'created_by') ? user.full_name : item
+  );
+  if (field === 'priority' && values.some(item => !PRIORITIES.includes(item.toLowerCase()))) {
+    return `Priority must be one of: ${PRIORITIES.join(', ')}`;
+  }
+
+  const conditions = values.map(item => {
+    if (item.toLowerCase() === 'none') {
+      return `(${field} IS NULL OR ${field} = '')`;
+    }
+    if (field === 'customer') {
+      filter.params.push(`%${item}%`);
+      return `${field} LIKE ?`;
+    }
+    filter.params.push(item);
+    return `${field} = ? COLLATE NOCASE`;
+  });
+
+  // Negated terms also match tickets where the field is empty
+  filter.where += operator === '!'
+    ? ` AND NOT COALESCE((${conditions.join(' OR ')}), 0)`
+    : ` AND (${conditions.join(' OR ')})`;
+  return null;
+}
+
+// Add a ticket query (?q=) to a filter: field:value terms (see
+// QUERY_FIELDS; values may be quoted and prefixed with "!" to negate) and
+// free text, searched like ?search=. Returns an error message or null.
+function addTicketQuery(filter, user, text) {
+  const pattern = /(\w+):(!|>=|<=|>|<)?(?:"([^"]*)"|(\S*))|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, name, operator = '', quotedValue, plainValue, phrase, word] = match;
+
+    if (name) {
+      const error = addQueryTerm(filter, user, name, operator, quotedValue !== undefined ? quotedValue : plainValue);
+      if (error) {
+        return error;
+      }
+    } else {
+      addTextSearch(filter, phrase !== undefined ? phrase : word);
+    }
+  }
+
+  return null;
+}
+
+// Build the WHERE clause of the ticket list filters (pipeline, status,
+// customer_id, search, the shorthands in TICKET_FILTER_TERMS, custom
+// fields as cf.<key> (see addCustomFieldFilter) and a query in q), limited
+// to the pipelines the user can access. Returns
+// { where, params }, { deniedPipeline } when the pipeline filter names one
+// the user cannot access, or { error } for an unusable query.
+function buildTicketFilter(user, filters) {
+  const { pipeline, status, search, customer_id, q } = filters;
+
+  const filter = { where: '1=1', params: [] };
+
+  if (pipeline && pipeline !== 'all') {
+    if (!canAccessPipeline(user, pipeline)) {
+      return { deniedPipeline: pipeline };
+    }
+
+    filter.where += ' AND pipeline = ?';
+    filter.params.push(pipeline);
+  } else if (user.role !== 'admin' && user.pipelines) {
+    filter.where += ` AND pipeline IN (${user.pipelines.map(() => '?').join(', ')})`;
+    filter.params.push(...user.pipelines);
+  }
+
+  if (status && status !== 'all') {
+    filter.where += ' AND status = ?';
+    filter.params.push(status);
+  }
+
+  if (customer_id) {
+    filter.where += ' AND customer_id = ?';
+    filter.params.push(customer_id);
+  }
+
+  if (search) {
+    addTextSearch(filter, search);
+  }
+
+  for (const [name, [field, operator]] of Object.entries(TICKET_FILTER_TERMS)) {
+    if (filters[name] !== undefined && filters[name] !== '') {
+      const error = addQueryTerm(filter, user, field, operator, String(filters[name]));
+      if (error) {
+        return { error: `${name}: ${error}` };
+      }
+    }
+  }
+
+  for (const [name, value] of Object.entries(filters)) {
+    if (name.startsWith(CUSTOM_FIELD_PREFIX) && value !== undefined && value !== '') {
+      const error = addCustomFieldFilter(filter, name.slice(CUSTOM_FIELD_PREFIX.length), String(value));
+      if (error) {
+        return { error: `${name}: ${error}` };
+      }
+    }
+  }
+
+  if (q) {
+    const error = addTicketQuery(filter, user, String(q));
+    if (error) {
+      return { error };
+    }
+  }
+
+  return filter;
+}
+
+// Subquery selecting expression from a custom field value of the ticket in
+// tickets, counting only fields of the ticket's current pipeline. key must
+// match KEY_PATTERN, as it is part of the SQL.
+function customFieldSql(key, expression, condition) {
+  return `(SELECT ${expression} FROM ticket_field_values field_values
+    JOIN pipeline_fields ON pipeline_fields.pipeline = tickets.pipeline AND pipeline_fields.key = field_values.field
+    WHERE field_values.ticket_id = tickets.id AND field_values.field = '${key}'${condition ? ` AND ${condition}` : ''})`;
+}
+
+// Add a custom field filter: one or more values separated by commas
+// (matched case-insensitively against the stored text), or a range
+// min..max where either end may be left out. Ranges compare amounts when
+// both ends are numbers and text otherwise, which suits YYYY-MM-DD dates.
+// Returns an error message for unusable filters.
+function addCustomFieldFilter(filter, key, value) {
+  if (!KEY_PATTERN.test(key)) {
+    return `Invalid custom field "${key}"`;
+  }
+
+  if (value.includes('..')) {
+    const [min, max] = value.split('..').map(end => end.trim());
+    if (!min && !max) {
+      return 'A range needs a minimum, a maximum or both';
+    }
+
+    const numeric = [min, max].every(end => !end || Number.isFinite(Number(end)));
+    const column = numeric ? 'field_values.number' : 'field_values.value';
+    const conditions = [];
+    if (min) {
+      conditions.push(`${column} >= ?`);
+      filter.params.push(numeric ? Number(min) : min);
+    }
+    if (max) {
+      conditions.push(`${column} <= ?`);
+      filter.params.push(numeric ? Number(max) : max);
+    }
+    filter.where += ` AND EXISTS ${customFieldSql(key, '1', conditions.join(' AND '))}`;
+    return null;
+  }
+
+  const values = value.split(',').map(item => item.trim()).filter(Boolean);
+  const condition = `field_values.value COLLATE NOCASE IN (${values.map(() => '?').join(', ')})`;
+  filter.where += ` AND EXISTS ${customFieldSql(key, '1', condition)}`;
+  filter.params.push(...values);
+  return null;
+}
+
+// ORDER BY clause for ?sort=-priority,created_at ("-" sorts descending).
+// Priorities sort by rank rather than name, and custom fields (cf.<key>)
+// by amount or stored text. Returns { orderBy } or { error }.
+function buildTicketSort(sort) {
+  const keys = String(sort || '').split(',').map(key => key.trim()).filter(Boolean);
+  if (keys.length === 0) {
+    keys.push('-created_at');
+  }
+
+  const terms = [];
+  let direction = 'DESC';
+
+  for (const key of keys) {
+    const column = key.replace(/^-/, '');
+    const customField = column.startsWith(CUSTOM_FIELD_PREFIX) ? column.slice(CUSTOM_FIELD_PREFIX.length) : null;
+    if (customField !== null ? !KEY_PATTERN.test(customField) : !TICKET_SORT_COLUMNS.includes(column)) {
+      return {
+        error: `Cannot sort by "${column}"; use one of: ${TICKET_SORT_COLUMNS.join(', ')} or ${CUSTOM_FIELD_PREFIX}<field key>`
+      };
+    }
+
+    direction = key.startsWith('-') ? 'DESC' : 'ASC';
+    let expression = column;
+    if (column === 'priority') {
+      expression = `CASE priority ${PRIORITIES.map((priority, rank) => `WHEN '${priority}' THEN ${rank}`).join(' ')} END`;
+    } else if (customField !== null) {
+      expression = customFieldSql(customField, 'COALESCE(field_values.number, field_values.value)');
+    }
+    terms.push(`${expression} ${direction}`);
+  }
+
+  // Ties keep creation order, so pages never overlap
+  terms.push(`rowid ${direction}`);
+  return { orderBy: terms.join(', ') };
+}
+
+// Get tickets with optional filters (see buildTicketFilter), sorted by
+// ?sort= (see buildTicketSort). ?limit= and ?offset= return one page. The
+// X-Total-Count header has the number of matching tickets, and pages get a
+// Link header to the previous and next page.
+app.get('/api/tickets', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const filter = buildTicketFilter(req.user, req.query);
+  if (filter.deniedPipeline) {
+    denyPipeline(res, filter.deniedPipeline);
+    return;
+  }
+  if (filter.error) {
+    res.status(400).json({ error: filter.error });
+    return;
+  }
+
+  const sort = buildTicketSort(req.query.sort);
+  if (sort.error) {
+    res.status(400).json({ error: sort.error });
+    return;
+  }
+
+  const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_TICKET_PAGE_SIZE)) {
+    res.status(400).json({ error: `limit must be between 1 and ${MAX_TICKET_PAGE_SIZE}` });
+    return;
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    res.status(400).json({ error: 'offset must be a whole number of at least 0' });
+    return;
+  }
+
+  db.get(`SELECT COUNT(*) AS total FROM tickets WHERE ${filter.where}`, filter.params, (err, count) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    // LIMIT -1 is SQLite for "no limit"
+    db.all(
+      `SELECT * FROM tickets WHERE ${filter.where} ORDER BY ${sort.orderBy} LIMIT ? OFFSET ?`,
+      [...filter.params, limit === null ? -1 : limit, offset],
+      (err, rows) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        loadPipelineConfig((err, pipelines) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          attachCustomFields(rows, pipelines, (err, tickets) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+
+            res.set('X-Total-Count', String(count.total));
+            if (limit !== null) {
+              const pageUrl = (pageOffset) => `/api/tickets?${new URLSearchParams({ ...req.query, offset: pageOffset })}`;
+              const links = {};
+              if (offset > 0) {
+                links.prev = pageUrl(Math.max(offset - limit, 0));
+              }
+              if (offset + limit < count.total) {
+                links.next = pageUrl(offset + limit);
+              }
+              res.links(links);
+            }
+            res.json(tickets);
+          });
+        });
+      }
+    );
+  });
+});
+
+// Rebuild the full-text search index from the tickets, timelines and
+// comments. callback(err, indexed)
+function rebuildSearchIndex(callback) {
+  withTransaction((tx, done) => {
+    // One exec, so no other statement can run between the delete and the refill
+    tx.exec(`
+      DELETE FROM ticket_search;
+      DELETE FROM ticket_search_rows;
+      INSERT INTO ticket_search_rows (ticket_id) SELECT id FROM tickets ORDER BY rowid;
+      INSERT INTO ticket_search (rowid, ticket_id, title, description, customer, timeline, comments)
+      SELECT search_rows.id, tickets.id, tickets.title, tickets.description, tickets.customer,
+        (SELECT group_concat(action, ' ') FROM timeline WHERE ticket_id = tickets.id),
+        (SELECT group_concat(body, ' ') FROM comments WHERE ticket_id = tickets.id AND deleted_at IS NULL)
+      FROM tickets JOIN ticket_search_rows search_rows ON search_rows.ticket_id = tickets.id;
+      INSERT INTO ticket_search (ticket_search) VALUES ('optimize');
+    `, (err) => {
+      if (err) {
+        return done(err);
+      }
+      tx.get('SELECT COUNT(*) AS count FROM ticket_search_rows', (err, row) => done(err, row && row.count));
+    });
+  }, callback);
+}
+
+// Rebuild the search index when it does not cover every ticket.
+// callback(err)
+function syncSearchIndex(callback) {
+  db.get(`
+    SELECT (SELECT COUNT(*) FROM tickets) AS tickets, (SELECT COUNT(*) FROM ticket_search_rows) AS indexed
+  `, (err, counts) => {
+    if (err || counts.tickets === counts.indexed) {
+      return callback(err);
+    }
+
+    rebuildSearchIndex((err, indexed) => {
+      if (!err) {
+        console.log(`Indexed ${indexed} ticket(s) for search`);
+      }
+      callback(err);
+    });
+  });
+}
+
+// Turn search text into an FTS5 query: words and "quoted phrases" must all
+// match, and a trailing * makes a word a prefix (mill*). Everything else is
+// quoted, so FTS5 operators in the text are searched as plain words.
+// Returns null when there is nothing to search for.
+function toFtsQuery(text) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        terms.push(`"${phrase}"`);
+      }
+      continue;
+    }
+
+    const bare = word.replace(/"/g, '').replace(/\*+$/, '');
+    if (bare) {
+      terms.push(`"${bare}"${word.endsWith('*') ? '*' : ''}`);
+    }
+  }
+
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+// Escape search result text for HTML and turn the match markers set by
+// highlight() and snippet() into <mark> elements
+function toHighlightHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text || '')
+    .replace(/[&<>"']/g, char => entities[char])
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
+
+// Search tickets by title, description, customer, timeline and comment
+// text (?q=, see toFtsQuery), best matches first. Takes the GET
+// /api/tickets filters except search and q, and ?limit= and ?offset=.
+// Results are tickets with a relevance score, the title as highlighted
+// HTML (title_html) and the best matching passage (snippet_html). The
+// X-Total-Count header has the number of matches.
+app.get('/api/search', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const ftsQuery = toFtsQuery(String(req.query.q || ''));
+  if (!ftsQuery) {
+    res.status(400).json({ error: 'Missing search text (q)' });
+    return;
+  }
+
+  const filter = buildTicketFilter(req.user, { ...req.query, search: undefined, q: undefined });
+  if (filter.deniedPipeline) {
+    denyPipeline(res, filter.deniedPipeline);
+    return;
+  }
+  if (filter.error) {
+    res.status(400).json({ error: filter.error });
+    return;
+  }
+
+  const limit = req.query.limit === undefined ? SEARCH_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TICKET_PAGE_SIZE) {
+    res.status(400).json({ error: `limit must be between 1 and ${MAX_TICKET_PAGE_SIZE}` });
+    return;
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    res.status(400).json({ error: 'offset must be a whole number of at least 0' });
+    return;
+  }
+
+  const match = `
+    FROM ticket_search JOIN tickets ON tickets.id = ticket_search.ticket_id
+    WHERE ticket_search MATCH ? AND tickets.id IN (SELECT id FROM tickets WHERE ${filter.where})
+  `;
+  const params = [ftsQuery, ...filter.params];
+
+  db.get(`SELECT COUNT(*) AS total ${match}`, params, (err, count) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    // bm25 ranks lower as better; weights follow the ticket_search columns
+    db.all(`
+      SELECT tickets.*,
+        -bm25(ticket_search, ${SEARCH_WEIGHTS.join(', ')}) AS score,
+        highlight(ticket_search, 1, char(2), char(3)) AS title_match,
+        snippet(ticket_search, -1, char(2), char(3), '…', 16) AS snippet_match
+      ${match}
+      ORDER BY score DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      res.set('X-Total-Count', String(count.total));
+      res.json(rows.map(({ title_match: titleMatch, snippet_match: snippetMatch, ...ticket }) => ({
+        ...ticket,
+        score: Math.round(ticket.score * 1000) / 1000,
+        title_html: toHighlightHtml(titleMatch),
+        snippet_html: toHighlightHtml(snippetMatch)
+      })));
+    });
+  });
+});
+
+// Rebuild the search index (admin), e.g. after restoring a backup
+app.post('/api/search/rebuild', requireAuth, requireAdmin, (req, res) => {
+  rebuildSearchIndex((err, indexed) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json({ indexed });
+  });
+});
+
+// Get single ticket with timeline
+app.get('/api/tickets/:id', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const { id } = req.params;
+
+  loadAccessibleTicket(req, res, id, (ticket) => {
+    // Get timeline
+    db.all(
+      'SELECT * FROM timeline WHERE ticket_id = ? ORDER BY created_at ASC',
+      [id],
+      (err, timeline) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        loadPipelineConfig((err, pipelines) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          attachCustomFields([ticket], pipelines, (err, [withFields] = []) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+
+            const nextStatuses = getNextStatuses(findPipeline(pipelines, ticket.pipeline), ticket.status);
+            res.set('ETag', `"${ticket.version}"`);
+            res.json({ ...withFields, timeline, next_statuses: nextStatuses });
+          });
+        });
+      }
+    );
+  });
+});
+
+// Get field-level change history of a ticket, optionally filtered by
+// field (?field=status or ?field=status,priority)
+app.get('/api/tickets/:id/history', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const { id } = req.params;
+
+  loadAccessibleTicket(req, res, id, () => {
+    let query = 'SELECT * FROM ticket_history WHERE ticket_id = ?';
+    const params = [id];
+
+    if (req.query.field) {
+      const fields = String(req.query.field).split(',').map(field => field.trim()).filter(Boolean);
+      query += ` AND field IN (${fields.map(() => '?').join(', ')})`;
+      params.push(...fields);
+    }
+
+    query += ' ORDER BY created_at ASC, id ASC';
+
+    db.all(query, params, (err, history) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(history);
+    });
+  });
+});
+
+// Insert a new ticket in the first status of its pipeline, with a reserved
+// ID and SLA due dates. Runs inside a transaction, whose tx it is given, so
+// concurrent creates can never be handed the same number; publish the
+// ticket with publishCreatedTicket once it is committed. req is the
+// creating user's request, or null for tickets the server creates itself
+// (e.g. from e-mail); createdBy names the creator. An external_ref (a
+// reference in another system) must be unique. custom_fields are checked
+// against the pipeline's fields, required ones included; callers that
+// cannot supply them (e-mail intake, imports) leave custom_fields out and
+// skip that check. timeline ([{ action, user, created_at }], see
+// createTicketTimeline) is written as the ticket's first entries.
+// callback(err, { ticketId } or { error: { status, body } })
+function insertTicket(tx, req, fields, createdBy, timeline, pipelines, slaConfig, callback) {
+  const { title, description, customer, customer_id, pipeline, priority, assigned_to } = fields;
+  const externalRef = fields.external_ref ? String(fields.external_ref).trim() : null;
+  const fail = (status, error) => callback(null, { error: { status, body: { error } } });
+
+  const pipelineConfig = findPipeline(pipelines, pipeline);
+  if (!pipelineConfig) {
+    return fail(400, `Unknown pipeline "${pipeline}"`);
+  }
+  if (pipelineConfig.statuses.length === 0) {
+    return fail(400, `Pipeline "${pipeline}" has no statuses configured`);
+  }
+
+  const custom = getCustomFieldChanges(pipelineConfig, {}, fields.custom_fields, fields.custom_fields !== undefined);
+  if (custom.error) {
+    return fail(400, custom.error);
+  }
+
+  // New tickets start in the first status of their pipeline
+  const initialStatus = pipelineConfig.statuses[0].key;
+  const due = computeSlaDueDates(pipeline, priority, new Date(), slaConfig);
+
+  // Link the ticket to a registered customer (see resolveTicketCustomer)
+  resolveTicketCustomer(tx, { customer, customer_id }, (err, linked) => {
+    if (err) {
+      return callback(err);
+    }
+    if (linked.error) {
+      return fail(400, linked.error);
+    }
+
+    reserveTicketId(tx, pipelineConfig, (err, ticketId) => {
+      if (err) {
+        return callback(err);
+      }
+
+      tx.run(`
+        INSERT INTO tickets (
+          id, external_ref, title, description, customer, customer_id, pipeline, status, priority, assigned_to,
+          created_by, first_response_due_at, resolution_due_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        ticketId, externalRef, title, description, linked.customer, linked.customer_id,
+        pipeline, initialStatus, priority, assigned_to, createdBy,
+        due.first_response_due_at, due.resolution_due_at
+      ], (err) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT' && err.message.includes('external_ref')) {
+          return fail(409, `A ticket with external reference "${externalRef}" already exists`);
+        }
+        if (err) {
+          return callback(err);
+        }
+
+        timeline.forEach(entry => {
+          tx.run(
+            'INSERT INTO timeline (ticket_id, action, user, created_at) VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+            [ticketId, entry.action, entry.user, entry.created_at]
+          );
+        });
+
+        recordHistory(tx, req, ticketId, [{ field: 'ticket', old_value: null, new_value: 'created' }]);
+        writeCustomFieldChanges(tx, ticketId, custom.changes);
+
+        callback(null, { ticketId });
+      });
+    });
+  });
+}
+
+// The first timeline entries of a new ticket: the given ones (e.g. the
+// history of an imported ticket), else "Ticket created"
+function createTicketTimeline(entries, createdBy) {
+  return entries && entries.length > 0
+    ? entries
+    : [{ action: 'Ticket created', user: createdBy, created_at: null }];
+}
+
+// Publish a committed new ticket and its timeline.
+// callback(err, ticket with custom fields)
+function publishCreatedTicket(ticketId, timeline, createdBy, pipelines, callback) {
+  db.get('SELECT * FROM tickets WHERE id = ?', [ticketId], (err, row) => {
+    if (err) {
+      return callback(err);
+    }
+
+    attachCustomFields([row], pipelines, (err, [ticket] = []) => {
+      if (err) {
+        return callback(err);
+      }
+
+      publishEvent('ticket.created', [ticket.pipeline], { ticket, user: createdBy });
+      timeline.forEach(entry => publishTimeline(ticket, [entry.action], entry.user));
+
+      callback(null, ticket);
+    });
+  });
+}
+
+// Create a ticket in a transaction of its own (see insertTicket) and
+// publish it. options.timeline replaces the "Ticket created" entry.
+// options.afterInsert(tx, ticketId, next) writes more inside the same
+// transaction; next(err, refusal) with a { status, body } refusal rolls the
+// ticket back and returns the refusal as the error.
+// callback(err, { ticket } or { error: { status, body } })
+function createTicket(fields, req, createdBy, options, callback) {
+  const timeline = createTicketTimeline(options.timeline, createdBy);
+  const afterInsert = options.afterInsert || ((tx, ticketId, next) => next(null));
+  // Refusals roll back whatever was written before them, e.g. a new customer
+  const refuse = (refusal) => Object.assign(new Error(refusal.body.error), { refusal });
+
+  loadTicketConfig((err, pipelines, slaConfig) => {
+    if (err) {
+      return callback(err);
+    }
+
+    withTransaction((tx, done) => {
+      insertTicket(tx, req, fields, createdBy, timeline, pipelines, slaConfig, (err, inserted) => {
+        if (err || inserted.error) {
+          return done(err || refuse(inserted.error));
+        }
+
+        afterInsert(tx, inserted.ticketId, (err, refusal) => {
+          if (err || refusal) {
+            return done(err || refuse(refusal));
+          }
+          done(null, inserted.ticketId);
+        });
+      });
+    }, (err, ticketId) => {
+      if (err && err.refusal) {
+        return callback(null, { error: err.refusal });
+      }
+      if (err) {
+        return callback(err);
+      }
+
+      publishCreatedTicket(ticketId, timeline, createdBy, pipelines, (err, ticket) => {
+        callback(err, ticket && { ticket });
+      });
+    });
+  });
+}
+
+// Create new ticket
+app.post('/api/tickets', requireAuth, requirePermission('tickets:create'), (req, res) => {
+  const { title, description, pipeline, priority } = req.body;
+
+  // Validate required fields
+  if (!title || !description || !pipeline || !priority) {
+    res.status(400).json({ error: 'Missing required fields' });
+    return;
+  }
+
+  if (!canAccessPipeline(req.user, pipeline)) {
+    denyPipeline(res, pipeline);
+    return;
+  }
+
+  // created_by comes from the authenticated user
+  createTicket({ ...req.body, custom_fields: req.body.custom_fields || {} }, req, req.user.full_name, {}, (err, result) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (result.error) {
+      res.status(result.error.status).json(result.error.body);
+      return;
+    }
+
+    // Return the created ticket
+    res.status(201).json(result.ticket);
+  });
+});
+
+// Check a partial ticket update against field rules, pipeline access and the
+// pipeline's transition graph (skipped with enforceTransitions: false).
+// Returns { updates } with the columns to write, or { error: { status, body } }.
+function validateTicketChanges(current, patch, pipelines, user, options = {}) {
+  const fail = (status, body) => ({ error: { status, body } });
+  const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+
+  const unknownFields = Object.keys(patch).filter(name => !EDITABLE_FIELDS.includes(name));
+  if (unknownFields.length > 0) {
+    return fail(400, { error: `Invalid field(s): ${unknownFields.join(', ')}` });
+  }
+
+  for (const name of REQUIRED_TICKET_FIELDS) {
+    if (patch[name] !== undefined && isEmpty(patch[name])) {
+      return fail(400, { error: `${FIELD_NAMES[name]} cannot be empty` });
+    }
+  }
+
+  if (patch.priority !== undefined && !PRIORITIES.includes(patch.priority)) {
+    return fail(400, { error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+  }
+
+  const updates = { ...patch };
+  let pipeline = findPipeline(pipelines, current.pipeline);
+
+  if (patch.pipeline !== undefined && patch.pipeline !== current.pipeline) {
+    if (!canAccessPipeline(user, patch.pipeline)) {
+      return fail(403, { error: `You do not have access to the "${patch.pipeline}" pipeline` });
+    }
+
+    pipeline = findPipeline(pipelines, patch.pipeline);
+    if (!pipeline) {
+      return fail(400, { error: `Unknown pipeline "${patch.pipeline}"` });
+    }
+
+    if (patch.status !== undefined) {
+      if (!findStatus(pipeline, patch.status)) {
+        return fail(400, { error: `Unknown status "${patch.status}" for pipeline "${patch.pipeline}"` });
+      }
+    } else if (!findStatus(pipeline, current.status) && pipeline.statuses.length > 0) {
+      // A ticket moved into a pipeline that lacks its current status
+      // restarts at the first status of the target pipeline
+      updates.status = pipeline.statuses[0].key;
+    }
+  } else if (patch.status !== undefined && patch.status !== current.status) {
+    if (!findStatus(pipeline, patch.status)) {
+      return fail(400, { error: `Unknown status "${patch.status}" for pipeline "${current.pipeline}"` });
+    }
+    if (options.enforceTransitions === false) {
+      return { updates };
+    }
+
+    const nextStatuses = getNextStatuses(pipeline, current.status);
+    const transition = nextStatuses.find(status => status.key === patch.status);
+    if (!transition) {
+      return fail(409, {
+        error: `Cannot change status from "${current.status}" to "${patch.status}"`,
+        allowed: nextStatuses.map(status => status.key)
+      });
+    }
+
+    const missingFields = transition.required_fields.filter(name =>
+      isEmpty(patch[name] !== undefined ? patch[name] : current[name])
+    );
+    if (missingFields.length > 0) {
+      return fail(409, {
+        error: `Changing status to "${patch.status}" requires: ${missingFields.join(', ')}`,
+        allowed: nextStatuses.map(status => status.key),
+        missing_fields: missingFields
+      });
+    }
+  }
+
+  return { updates };
+}
+
+// Validate a partial update against a loaded ticket and, unless
+// options.dryRun, write it with history and timeline entries. Runs inside a
+// transaction, whose tx it is given. options.enforceTransitions: false allows any status change
+// (see validateTicketChanges). custom_fields are checked against the fields
+// of the ticket's pipeline after the update. callback(err, { status, body,
+// previous, changes, actions }); changes is only set when something changed.
+function applyTicketPatch(tx, req, current, patch, pipelines, slaConfig, options, callback) {
+  const { custom_fields: customInput, ...fieldPatch } = patch;
+
+  resolveTicketCustomer(tx, fieldPatch, (err, resolvedPatch) => {
+    if (err) {
+      return callback(err);
+    }
+    if (resolvedPatch.error) {
+      return callback(null, { status: 400, body: { error: resolvedPatch.error } });
+    }
+
+    const result = validateTicketChanges(current, resolvedPatch, pipelines, req.user, options);
+    if (result.error) {
+      return callback(null, result.error);
+    }
+
+    // Old values come from the stored row, never from the client
+    const fieldChanges = Object.keys(result.updates)
+      .filter(column => String(current[column] ?? '') !== String(result.updates[column] ?? ''))
+      .map(column => ({ field: column, old_value: current[column], new_value: result.updates[column] }));
+
+    const pipeline = findPipeline(pipelines, result.updates.pipeline || current.pipeline);
+    loadCustomFieldRows(tx, [current.id], (err, storedRows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const currentRows = storedRows[current.id] || {};
+      const custom = getCustomFieldChanges(pipeline, currentRows, customInput, false);
+      if (custom.error) {
+        return callback(null, { status: 400, body: { error: custom.error } });
+      }
+
+      // Values as they are once the update is written
+      const updatedRows = { ...currentRows };
+      custom.changes.forEach(change => {
+        if (change.new_value === null) {
+          delete updatedRows[change.key];
+        } else {
+          updatedRows[change.key] = { value: change.new_value, number: change.number };
+        }
+      });
+      const customFields = getCustomFieldValues(pipeline, updatedRows);
+
+      const changes = [...fieldChanges, ...custom.changes];
+      if (changes.length === 0) {
+        return callback(null, { status: 200, body: { ...current, custom_fields: customFields } });
+      }
+
+      const actions = [
+        ...fieldChanges.filter(change => FIELD_NAMES[change.field]).map(change =>
+          change.old_value
+            ? `${FIELD_NAMES[change.field]} changed from "${change.old_value}" to "${change.new_value}"`
+            : `${FIELD_NAMES[change.field]} updated to "${change.new_value}"`
+        ),
+        ...describeCustomFieldChanges(custom.changes)
+      ];
+
+      if (options.dryRun) {
+        return callback(null, {
+          status: 200,
+          body: { ...current, ...result.updates, custom_fields: customFields },
+          previous: current,
+          changes,
+          actions
+        });
+      }
+
+      // SLA bookkeeping columns are updated without history entries. A
+      // change to custom fields alone still bumps the version.
+      const slaUpdates = getSlaUpdates(current, result.updates, pipelines, slaConfig);
+      const columns = [...fieldChanges.map(change => change.field), ...Object.keys(slaUpdates)];
+      const values = [...fieldChanges.map(change => change.new_value), ...Object.values(slaUpdates)];
+
+      const query = `UPDATE tickets SET ${columns.map(column => `${column} = ?, `).join('')}
+        version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND version = ?`;
+
+      tx.run(query, [...values, current.id, current.version], function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        tx.serialize(() => {
+          writeCustomFieldChanges(tx, current.id, custom.changes);
+          recordHistory(tx, req, current.id, changes);
+
+          // Add timeline entries
+          actions.forEach(action => {
+            tx.run(
+              'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
+              [current.id, action, req.user.full_name]
+            );
+          });
+
+          tx.get('SELECT * FROM tickets WHERE id = ?', [current.id], (err, ticket) => {
+            callback(err, {
+              status: 200,
+              body: ticket && { ...ticket, custom_fields: customFields },
+              previous: current,
+              changes,
+              actions
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Publish the events of a committed applyTicketPatch result
+function publishTicketUpdate(req, result) {
+  if (!result.changes) {
+    return;
+  }
+
+  publishEvent('ticket.updated', [result.previous.pipeline, result.body.pipeline], {
+    ticket: result.body,
+    changes: result.changes.map(change => change.field),
+    previous: Object.fromEntries(result.changes.map(change => [change.field, change.old_value])),
+    user: req.user.full_name
+  });
+  publishTimeline(result.body, result.actions, req.user.full_name);
+}
+
+// Apply a partial update to a ticket in one transaction, with history and
+// timeline entries for every changed field. When expectedVersion is given
+// the update only succeeds if the ticket is still at that version.
+function updateTicket(req, res, id, patch, expectedVersion) {
+  loadTicketConfig((err, pipelines, slaConfig) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    withTransaction((tx, done) => {
+      tx.get('SELECT * FROM tickets WHERE id = ?', [id], (err, current) => {
+        if (err) {
+          return done(err);
+        }
+        if (!current) {
+          return done(null, { status: 404, body: { error: 'Ticket not found' } });
+        }
+        if (!canAccessPipeline(req.user, current.pipeline)) {
+          return done(null, { status: 403, body: { error: `You do not have access to the "${current.pipeline}" pipeline` } });
+        }
+        if (expectedVersion !== undefined && current.version !== expectedVersion) {
+          return done(null, {
+            status: 409,
+            body: { error: 'Ticket was modified by someone else', current }
+          });
+        }
+
+        applyTicketPatch(tx, req, current, patch, pipelines, slaConfig, {}, done);
+      });
+    }, (err, result) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      // Events go out only once the change is committed
+      publishTicketUpdate(req, result);
+
+      if (result.status === 200) {
+        res.set('ETag', `"${result.body.version}"`);
+      }
+      res.status(result.status).json(result.body);
+    });
+  });
+}
+
+// Update a single ticket field, or with field "custom_fields" the custom
+// field values given as an object
+app.put('/api/tickets/:id', requireAuth, requirePermission('tickets:update'), (req, res) => {
+  const { id } = req.params;
+  const { field, value } = req.body;
+
+  if (!field || value === undefined) {
+    res.status(400).json({ error: 'Missing field or value' });
+    return;
+  }
+
+  // Validate field
+  if (!EDITABLE_FIELDS.includes(field) && field !== 'custom_fields') {
+    res.status(400).json({ error: 'Invalid field' });
+    return;
+  }
+
+  // Extra fields sent along with a status change to satisfy its requirements
+  const transitionFields = req.body.fields || {};
+  if (Object.keys(transitionFields).some(name => !TRANSITION_FIELDS.includes(name))) {
+    res.status(400).json({ error: `Transition fields must be chosen from: ${TRANSITION_FIELDS.join(', ')}` });
+    return;
+  }
+
+  const patch = field === 'status' ? { ...transitionFields, [field]: value } : { [field]: value };
+  updateTicket(req, res, id, patch);
+});
+
+// Update several ticket fields at once. Requires the current version, sent
+// as an If-Match header (the ETag of GET /api/tickets/:id) or as "version".
+app.patch('/api/tickets/:id', requireAuth, requirePermission('tickets:update'), (req, res) => {
+  const { id } = req.params;
+  const { version, ...patch } = req.body || {};
+  const ifMatch = req.get('if-match');
+  const expectedVersion = Number(ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : version);
+
+  if (ifMatch === undefined && version === undefined) {
+    res.status(428).json({ error: 'Send the ticket version as an If-Match header or "version" field' });
+    return;
+  }
+  if (!Number.isInteger(expectedVersion)) {
+    res.status(400).json({ error: 'Invalid ticket version' });
+    return;
+  }
+  if (Object.keys(patch).length === 0) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+
+  updateTicket(req, res, id, patch, expectedVersion);
+});
+
+// Delete a ticket with its timeline, comments, attachments and e-mail
+// records, inside a transaction. History outlives the ticket for audit
+// purposes. Call finishTicketDelete once the delete is committed.
+// callback(err, { deleted, hashes }) with the digests of its attachment files.
+function deleteTicketRecords(tx, req, ticket, callback) {
+  tx.all('SELECT sha256 FROM attachments WHERE ticket_id = ?', [ticket.id], (err, attachments) => {
+    if (err) {
+      return callback(err);
+    }
+
+    tx.serialize(() => {
+      // Delete timeline entries, comments, attachments, e-mail records, links
+      // and custom field values first (due to foreign key)
+      tx.run('DELETE FROM timeline WHERE ticket_id = ?', [ticket.id]);
+      tx.run('DELETE FROM comment_mentions WHERE comment_id IN (SELECT id FROM comments WHERE ticket_id = ?)', [ticket.id]);
+      tx.run('DELETE FROM comments WHERE ticket_id = ?', [ticket.id]);
+      tx.run('DELETE FROM attachments WHERE ticket_id = ?', [ticket.id]);
+      tx.run('DELETE FROM email_messages WHERE ticket_id = ?', [ticket.id]);
+      tx.run('DELETE FROM ticket_links WHERE source_id = ? OR target_id = ?', [ticket.id, ticket.id]);
+      tx.run('DELETE FROM ticket_field_values WHERE ticket_id = ?', [ticket.id]);
+
+      // Delete ticket
+      tx.run('DELETE FROM tickets WHERE id = ?', [ticket.id], function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (this.changes > 0) {
+          recordHistory(tx, req, ticket.id, [{ field: 'ticket', old_value: 'exists', new_value: 'deleted' }]);
+        }
+        callback(null, { deleted: this.changes > 0, hashes: attachments.map(attachment => attachment.sha256) });
+      });
+    });
+  });
+}
+
+// Remove the files a deleted ticket no longer needs and publish the delete
+function finishTicketDelete(ticket, hashes) {
+  removeOrphanedAttachmentFiles(hashes);
+  publishEvent('ticket.deleted', [ticket.pipeline], { id: ticket.id, pipeline: ticket.pipeline });
+}
+
+// Delete ticket
+app.delete('/api/tickets/:id', requireAuth, requirePermission('tickets:delete'), (req, res) => {
+  loadAccessibleTicket(req, res, req.params.id, (ticket) => {
+    withTransaction((tx, done) => deleteTicketRecords(tx, req, ticket, done), (err, result) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      if (!result.deleted) {
+        res.status(404).json({ error: 'Ticket not found' });
+        return;
+      }
+
+      finishTicketDelete(ticket, result.hashes);
+      res.json({ message: 'Ticket deleted successfully' });
+    });
+  });
+});
+
+// Check the filter of a bulk change: GET /api/tickets filters, at least one
+// of which narrows the selection, so that a bulk change never reaches every
+// ticket by accident. Returns an error message or null.
+function validateBulkFilter(filter) {
+  if (typeof filter !== 'object' || Array.isArray(filter) ||
+      Object.keys(filter).some(name => !VIEW_FILTERS.includes(name) && !name.startsWith(CUSTOM_FIELD_PREFIX)) ||
+      Object.values(filter).some(value => typeof value !== 'string' && typeof value !== 'number')) {
+    return `filter must map parameters chosen from ${VIEW_FILTERS.join(', ')} or ${CUSTOM_FIELD_PREFIX}<field key> to values`;
+  }
+
+  const criteria = Object.entries(filter).filter(([name, value]) =>
+    String(value).trim() !== '' && !(['pipeline', 'status'].includes(name) && value === 'all'));
+  if (criteria.length === 0) {
+    return 'filter must contain at least one criterion';
+  }
+  return null;
+}
+
+// Apply one change to many tickets, chosen by { ids } or by { filter } with
+// the GET /api/tickets filters. { set: { status, priority, ... } } updates
+// them and { delete: true } deletes them. Each ticket is checked like a
+// single update; the valid ones are changed in one transaction and the
+// others reported as failed. With dry_run nothing is written.
+app.post('/api/tickets/bulk', requireAuth, (req, res) => {
+  const { ids, filter, set } = req.body || {};
+  const isDelete = req.body.delete === true;
+  const dryRun = !!req.body.dry_run;
+
+  if (!ids === !filter) {
+    res.status(400).json({ error: 'Send either ids or filter' });
+    return;
+  }
+  if (ids && (!Array.isArray(ids) || ids.length === 0)) {
+    res.status(400).json({ error: 'ids must be a non-empty list' });
+    return;
+  }
+  if (ids && ids.length > MAX_BULK_TICKETS) {
+    res.status(400).json({ error: `At most ${MAX_BULK_TICKETS} tickets can be changed at once` });
+    return;
+  }
+  if (isDelete === !!set) {
+    res.status(400).json({ error: 'Send either set or delete: true' });
+    return;
+  }
+  if (set && (typeof set !== 'object' || Object.keys(set).length === 0 ||
+      Object.keys(set).some(field => !BULK_FIELDS.includes(field)))) {
+    res.status(400).json({ error: `set must contain fields chosen from: ${BULK_FIELDS.join(', ')}` });
+    return;
+  }
+
+  let target = { where: `id IN (${(ids || []).map(() => '?').join(', ')})`, params: ids || [] };
+  if (filter) {
+    const error = validateBulkFilter(filter);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    target = buildTicketFilter(req.user, filter);
+    if (target.deniedPipeline) {
+      denyPipeline(res, target.deniedPipeline);
+      return;
+    }
+    if (target.error) {
+      res.status(400).json({ error: target.error });
+      return;
+    }
+  }
+
+  requirePermission(isDelete ? 'tickets:delete' : 'tickets:update')(req, res, () => {
+    loadTicketConfig((err, pipelines, slaConfig) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      withTransaction((tx, done) => {
+        tx.all(
+          `SELECT * FROM tickets WHERE ${target.where} ORDER BY created_at DESC LIMIT ?`,
+          [...target.params, MAX_BULK_TICKETS + 1],
+          (err, tickets) => {
+            if (err) {
+              return done(err);
+            }
+            if (tickets.length > MAX_BULK_TICKETS) {
+              return done(null, { error: `The filter matches more than ${MAX_BULK_TICKETS} tickets` });
+            }
+
+            const results = [];
+            const committed = [];
+            const missing = (ids || []).filter(id => !tickets.some(ticket => ticket.id === id));
+            missing.forEach(id => results.push({ id, result: 'failed', error: 'Ticket not found' }));
+
+            const processNext = (index) => {
+              if (index === tickets.length) {
+                return done(null, { results, committed });
+              }
+
+              const ticket = tickets[index];
+              const next = () => processNext(index + 1);
+
+              if (!canAccessPipeline(req.user, ticket.pipeline)) {
+                results.push({ id: ticket.id, result: 'failed', error: `You do not have access to the "${ticket.pipeline}" pipeline` });
+                return next();
+              }
+
+              if (isDelete) {
+                if (dryRun) {
+                  results.push({ id: ticket.id, result: 'deleted' });
+                  return next();
+                }
+
+                deleteTicketRecords(tx, req, ticket, (err, deletion) => {
+                  if (err) {
+                    return done(err);
+                  }
+                  results.push({ id: ticket.id, result: 'deleted' });
+                  committed.push({ ticket, hashes: deletion.hashes });
+                  next();
+                });
+                return;
+              }
+
+              applyTicketPatch(tx, req, ticket, set, pipelines, slaConfig, { dryRun }, (err, update) => {
+                if (err) {
+                  return done(err);
+                }
+
+                if (update.status !== 200) {
+                  results.push({ id: ticket.id, result: 'failed', ...update.body });
+                } else if (!update.changes) {
+                  results.push({ id: ticket.id, result: 'unchanged' });
+                } else {
+                  results.push({ id: ticket.id, result: 'updated', changes: update.changes });
+                  committed.push({ update });
+                }
+                next();
+              });
+            };
+
+            processNext(0);
+          }
+        );
+      }, (err, outcome) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        if (outcome.error) {
+          res.status(400).json({ error: outcome.error });
+          return;
+        }
+
+        // Events go out only once the changes are committed
+        if (!dryRun) {
+          outcome.committed.forEach(({ ticket, hashes, update }) => {
+            if (update) {
+              publishTicketUpdate(req, update);
+            } else {
+              finishTicketDelete(ticket, hashes);
+            }
+          });
+        }
+
+        const summary = { updated: 0, unchanged: 0, deleted: 0, failed: 0 };
+        outcome.results.forEach(result => {
+          summary[result.result] += 1;
+        });
+
+        res.json({ dry_run: dryRun, summary, results: outcome.results });
+      });
+    });
+  });
+});
+
+// Quote a value for CSV output. Values a spreadsheet would evaluate as a
+// formula get a leading apostrophe, which the importer removes again.
+function toCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return `${values.map(toCsvValue).join(',')}\r\n`;
+}
+
+// Split CSV text into rows of values (RFC 4180: quoted values may contain
+// commas, doubled quotes and line breaks). Blank lines are skipped.
+// Returns { rows } or { error }.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.some(cell => cell !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'The CSV file ends inside a quoted value' };
+  }
+  endRow();
+
+  return { rows };
+}
+
+// Timeline entries of a batch of exported tickets, by ticket ID
+function loadExportTimelines(tickets, callback) {
+  if (tickets.length === 0) {
+    return callback(null, {});
+  }
+
+  db.all(
+    `SELECT * FROM timeline WHERE ticket_id IN (${tickets.map(() => '?').join(', ')}) ORDER BY created_at ASC, id ASC`,
+    tickets.map(ticket => ticket.id),
+    (err, entries) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const timelines = {};
+      entries.forEach(entry => {
+        timelines[entry.ticket_id] = timelines[entry.ticket_id] || [];
+        timelines[entry.ticket_id].push({ action: entry.action, user: entry.user, created_at: entry.created_at });
+      });
+      callback(null, timelines);
+    }
+  );
+}
+
+// Format a batch of exported tickets. timelines (entries by ticket ID) is
+// only given when the export includes timelines. custom has the pipelines,
+// the custom field keys of the CSV columns and the stored values of the
+// batch (see loadCustomFieldRows).
+function formatExportRecords(format, tickets, timelines, custom) {
+  return tickets.map(ticket => {
+    const entries = timelines ? timelines[ticket.id] || [] : null;
+    const pipeline = findPipeline(custom.pipelines, ticket.pipeline);
+    const rows = custom.rows[ticket.id] || {};
+
+    if (format === 'ndjson') {
+      const record = Object.fromEntries(EXPORT_COLUMNS.map(column => [column, ticket[column]]));
+      record.custom_fields = getCustomFieldValues(pipeline, rows);
+      if (entries) {
+        record.timeline = entries;
+      }
+      return `${JSON.stringify(record)}\n`;
+    }
+
+    // Custom field columns hold the stored text, e.g. "1250.00 EUR"
+    const values = [
+      ...EXPORT_COLUMNS.map(column => ticket[column]),
+      ...custom.keys.map(key =>
+        rows[key] && pipeline && pipeline.fields.some(field => field.key === key) ? rows[key].value : ''
+      )
+    ];
+    if (!entries) {
+      return toCsvLine(values);
+    }
+
+    // Timeline rows follow their ticket and repeat only its id and external_ref
+    const keyValues = [
+      ...EXPORT_COLUMNS.map(column => (column === 'id' || column === 'external_ref' ? ticket[column] : '')),
+      ...custom.keys.map(() => '')
+    ];
+    return [
+      toCsvLine(['ticket', ...values, ...EXPORT_TIMELINE_COLUMNS.map(() => '')]),
+      ...entries.map(entry => toCsvLine(['timeline', ...keyValues, entry.action, entry.user, entry.created_at]))
+    ].join('');
+  }).join('');
+}
+
+// Export the tickets matching the GET /api/tickets filters, oldest first,
+// as CSV or NDJSON (?format=csv|ndjson). With ?include_timeline=true, CSV
+// exports get a record_type column and a "timeline" row per entry after
+// each ticket, and NDJSON records a timeline list. Custom fields are CSV
+// columns named cf.<key> (for the fields of every exported pipeline) and a
+// custom_fields object in NDJSON. The response is written batch by batch,
+// so large exports are never held in memory.
+app.get('/api/export', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const format = req.query.format || 'csv';
+  const includeTimeline = req.query.include_timeline === 'true';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    return;
+  }
+
+  const filter = buildTicketFilter(req.user, req.query);
+  if (filter.deniedPipeline) {
+    denyPipeline(res, filter.deniedPipeline);
+    return;
+  }
+  if (filter.error) {
+    res.status(400).json({ error: filter.error });
+    return;
+  }
+
+  // Stop reading once the client has gone away
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  // Errors after the first batch can only cut the download short
+  const fail = (err) => {
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    console.error('Error exporting tickets:', err.message);
+    res.destroy(err);
+  };
+
+  const exportBatch = (custom, afterRowid) => {
+    db.all(
+      `SELECT rowid AS export_rowid, * FROM tickets WHERE ${filter.where} AND rowid > ? ORDER BY rowid LIMIT ?`,
+      [...filter.params, afterRowid, EXPORT_BATCH_SIZE],
+      (err, tickets) => {
+        if (err) {
+          return fail(err);
+        }
+
+        loadExportTimelines(includeTimeline ? tickets : [], (err, timelines) => {
+          if (err) {
+            return fail(err);
+          }
+
+          loadCustomFieldRows(db, tickets.map(ticket => ticket.id), (err, rows) => {
+            if (err) {
+              return fail(err);
+            }
+            if (closed) {
+              return;
+            }
+
+            let chunk = formatExportRecords(format, tickets, includeTimeline ? timelines : null, { ...custom, rows });
+            if (!res.headersSent) {
+              res.attachment(`tickets-${new Date().toISOString().slice(0, 10)}.${format}`);
+              res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+              if (format === 'csv') {
+                const ticketColumns = [...EXPORT_COLUMNS, ...custom.keys.map(key => `${CUSTOM_FIELD_PREFIX}${key}`)];
+                const columns = includeTimeline
+                  ? ['record_type', ...ticketColumns, ...EXPORT_TIMELINE_COLUMNS]
+                  : ticketColumns;
+                chunk = toCsvLine(columns) + chunk;
+              }
+            }
+
+            if (tickets.length < EXPORT_BATCH_SIZE) {
+              res.end(chunk);
+              return;
+            }
+
+            // Wait for the client to catch up before reading the next batch
+            const next = () => exportBatch(custom, tickets[tickets.length - 1].export_rowid);
+            if (res.write(chunk)) {
+              next();
+            } else {
+              res.once('drain', next);
+            }
+          });
+        });
+      }
+    );
+  };
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      return fail(err);
+    }
+
+    // One column per field key of the pipelines the export can contain
+    const exported = pipelines.filter(pipeline =>
+      req.query.pipeline && req.query.pipeline !== 'all'
+        ? pipeline.key === req.query.pipeline
+        : canAccessPipeline(req.user, pipeline.key)
+    );
+    const keys = [...new Set(exported.flatMap(pipeline => pipeline.fields.map(field => field.key)))];
+
+    exportBatch({ pipelines, keys }, 0);
+  });
+});
+
+// Multipart parser for ticket imports: a single "file", held in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024, files: 1 }
+});
+
+function parseImportFile(req, res, next) {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Import files may be at most ${MAX_IMPORT_MB} MB` });
+    }
+    res.status(400).json({ error: err.message });
+  });
+}
+
+// Read an import file into records of IMPORT_FIELDS values and custom field
+// values (cf.<key> columns, or the custom_fields object of NDJSON). mapping
+// renames source columns (CSV headers or NDJSON keys) to fields; columns
+// already named like a field need no mapping and any others are ignored.
+// Blank values are left out. Timeline rows of a CSV export and the timeline lists
+// of an NDJSON export become the record's timeline. Rows are numbered from
+// 1, not counting the CSV header. Returns { records, ignored } or { error }.
+function readImportRecords(format, text, mapping) {
+  const records = [];
+  const ignored = new Set();
+
+  const addRecord = (row, source) => {
+    const record = { row, fields: {}, custom_fields: {}, timeline: [], errors: [] };
+
+    Object.entries(source).forEach(([name, value]) => {
+      const field = mapping[name] || (IMPORT_FIELDS.includes(name) || name.startsWith(CUSTOM_FIELD_PREFIX) ? name : null);
+      if (!field) {
+        ignored.add(name);
+      } else if (value === null || value === undefined || String(value).trim() === '') {
+        return;
+      } else if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+        record.custom_fields[field.slice(CUSTOM_FIELD_PREFIX.length)] = String(value).trim();
+      } else {
+        record.fields[field] = String(value).trim();
+      }
+    });
+
+    records.push(record);
+    return record;
+  };
+  const addInvalid = (row, error) => records.push({ row, fields: {}, custom_fields: {}, timeline: [], errors: [error] });
+
+  if (format === 'csv') {
+    const parsed = parseCsv(text);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    const [header = [], ...rows] = parsed.rows;
+    let ticketRecord = null;
+
+    rows.forEach((values, index) => {
+      const source = Object.fromEntries(header.map((name, column) => [
+        name.trim(),
+        (values[column] || '').replace(/^'(?=[=+\-@\t\r])/, '')
+      ]));
+      const {
+        record_type: recordType,
+        timeline_action: action,
+        timeline_user: user,
+        timeline_created_at: createdAt,
+        ...columns
+      } = source;
+
+      if (recordType === 'timeline') {
+        if (ticketRecord) {
+          ticketRecord.timeline.push({ action, user, created_at: createdAt });
+        } else {
+          addInvalid(index + 1, 'Timeline row without a ticket row before it');
+        }
+        return;
+      }
+
+      ticketRecord = addRecord(index + 1, columns);
+    });
+  } else {
+    text.split('\n').forEach((line, index) => {
+      if (line.trim() === '') {
+        return;
+      }
+
+      let source;
+      try {
+        source = JSON.parse(line);
+      } catch (err) {
+        return addInvalid(index + 1, `Invalid JSON: ${err.message}`);
+      }
+      if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        return addInvalid(index + 1, 'Each line must be a JSON object');
+      }
+
+      const { timeline, custom_fields: customFields, ...columns } = source;
+      const record = addRecord(index + 1, columns);
+      if (Array.isArray(timeline)) {
+        record.timeline = timeline;
+      } else if (timeline !== undefined) {
+        record.errors.push('timeline must be a list');
+      }
+
+      if (customFields && typeof customFields === 'object' && !Array.isArray(customFields)) {
+        Object.entries(customFields)
+          .filter(([, value]) => value !== null && value !== '')
+          .forEach(([key, value]) => {
+            record.custom_fields[key] = value;
+          });
+      } else if (customFields !== undefined && customFields !== null) {
+        record.errors.push('custom_fields must be an object');
+      }
+    });
+  }
+
+  return { records, ignored: [...ignored] };
+}
+
+// Dates in an import: SQLite timestamps (as exported) are UTC, anything
+// else is read by Date. Returns null for dates that cannot be read.
+function parseImportDate(value) {
+  const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? fromSqlDate(value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Check an import record against the ticket it matches (if any) and the
+// allowed pipelines, statuses and priorities. Pipelines and statuses may be
+// given by key or name and priorities in any case. Custom fields are
+// checked against the ticket's pipeline and its stored values (field key =>
+// row), and only changed ones are kept. Adds problems to record.errors and
+// returns the values to write, normalized to keys.
+function validateImportRecord(record, ticket, pipelines, user, currentRows) {
+  const { id, external_ref: externalRef, ...patch } = record.fields;
+  const errors = record.errors;
+  const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  if (!ticket && !externalRef && id) {
+    errors.push(`Ticket ${id} not found`);
+    return patch;
+  }
+  if (ticket && !canAccessPipeline(user, ticket.pipeline)) {
+    errors.push(`You do not have access to the "${ticket.pipeline}" pipeline`);
+  }
+
+  if (patch.pipeline !== undefined) {
+    const pipeline = pipelines.find(candidate =>
+      candidate.key === patch.pipeline || sameName(candidate.name, patch.pipeline)
+    );
+    if (!pipeline) {
+      errors.push(`Unknown pipeline "${patch.pipeline}"`);
+    } else if (!canAccessPipeline(user, pipeline.key)) {
+      errors.push(`You do not have access to the "${pipeline.key}" pipeline`);
+    } else {
+      patch.pipeline = pipeline.key;
+    }
+  }
+
+  const pipeline = findPipeline(pipelines, patch.pipeline || (ticket && ticket.pipeline));
+  if (patch.status !== undefined && pipeline) {
+    const status = pipeline.statuses.find(candidate =>
+      candidate.key === patch.status || sameName(candidate.name, patch.status)
+    );
+    if (!status) {
+      errors.push(`Unknown status "${patch.status}" for pipeline "${pipeline.key}"`);
+    } else {
+      patch.status = status.key;
+    }
+  }
+
+  if (patch.priority !== undefined) {
+    patch.priority = patch.priority.toLowerCase();
+    if (!PRIORITIES.includes(patch.priority)) {
+      errors.push(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+  }
+
+  if (pipeline && Object.keys(record.custom_fields).length > 0) {
+    const custom = getCustomFieldChanges(pipeline, currentRows, record.custom_fields, false);
+    if (custom.error) {
+      errors.push(custom.error);
+    } else if (custom.changes.length > 0) {
+      patch.custom_fields = Object.fromEntries(custom.changes.map(change => [change.key, record.custom_fields[change.key]]));
+    }
+  }
+
+  if (!ticket) {
+    const missing = ['title', 'description', 'pipeline', 'priority'].filter(name => patch[name] === undefined);
+    if (missing.length > 0) {
+      errors.push(`Missing required field(s): ${missing.join(', ')}`);
+    }
+  }
+
+  record.timeline.forEach(entry => {
+    if (!entry || !entry.action) {
+      errors.push('Timeline entries need an action');
+    } else if (entry.created_at && !parseImportDate(String(entry.created_at))) {
+      errors.push(`Invalid timeline date "${entry.created_at}"`);
+    }
+  });
+
+  return patch;
+}
+
+// Write one checked import record with tx, inside the import's transaction:
+// create its ticket (with its timeline in place of "Ticket created", and
+// the status and resolution set directly) or update the matched ticket.
+// Imports set statuses without the transition rules, since the tickets come
+// from outside the workflow. callback(err, { result, id, changes, errors,
+// publish }); publish(done) sends the events once the import is committed.
+function writeImportRecord(tx, req, record, pipelines, slaConfig, callback) {
+  const { patch, ticket } = record;
+  const noEvents = done => done(null);
+
+  if (ticket) {
+    tx.get('SELECT * FROM tickets WHERE id = ?', [ticket.id], (err, current) => {
+      if (err) {
+        return callback(err);
+      }
+
+      applyTicketPatch(tx, req, current, patch, pipelines, slaConfig, { enforceTransitions: false }, (err, update) => {
+        if (err) {
+          return callback(err);
+        }
+        if (update.status !== 200) {
+          return callback(null, { result: 'failed', id: ticket.id, errors: [update.body.error] });
+        }
+        if (!update.changes) {
+          return callback(null, { result: 'unchanged', id: ticket.id, publish: noEvents });
+        }
+        callback(null, {
+          result: 'updated',
+          id: ticket.id,
+          changes: update.changes.map(change => change.field),
+          publish: (done) => {
+            publishTicketUpdate(req, update);
+            done(null);
+          }
+        });
+      });
+    });
+    return;
+  }
+
+  // Custom fields are set with the status, so a pipeline's required fields
+  // do not have to be in the file
+  const { custom_fields: customFields, ...fields } = patch;
+  const followUp = Object.fromEntries(
+    ['status', 'resolution', 'custom_fields'].filter(field => patch[field] !== undefined).map(field => [field, patch[field]])
+  );
+  const timeline = createTicketTimeline(record.timeline.map(entry => ({
+    action: String(entry.action),
+    user: entry.user ? String(entry.user) : req.user.full_name,
+    created_at: toSqlDate(entry.created_at ? parseImportDate(String(entry.created_at)) : new Date())
+  })), req.user.full_name);
+
+  const createdBy = req.user.full_name;
+  insertTicket(tx, req, { ...fields, external_ref: record.fields.external_ref }, createdBy, timeline, pipelines, slaConfig, (err, inserted) => {
+    if (err) {
+      return callback(err);
+    }
+    if (inserted.error) {
+      return callback(null, { result: 'failed', errors: [inserted.error.body.error] });
+    }
+
+    tx.get('SELECT * FROM tickets WHERE id = ?', [inserted.ticketId], (err, current) => {
+      if (err) {
+        return callback(err);
+      }
+
+      applyTicketPatch(tx, req, current, followUp, pipelines, slaConfig, { enforceTransitions: false }, (err, update) => {
+        if (err) {
+          return callback(err);
+        }
+        if (update.status !== 200) {
+          return callback(null, { result: 'failed', id: inserted.ticketId, errors: [update.body.error] });
+        }
+        callback(null, {
+          result: 'created',
+          id: inserted.ticketId,
+          publish: (done) => publishCreatedTicket(inserted.ticketId, timeline, createdBy, pipelines, done)
+        });
+      });
+    });
+  });
+}
+
+// Import tickets from a CSV or NDJSON "file" (multipart), e.g. an export of
+// GET /api/export or a spreadsheet. Form fields: format (csv or ndjson,
+// default from the file name), mapping (JSON { "Source column": "field" })
+// and dry_run. Rows with an external_ref (or id) that matches a ticket
+// update it, other rows create tickets, so importing the same file twice
+// changes nothing the second time. Timelines are only imported with new
+// tickets. Every row is checked first, then all are written in one
+// transaction: if any row is invalid or cannot be written, nothing is
+// imported and the report is returned with status 422 (500 for other
+// errors, also with nothing imported).
+app.post('/api/import', requireAuth, requirePermission('tickets:import'), parseImportFile, (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: 'Send the tickets as a "file" field' });
+    return;
+  }
+
+  const dryRun = req.body.dry_run === 'true';
+  const format = req.body.format || (/\.(nd)?jsonl?$/i.test(req.file.originalname) ? 'ndjson' : 'csv');
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    return;
+  }
+
+  let mapping = {};
+  try {
+    mapping = JSON.parse(req.body.mapping || '{}');
+  } catch (err) {
+    res.status(400).json({ error: `Invalid mapping: ${err.message}` });
+    return;
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) ||
+      Object.values(mapping).some(field => !IMPORT_FIELDS.includes(field) && !String(field).startsWith(CUSTOM_FIELD_PREFIX))) {
+    res.status(400).json({
+      error: `mapping must map columns to fields chosen from: ${IMPORT_FIELDS.join(', ')} or ${CUSTOM_FIELD_PREFIX}<field key>`
+    });
+    return;
+  }
+
+  const parsed = readImportRecords(format, req.file.buffer.toString('utf8'), mapping);
+  if (parsed.error) {
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  if (parsed.records.length === 0) {
+    res.status(400).json({ error: 'The file contains no tickets' });
+    return;
+  }
+  if (parsed.records.length > MAX_IMPORT_ROWS) {
+    res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} tickets can be imported at once` });
+    return;
+  }
+
+  loadTicketConfig((err, pipelines, slaConfig) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const records = parsed.records;
+    const seenKeys = new Map();
+
+    const respond = (status, extra) => {
+      const summary = { created: 0, updated: 0, unchanged: 0, invalid: 0, failed: 0 };
+      const results = records.map(record => {
+        summary[record.result] += 1;
+        return {
+          row: record.row,
+          external_ref: record.fields.external_ref || null,
+          id: record.id || null,
+          result: record.result,
+          ...(record.changes ? { changes: record.changes } : {}),
+          ...(record.errors.length > 0 ? { errors: record.errors } : {})
+        };
+      });
+      res.status(status).json({ ...extra, dry_run: dryRun, summary, ignored_columns: parsed.ignored, results });
+    };
+
+    // Write the checked records in one transaction. The first row that
+    // cannot be written rolls the import back; the report then shows the
+    // planned result of the other rows, as for invalid rows.
+    const writeAll = () => {
+      const outcomes = [];
+
+      withTransaction((tx, done) => {
+        const writeNext = (index) => {
+          if (index === records.length) {
+            return done(null);
+          }
+
+          const record = records[index];
+          if (record.result === 'unchanged') {
+            return writeNext(index + 1);
+          }
+
+          writeImportRecord(tx, req, record, pipelines, slaConfig, (err, outcome) => {
+            if (err) {
+              return done(err);
+            }
+            if (outcome.result === 'failed') {
+              record.result = 'failed';
+              record.errors.push(...outcome.errors);
+              return done(Object.assign(new Error(`Row ${record.row} could not be written; nothing was imported`), { rowFailed: true }));
+            }
+
+            outcomes[index] = outcome;
+            writeNext(index + 1);
+          });
+        };
+
+        writeNext(0);
+      }, (err) => {
+        if (err && err.rowFailed) {
+          return respond(422, { error: err.message });
+        }
+        if (err) {
+          res.status(500).json({ error: `${err.message}; nothing was imported` });
+          return;
+        }
+
+        // Events go out only once the import is committed
+        const publishNext = (index) => {
+          if (index === records.length) {
+            return respond(200);
+          }
+
+          const outcome = outcomes[index];
+          if (!outcome) {
+            return publishNext(index + 1);
+          }
+
+          Object.assign(records[index], { result: outcome.result, id: outcome.id, changes: outcome.changes });
+          outcome.publish((err) => {
+            if (err) {
+              console.error(`Error publishing imported ticket ${outcome.id}:`, err.message);
+            }
+            publishNext(index + 1);
+          });
+        };
+
+        publishNext(0);
+      });
+    };
+
+    const checkNext = (index) => {
+      if (index === records.length) {
+        const invalid = records.filter(record => record.result === 'invalid').length;
+        if (invalid > 0 && !dryRun) {
+          return respond(422, { error: `${invalid} row(s) are invalid; nothing was imported` });
+        }
+        return dryRun ? respond(200) : writeAll();
+      }
+
+      const record = records[index];
+      const { id, external_ref: externalRef } = record.fields;
+      const next = () => checkNext(index + 1);
+
+      const lookup = externalRef
+        ? ['SELECT * FROM tickets WHERE external_ref = ?', externalRef]
+        : ['SELECT * FROM tickets WHERE id = ?', id || null];
+
+      db.get(lookup[0], [lookup[1]], (err, ticket) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        // A file may mention each ticket only once
+        const key = externalRef ? `external_ref ${externalRef}` : id ? `id ${id}` : null;
+        if (key && seenKeys.has(key)) {
+          record.errors.push(`Duplicate ${key} (also on row ${seenKeys.get(key)})`);
+        } else if (key) {
+          seenKeys.set(key, record.row);
+        }
+
+        loadCustomFieldRows(db, ticket ? [ticket.id] : [], (err, rows) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          record.ticket = ticket;
+          record.id = ticket ? ticket.id : null;
+          record.patch = validateImportRecord(record, ticket, pipelines, req.user, ticket ? rows[ticket.id] || {} : {});
+
+          if (record.errors.length > 0) {
+            record.result = 'invalid';
+          } else if (!ticket) {
+            record.result = 'created';
+          } else {
+            const { custom_fields: customFields = {}, ...fields } = record.patch;
+            record.changes = [
+              ...Object.keys(fields).filter(field => String(ticket[field] ?? '') !== fields[field]),
+              ...Object.keys(customFields).map(key => `${CUSTOM_FIELD_PREFIX}${key}`)
+            ];
+            record.result = record.changes.length > 0 ? 'updated' : 'unchanged';
+          }
+          next();
+        });
+      });
+    };
+
+    checkNext(0);
+  });
+});
+
+// A personal view is seen by its owner; a shared view by the users of its
+// team pipeline, or by everyone when it has none
+function canSeeView(user, view) {
+  return view.owner_id === user.id ||
+    (!!view.shared && (!view.team_pipeline || canAccessPipeline(user, view.team_pipeline)));
+}
+
+function canEditView(user, view) {
+  return view.owner_id === user.id || user.role === 'admin';
+}
+
+// View rows store their filters as JSON
+function formatView(view, user, defaultViewId) {
+  return {
+    id: view.id,
+    name: view.name,
+    filters: JSON.parse(view.filters),
+    sort: view.sort,
+    shared: !!view.shared,
+    team: view.team_pipeline,
+    owner_id: view.owner_id,
+    owner_name: view.owner_name,
+    editable: canEditView(user, view),
+    is_default: view.id === defaultViewId,
+    created_at: view.created_at,
+    updated_at: view.updated_at
+  };
+}
+
+// Check view settings from a request body against the view they change
+// (or the defaults, on create). Filters and sort must work for the user
+// saving them. Returns an error message or null.
+function validateViewInput(body, current, user, pipelines) {
+  const filters = body.filters !== undefined ? body.filters : current.filters;
+  const team = body.team !== undefined ? body.team : current.team;
+
+  if (body.name !== undefined &&
+      (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_VIEW_NAME_LENGTH)) {
+    return `Name must be 1 to ${MAX_VIEW_NAME_LENGTH} characters`;
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters) ||
+      Object.keys(filters).some(name => !VIEW_FILTERS.includes(name) && !name.startsWith(CUSTOM_FIELD_PREFIX)) ||
+      Object.values(filters).some(value => typeof value !== 'string' && typeof value !== 'number')) {
+    return `Filters must map parameters chosen from ${VIEW_FILTERS.join(', ')} or ${CUSTOM_FIELD_PREFIX}<field key> to values`;
+  }
+
+  const filter = buildTicketFilter(user, filters);
+  if (filter.deniedPipeline) {
+    return `You do not have access to the "${filter.deniedPipeline}" pipeline`;
+  }
+  if (filter.error) {
+    return filter.error;
+  }
+
+  const sort = buildTicketSort(body.sort !== undefined ? body.sort : current.sort);
+  if (sort.error) {
+    return sort.error;
+  }
+
+  if (team !== null && team !== undefined) {
+    if (!findPipeline(pipelines, team)) {
+      return `Unknown pipeline "${team}"`;
+    }
+    if (!canAccessPipeline(user, team)) {
+      return `You do not have access to the "${team}" pipeline`;
+    }
+  }
+
+  return null;
+}
+
+// Count the tickets a view shows to a user; null when its filters do not
+// work for them (e.g. a pipeline they cannot access)
+function countViewTickets(user, view, callback) {
+  const filter = buildTicketFilter(user, JSON.parse(view.filters));
+  if (filter.deniedPipeline || filter.error) {
+    return callback(null, null);
+  }
+
+  db.get(`SELECT COUNT(*) AS count FROM tickets WHERE ${filter.where}`, filter.params, (err, row) => {
+    callback(err, row && row.count);
+  });
+}
+
+// Load a view the user can see, with its owner's name, and the user's
+// default view ID
+function loadVisibleView(req, res, viewId, callback) {
+  db.get(`
+    SELECT v.*, u.full_name AS owner_name, d.view_id AS default_view_id
+    FROM saved_views v
+    LEFT JOIN users u ON u.id = v.owner_id
+    LEFT JOIN default_views d ON d.user_id = ?
+    WHERE v.id = ?
+  `, [req.user.id, viewId], (err, view) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!view || !canSeeView(req.user, view)) {
+      res.status(404).json({ error: 'View not found' });
+      return;
+    }
+
+    callback(view);
+  });
+}
+
+// Load a view the user may change (its owner or an admin)
+function loadEditableView(req, res, viewId, callback) {
+  loadVisibleView(req, res, viewId, (view) => {
+    if (!canEditView(req.user, view)) {
+      res.status(403).json({ error: 'Only the owner or an administrator can change a view' });
+      return;
+    }
+    callback(view);
+  });
+}
+
+// Respond with one view and its ticket count
+function sendView(req, res, viewId, status) {
+  loadVisibleView(req, res, viewId, (view) => {
+    countViewTickets(req.user, view, (err, count) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.status(status).json({ ...formatView(view, req.user, view.default_view_id), count });
+    });
+  });
+}
+
+// Get the views the user can see, each with the number of tickets it
+// currently shows them and whether it is their default view
+app.get('/api/views', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  db.get('SELECT view_id FROM default_views WHERE user_id = ?', [req.user.id], (err, defaultView) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.all(`
+      SELECT v.*, u.full_name AS owner_name FROM saved_views v
+      LEFT JOIN users u ON u.id = v.owner_id
+      WHERE v.owner_id = ? OR v.shared = 1
+      ORDER BY v.name COLLATE NOCASE, v.id
+    `, [req.user.id], (err, rows) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      const views = rows.filter(view => canSeeView(req.user, view));
+      const results = [];
+
+      const countNext = (index) => {
+        if (index === views.length) {
+          res.json(results);
+          return;
+        }
+
+        countViewTickets(req.user, views[index], (err, count) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          results.push({ ...formatView(views[index], req.user, defaultView && defaultView.view_id), count });
+          countNext(index + 1);
+        });
+      };
+
+      countNext(0);
+    });
+  });
+});
+
+// Get one view with its ticket count
+app.get('/api/views/:id', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  sendView(req, res, req.params.id, 200);
+});
+
+// Save a view: { name, filters: { pipeline, status, q, ... }, sort,
+// shared, team }. Shared views go to the users of the team pipeline, or
+// to everyone without one.
+app.post('/api/views', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const { name, sort, team } = req.body;
+  const filters = req.body.filters || {};
+
+  if (name === undefined) {
+    res.status(400).json({ error: 'Name is required' });
+    return;
+  }
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const error = validateViewInput({ ...req.body, filters }, { filters: {}, sort: null, team: null }, req.user, pipelines);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    db.run(`
+      INSERT INTO saved_views (owner_id, name, filters, sort, shared, team_pipeline)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [req.user.id, name.trim(), JSON.stringify(filters), sort || null, req.body.shared ? 1 : 0, team || null], function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      sendView(req, res, this.lastID, 201);
+    });
+  });
+});
+
+// Update a view (owner or admin)
+app.put('/api/views/:id', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadEditableView(req, res, req.params.id, (view) => {
+    loadPipelineConfig((err, pipelines) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      const current = { filters: JSON.parse(view.filters), sort: view.sort, team: view.team_pipeline };
+      const error = validateViewInput(req.body, current, req.user, pipelines);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+
+      const updates = {};
+      if (req.body.name !== undefined) {
+        updates.name = req.body.name.trim();
+      }
+      if (req.body.filters !== undefined) {
+        updates.filters = JSON.stringify(req.body.filters);
+      }
+      if (req.body.sort !== undefined) {
+        updates.sort = req.body.sort || null;
+      }
+      if (req.body.shared !== undefined) {
+        updates.shared = req.body.shared ? 1 : 0;
+      }
+      if (req.body.team !== undefined) {
+        updates.team_pipeline = req.body.team || null;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        res.status(400).json({ error: 'Nothing to update' });
+        return;
+      }
+
+      db.serialize(() => {
+        db.run(
+          `UPDATE saved_views SET ${Object.keys(updates).map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...Object.values(updates), view.id]
+        );
+
+        // Others lose a view as their default once it is no longer shared
+        if (updates.shared === 0) {
+          db.run('DELETE FROM default_views WHERE view_id = ? AND user_id != ?', [view.id, view.owner_id]);
+        }
+
+        sendView(req, res, view.id, 200);
+      });
+    });
+  });
+});
+
+// Delete a view (owner or admin)
+app.delete('/api/views/:id', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadEditableView(req, res, req.params.id, (view) => {
+    db.serialize(() => {
+      db.run('DELETE FROM default_views WHERE view_id = ?', [view.id]);
+      db.run('DELETE FROM saved_views WHERE id = ?', [view.id], (err) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json({ message: 'View deleted successfully' });
+      });
+    });
+  });
+});
+
+// Make a view the user's default landing page
+app.post('/api/views/:id/default', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadVisibleView(req, res, req.params.id, (view) => {
+    db.run('INSERT OR REPLACE INTO default_views (user_id, view_id) VALUES (?, ?)', [req.user.id, view.id], (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      sendView(req, res, view.id, 200);
+    });
+  });
+});
+
+// Stop using a view as the default landing page
+app.delete('/api/views/:id/default', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadVisibleView(req, res, req.params.id, (view) => {
+    db.run('DELETE FROM default_views WHERE user_id = ? AND view_id = ?', [req.user.id, view.id], (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      sendView(req, res, view.id, 200);
+    });
+  });
+});
+
+// Get statistics - open ticket count per pipeline plus overall total,
+// limited to the pipelines the user can access
+app.get('/api/stats', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.all(
+      'SELECT pipeline, status, COUNT(*) as count FROM tickets GROUP BY pipeline, status',
+      (err, rows) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        const visiblePipelines = pipelines.filter(pipeline => canAccessPipeline(req.user, pipeline.key));
+        const stats = {};
+        visiblePipelines.forEach(pipeline => {
+          stats[pipeline.key] = 0;
+        });
+
+        let total = 0;
+        rows.filter(row => canAccessPipeline(req.user, row.pipeline)).forEach(row => {
+          total += row.count;
+
+          const pipeline = findPipeline(visiblePipelines, row.pipeline);
+          const status = findStatus(pipeline, row.status);
+          if (pipeline && !(status && status.is_closed)) {
+            stats[pipeline.key] += row.count;
+          }
+        });
+
+        stats.total = total;
+        res.json(stats);
+      }
+    );
+  });
+});
+
+// Status and pipeline changes of the tickets matching a filter, oldest
+// first, as ticket ID => [{ field, from, to, at }]. Tickets created before
+// ticket_history was kept have no "created" record there; their changes
+// are read from the timeline instead.
+function loadTicketChanges(filter, callback) {
+  const ticketIds = `SELECT id FROM tickets WHERE ${filter.where}`;
+
+  db.all(`
+    SELECT ticket_id, field, old_value, new_value, created_at FROM ticket_history
+    WHERE ticket_id IN (${ticketIds})
+      AND (field IN ('status', 'pipeline') OR (field = 'ticket' AND new_value = 'created'))
+    ORDER BY id
+  `, filter.params, (err, historyRows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    db.all(`
+      SELECT ticket_id, action, created_at FROM timeline
+      WHERE ticket_id IN (${ticketIds}) AND (action LIKE '%Status changed from %' OR action LIKE '%Pipeline changed from %')
+      ORDER BY id
+    `, filter.params, (err, timelineRows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const tracked = new Set();
+      const fromHistory = {};
+      const fromTimeline = {};
+      const add = (changes, ticketId, change) => {
+        (changes[ticketId] = changes[ticketId] || []).push(change);
+      };
+
+      historyRows.forEach(row => {
+        if (row.field === 'ticket') {
+          tracked.add(row.ticket_id);
+        } else {
+          add(fromHistory, row.ticket_id, { field: row.field, from: row.old_value, to: row.new_value, at: fromSqlDate(row.created_at) });
+        }
+      });
+
+      timelineRows.forEach(row => {
+        const match = TIMELINE_CHANGE_PATTERN.exec(row.action);
+        if (match) {
+          add(fromTimeline, row.ticket_id, { field: match[1].toLowerCase(), from: match[2], to: match[3], at: fromSqlDate(row.created_at) });
+        }
+      });
+
+      const changes = {};
+      new Set([...Object.keys(fromHistory), ...Object.keys(fromTimeline)]).forEach(ticketId => {
+        changes[ticketId] = (tracked.has(ticketId) ? fromHistory[ticketId] : fromTimeline[ticketId]) || [];
+      });
+      callback(null, changes);
+    });
+  });
+}
+
+// Replay a ticket's changes into the statuses it went through. Returns
+// { segments: [{ pipeline, status, closed, start, end }], startedAt,
+// completedAt }; the last segment has no end. Work starts with the first
+// status change and is completed when the ticket last entered a closed
+// status (null while it is open).
+function replayTicketFlow(ticket, changes, pipelines) {
+  const isClosed = (pipelineKey, statusKey) => {
+    const status = findStatus(findPipeline(pipelines, pipelineKey), statusKey);
+    return !!(status && status.is_closed);
+  };
+
+  const firstPipelineChange = changes.find(change => change.field === 'pipeline');
+  const firstStatusChange = changes.find(change => change.field === 'status');
+  let pipeline = firstPipelineChange ? firstPipelineChange.from : ticket.pipeline;
+  let status = firstStatusChange ? firstStatusChange.from : ticket.status;
+  let start = fromSqlDate(ticket.created_at);
+  let completedAt = isClosed(pipeline, status) ? start : null;
+  const segments = [];
+
+  changes.forEach(change => {
+    if (change.field === 'pipeline') {
+      pipeline = change.to;
+      return;
+    }
+
+    segments.push({ pipeline, status, closed: isClosed(pipeline, status), start, end: change.at });
+    status = change.to;
+    start = change.at;
+    completedAt = isClosed(pipeline, status) ? (completedAt || change.at) : null;
+  });
+
+  segments.push({ pipeline, status, closed: isClosed(pipeline, status), start, end: null });
+  return { segments, startedAt: firstStatusChange ? firstStatusChange.at : null, completedAt };
+}
+
+// Linear interpolation between the closest ranks of sorted values
+function percentile(sorted, p) {
+  const rank = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+}
+
+function toHours(ms) {
+  return Math.round(ms / 36e5 * 10) / 10;
+}
+
+// Monday of the week of a date (UTC)
+function startOfWeek(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7));
+}
+
+// Compute the analytics report for the tickets a user can see. Tickets are
+// grouped by their current values of the groupBy fields.
+function buildAnalytics(tickets, changes, pipelines, range, groupBy) {
+  const now = new Date();
+  const groups = new Map();
+  const workload = new Map();
+  const weeks = [];
+
+  for (let week = startOfWeek(range.start); week < range.end; week = new Date(week.getTime() + 7 * 864e5)) {
+    weeks.push(week.toISOString().slice(0, 10));
+  }
+
+  const getGroup = (ticket) => {
+    const key = JSON.stringify(groupBy.map(field => ticket[field]));
+    if (!groups.has(key)) {
+      groups.set(key, {
+        fields: Object.fromEntries(groupBy.map(field => [field, ticket[field]])),
+        statusTime: new Map(),
+        leadTimes: [],
+        cycleTimes: [],
+        created: new Map(weeks.map(week => [week, 0])),
+        completed: new Map(weeks.map(week => [week, 0])),
+        aging: AGING_BUCKET_DAYS.map(() => 0).concat(0)
+      });
+    }
+    return groups.get(key);
+  };
+
+  const getAssignee = (name) => {
+    if (!workload.has(name)) {
+      workload.set(name, { assignee: name, open: 0, overdue: 0, completed: 0, by_priority: Object.fromEntries(PRIORITIES.map(p => [p, 0])) });
+    }
+    return workload.get(name);
+  };
+
+  const inRange = date => date >= range.start && date < range.end;
+
+  tickets.forEach(ticket => {
+    const group = getGroup(ticket);
+    const createdAt = fromSqlDate(ticket.created_at);
+    const flow = replayTicketFlow(ticket, changes[ticket.id] || [], pipelines);
+
+    // Time in open statuses, as far as it falls in the range. Timestamps
+    // have whole seconds, so quick changes leave empty segments.
+    flow.segments.filter(segment => !segment.closed).forEach(segment => {
+      const overlap = Math.min((segment.end || now).getTime(), range.end.getTime(), now.getTime()) -
+        Math.max(segment.start.getTime(), range.start.getTime());
+      if (overlap > 0 || (overlap === 0 && inRange(segment.start))) {
+        const time = group.statusTime.get(segment.status) || { tickets: new Set(), ms: 0 };
+        time.tickets.add(ticket.id);
+        time.ms += overlap;
+        group.statusTime.set(segment.status, time);
+      }
+    });
+
+    if (inRange(createdAt)) {
+      const week = startOfWeek(createdAt).toISOString().slice(0, 10);
+      group.created.set(week, group.created.get(week) + 1);
+    }
+
+    if (flow.completedAt && inRange(flow.completedAt)) {
+      const week = startOfWeek(flow.completedAt).toISOString().slice(0, 10);
+      group.completed.set(week, group.completed.get(week) + 1);
+      group.leadTimes.push(flow.completedAt - createdAt);
+      if (flow.startedAt) {
+        group.cycleTimes.push(flow.completedAt - flow.startedAt);
+      }
+      getAssignee(ticket.assigned_to || null).completed++;
+    }
+
+    if (!flow.completedAt) {
+      const ageDays = (now - createdAt) / 864e5;
+      const bucket = AGING_BUCKET_DAYS.findIndex(days => ageDays < days);
+      group.aging[bucket === -1 ? AGING_BUCKET_DAYS.length : bucket]++;
+
+      const assignee = getAssignee(ticket.assigned_to || null);
+      assignee.open++;
+      assignee.by_priority[ticket.priority] = (assignee.by_priority[ticket.priority] || 0) + 1;
+      if (ticket.resolution_due_at && fromSqlDate(ticket.resolution_due_at) < now) {
+        assignee.overdue++;
+      }
+    }
+  });
+
+  const summarize = (durations) => {
+    const sorted = durations.sort((a, b) => a - b);
+    const summary = { tickets: sorted.length };
+    ANALYTICS_PERCENTILES.forEach(p => {
+      summary[`p${p}_hours`] = sorted.length ? toHours(percentile(sorted, p)) : null;
+    });
+    return summary;
+  };
+
+  const agingLabels = AGING_BUCKET_DAYS.map((days, index) => `${index ? AGING_BUCKET_DAYS[index - 1] : 0}-${days}d`)
+    .concat(`${AGING_BUCKET_DAYS[AGING_BUCKET_DAYS.length - 1]}d+`);
+  const groupList = [...groups.values()];
+
+  return {
+    status_time: groupList.flatMap(group => [...group.statusTime].map(([status, time]) => ({
+      ...group.fields,
+      status,
+      tickets: time.tickets.size,
+      total_hours: toHours(time.ms),
+      average_hours: toHours(time.ms / time.tickets.size)
+    }))),
+    lead_time: groupList.filter(group => group.leadTimes.length).map(group => ({ ...group.fields, ...summarize(group.leadTimes) })),
+    cycle_time: groupList.filter(group => group.cycleTimes.length).map(group => ({ ...group.fields, ...summarize(group.cycleTimes) })),
+    throughput: groupList.flatMap(group => weeks.map(week => ({
+      ...group.fields,
+      week,
+      created: group.created.get(week),
+      completed: group.completed.get(week)
+    }))),
+    aging: {
+      buckets: agingLabels,
+      groups: groupList.filter(group => group.aging.some(count => count > 0)).map(group => ({ ...group.fields, counts: group.aging }))
+    },
+    workload: [...workload.values()].sort((a, b) => b.open - a.open || b.completed - a.completed)
+  };
+}
+
+// Read the ?from=&to= date range of an analytics request (YYYY-MM-DD,
+// both included, the last 12 weeks by default). Returns { from, to,
+// start, end } with end the start of the day after to, or { error }.
+function parseAnalyticsRange(query) {
+  const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+  const to = query.to ? parseQueryDate(query.to) : today;
+  const from = query.from
+    ? parseQueryDate(query.from)
+    : to && new Date(to.getTime() - (ANALYTICS_DEFAULT_WEEKS * 7 - 1) * 864e5);
+
+  if (!from || !to) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (from > to || (to - from) / 864e5 >= MAX_ANALYTICS_DAYS) {
+    return { error: `from must be before to, at most ${MAX_ANALYTICS_DAYS} days apart` };
+  }
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    start: from,
+    end: new Date(to.getTime() + 864e5)
+  };
+}
+
+// Flow analytics over a date range (?from=&to=) for the tickets matching
+// the GET /api/tickets filters: time in each status, lead and cycle time
+// percentiles, weekly throughput, the age of open tickets and the
+// workload per assignee. Results are grouped per ?group_by=
+// (pipeline,priority by default).
+app.get('/api/analytics', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return;
+  }
+
+  const groupBy = req.query.group_by === undefined
+    ? ANALYTICS_GROUPS
+    : String(req.query.group_by).split(',').map(field => field.trim()).filter(Boolean);
+  if (groupBy.some(field => !ANALYTICS_GROUPS.includes(field))) {
+    res.status(400).json({ error: `group_by takes ${ANALYTICS_GROUPS.join(', ')}` });
+    return;
+  }
+
+  const filter = buildTicketFilter(req.user, req.query);
+  if (filter.deniedPipeline) {
+    denyPipeline(res, filter.deniedPipeline);
+    return;
+  }
+  if (filter.error) {
+    res.status(400).json({ error: filter.error });
+    return;
+  }
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.all(`
+      SELECT id, pipeline, status, priority, assigned_to, created_at, resolution_due_at
+      FROM tickets WHERE ${filter.where}
+    `, filter.params, (err, tickets) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      loadTicketChanges(filter, (err, changes) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        res.json({
+          from: range.from,
+          to: range.to,
+          group_by: groupBy,
+          ...buildAnalytics(tickets, changes, pipelines, range, groupBy)
+        });
+      });
+    });
+  });
+});
+
+// Count the status and pipeline changes made in a range as Sankey nodes
+// and links. Changes with the same timestamp were made together, so a
+// status change made with a pipeline change runs from the status in the
+// old pipeline to the one in the new pipeline. With onlyPipeline, just
+// the changes into, out of or within that pipeline are counted.
+function buildTransitionFlows(tickets, changes, pipelines, range, onlyPipeline) {
+  const nodes = new Map();
+  const links = new Map();
+
+  const addNode = (pipelineKey, statusKey) => {
+    const pipeline = findPipeline(pipelines, pipelineKey);
+    const pipelineName = pipeline ? pipeline.name : pipelineKey;
+
+    if (statusKey === undefined) {
+      const id = `pipeline:${pipelineKey}`;
+      nodes.set(id, { id, type: 'pipeline', pipeline: pipelineKey, label: pipelineName, color: pipeline ? pipeline.color : null });
+      return id;
+    }
+
+    const status = findStatus(pipeline, statusKey);
+    const id = `status:${pipelineKey}:${statusKey}`;
+    nodes.set(id, {
+      id,
+      type: 'status',
+      pipeline: pipelineKey,
+      status: statusKey,
+      label: `${pipelineName}: ${status ? status.name : statusKey}`,
+      closed: !!(status && status.is_closed)
+    });
+    return id;
+  };
+
+  const addLink = (type, source, target, ticketId) => {
+    const key = `${source} ${target}`;
+    const link = links.get(key) || { type, source, target, transitions: 0, tickets: new Set() };
+    link.transitions++;
+    link.tickets.add(ticketId);
+    links.set(key, link);
+  };
+
+  tickets.forEach(ticket => {
+    const ticketChanges = changes[ticket.id] || [];
+    const firstPipelineChange = ticketChanges.find(change => change.field === 'pipeline');
+    let pipeline = firstPipelineChange ? firstPipelineChange.from : ticket.pipeline;
+
+    for (let index = 0; index < ticketChanges.length;) {
+      const at = ticketChanges[index].at;
+      const together = [];
+      while (index < ticketChanges.length && ticketChanges[index].at.getTime() === at.getTime()) {
+        together.push(ticketChanges[index++]);
+      }
+
+      const before = pipeline;
+      const counted = at >= range.start && at < range.end;
+
+      together.filter(change => change.field === 'pipeline').forEach(change => {
+        if (counted && (!onlyPipeline || [change.from, change.to].includes(onlyPipeline))) {
+          addLink('pipeline', addNode(change.from), addNode(change.to), ticket.id);
+        }
+        pipeline = change.to;
+      });
+
+      together.filter(change => change.field === 'status').forEach(change => {
+        if (counted && change.from && change.to && (!onlyPipeline || [before, pipeline].includes(onlyPipeline))) {
+          addLink('status', addNode(before, change.from), addNode(pipeline, change.to), ticket.id);
+        }
+      });
+    }
+  });
+
+  return {
+    nodes: [...nodes.values()],
+    links: [...links.values()]
+      .map(link => ({ ...link, tickets: link.tickets.size }))
+      .sort((a, b) => b.transitions - a.transitions)
+  };
+}
+
+// Status and pipeline transitions made in a date range (?from=&to=), for
+// the Sankey diagram. ?pipeline= keeps the changes into, out of or within
+// that pipeline; the other GET /api/tickets filters select tickets.
+app.get('/api/analytics/transitions', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const range = parseAnalyticsRange(req.query);
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return;
+  }
+
+  // Tickets that left the pipeline count too, so it only filters changes
+  const { pipeline, ...filters } = req.query;
+  const onlyPipeline = pipeline && pipeline !== 'all' ? pipeline : null;
+  if (onlyPipeline && !canAccessPipeline(req.user, onlyPipeline)) {
+    denyPipeline(res, onlyPipeline);
+    return;
+  }
+
+  const filter = buildTicketFilter(req.user, filters);
+  if (filter.error) {
+    res.status(400).json({ error: filter.error });
+    return;
+  }
+
+  loadPipelineConfig((err, pipelines) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.all(`SELECT id, pipeline FROM tickets WHERE ${filter.where}`, filter.params, (err, tickets) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      loadTicketChanges(filter, (err, changes) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        res.json({
+          from: range.from,
+          to: range.to,
+          ...buildTransitionFlows(tickets, changes, pipelines, range, onlyPipeline)
+        });
+      });
+    });
+  });
+});
+
+// Add timeline entry
+app.post('/api/tickets/:id/timeline', requireAuth, requirePermission('timeline:add'), (req, res) => {
+  const { id } = req.params;
+  const { action } = req.body;
+
+  // Entries are always attributed to the authenticated user
+  const userName = req.user.full_name;
+
+  if (!action) {
+    res.status(400).json({ error: 'Missing action' });
+    return;
+  }
+
+  loadAccessibleTicket(req, res, id, (ticket) => {
+    db.run(
+      'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
+      [id, action, userName],
+      function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        db.get(
+          'SELECT * FROM timeline WHERE id = ?',
+          [this.lastID],
+          (err, entry) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+
+            publishEvent('timeline.added', [ticket.pipeline], entry);
+            res.status(201).json(entry);
+          }
+        );
+      }
+    );
+  });
+});
+
+// Read a link type as named from one ticket's side. Returns { type,
+// reversed } with the stored type, reversed when the other ticket is the
+// source, or null for unknown types.
+function parseLinkType(name) {
+  if (TICKET_LINK_TYPES[name]) {
+    return { type: name, reversed: false };
+  }
+  const type = Object.keys(TICKET_LINK_TYPES).find(key => TICKET_LINK_TYPES[key] === name);
+  return type ? { type, reversed: true } : null;
+}
+
+// A link as seen from ticketId, with a summary of the other ticket
+function formatTicketLink(link, ticketId) {
+  return {
+    id: link.id,
+    type: link.source_id === ticketId ? link.type : TICKET_LINK_TYPES[link.type],
+    ticket: { id: link.other_id, title: link.title, pipeline: link.pipeline, status: link.status, priority: link.priority },
+    created_by: link.created_by,
+    created_at: link.created_at
+  };
+}
+
+// Load the links of a ticket to tickets the user can access, and its
+// conversion chain: the tickets it was converted from and into, oldest
+// first, with their depth relative to it (empty when never converted)
+function loadTicketLinks(user, ticketId, callback) {
+  db.all(`
+    SELECT l.*, t.id AS other_id, t.title, t.pipeline, t.status, t.priority
+    FROM ticket_links l
+    JOIN tickets t ON t.id = CASE WHEN l.source_id = ? THEN l.target_id ELSE l.source_id END
+    WHERE l.source_id = ? OR l.target_id = ?
+    ORDER BY l.id
+  `, [ticketId, ticketId, ticketId], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    db.all(`
+      WITH RECURSIVE
+        origins(id, depth) AS (
+          SELECT ?, 0
+          UNION
+          SELECT l.target_id, o.depth - 1 FROM ticket_links l JOIN origins o ON l.source_id = o.id
+          WHERE l.type = 'converted-from' AND o.depth > -${MAX_CONVERSION_DEPTH}
+        ),
+        results(id, depth) AS (
+          SELECT ?, 0
+          UNION
+          SELECT l.source_id, r.depth + 1 FROM ticket_links l JOIN results r ON l.target_id = r.id
+          WHERE l.type = 'converted-from' AND r.depth < ${MAX_CONVERSION_DEPTH}
+        )
+      SELECT c.depth, t.id, t.title, t.pipeline, t.status, t.priority
+      FROM (SELECT * FROM origins UNION SELECT * FROM results) c
+      JOIN tickets t ON t.id = c.id
+      ORDER BY c.depth, t.created_at, t.rowid
+    `, [ticketId, ticketId], (err, chain) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const visibleChain = chain.filter(ticket => canAccessPipeline(user, ticket.pipeline));
+      callback(null, {
+        links: rows.filter(row => canAccessPipeline(user, row.pipeline)).map(row => formatTicketLink(row, ticketId)),
+        chain: visibleChain.length > 1 ? visibleChain : []
+      });
+    });
+  });
+}
+
+// Add timeline entries and history rows for a link on both of its tickets
+function recordLinkChange(req, link, added) {
+  const verb = added ? 'Link added' : 'Link removed';
+  const sides = [
+    [link.source, `${verb}: ${link.type} ${link.target.id}`, `${link.type} ${link.target.id}`],
+    [link.target, `${verb}: ${TICKET_LINK_TYPES[link.type]} ${link.source.id}`, `${TICKET_LINK_TYPES[link.type]} ${link.source.id}`]
+  ];
+
+  sides.forEach(([ticket, action, value]) => {
+    db.run('INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)', [ticket.id, action, req.user.full_name]);
+    recordHistory(db, req, ticket.id, [{ field: 'link', old_value: added ? null : value, new_value: added ? value : null }]);
+    publishTimeline(ticket, [action], req.user.full_name);
+  });
+}
+
+// Get the links and conversion chain of a ticket
+app.get('/api/tickets/:id/links', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadAccessibleTicket(req, res, req.params.id, (ticket) => {
+    loadTicketLinks(req.user, ticket.id, (err, result) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(result);
+    });
+  });
+});
+
+// Link a ticket to another: { type, ticket_id }. The type is named from
+// this ticket's side, e.g. "blocks" or "blocked-by".
+app.post('/api/tickets/:id/links', requireAuth, requirePermission('tickets:update'), (req, res) => {
+  const { type, ticket_id: otherId } = req.body;
+  const linkType = parseLinkType(type);
+
+  if (!linkType) {
+    const types = Object.entries(TICKET_LINK_TYPES).flat();
+    res.status(400).json({ error: `Link type must be one of: ${[...new Set(types)].join(', ')}` });
+    return;
+  }
+  if (!otherId) {
+    res.status(400).json({ error: 'Missing ticket_id' });
+    return;
+  }
+  if (otherId === req.params.id) {
+    res.status(400).json({ error: 'A ticket cannot be linked to itself' });
+    return;
+  }
+
+  loadAccessibleTicket(req, res, req.params.id, (ticket) => {
+    loadAccessibleTicket(req, res, otherId, (other) => {
+      const [source, target] = linkType.reversed ? [other, ticket] : [ticket, other];
+
+      // One link per type and pair of tickets, whichever way round
+      db.get(
+        `SELECT id FROM ticket_links WHERE type = ? AND
+          ((source_id = ? AND target_id = ?) OR (source_id = ? AND target_id = ?))`,
+        [linkType.type, source.id, target.id, target.id, source.id],
+        (err, existing) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          if (existing) {
+            res.status(409).json({ error: 'These tickets are already linked this way' });
+            return;
+          }
+
+          db.run(
+            'INSERT INTO ticket_links (source_id, target_id, type, created_by) VALUES (?, ?, ?, ?)',
+            [source.id, target.id, linkType.type, req.user.full_name],
+            function(err) {
+              if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+              }
+
+              const linkId = this.lastID;
+              recordLinkChange(req, { source, target, type: linkType.type }, true);
+
+              loadTicketLinks(req.user, ticket.id, (err, result) => {
+                if (err) {
+                  res.status(500).json({ error: err.message });
+                  return;
+                }
+                res.status(201).json(result.links.find(link => link.id === linkId));
+              });
+            }
+          );
+        }
+      );
+    });
+  });
+});
+
+// Remove a link of a ticket
+app.delete('/api/tickets/:id/links/:linkId', requireAuth, requirePermission('tickets:update'), (req, res) => {
+  loadAccessibleTicket(req, res, req.params.id, (ticket) => {
+    db.get(
+      'SELECT * FROM ticket_links WHERE id = ? AND (source_id = ? OR target_id = ?)',
+      [req.params.linkId, ticket.id, ticket.id],
+      (err, link) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        if (!link) {
+          res.status(404).json({ error: 'Link not found' });
+          return;
+        }
+
+        const otherId = link.source_id === ticket.id ? link.target_id : link.source_id;
+        loadAccessibleTicket(req, res, otherId, (other) => {
+          db.run('DELETE FROM ticket_links WHERE id = ?', [link.id], (err) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+
+            const [source, target] = link.source_id === ticket.id ? [ticket, other] : [other, ticket];
+            recordLinkChange(req, { source, target, type: link.type }, false);
+            res.json({ message: 'Link removed successfully' });
+          });
+        });
+      }
+    );
+  });
+});
+
+// Convert a ticket into a new ticket in another pipeline, e.g. a quote
+// into an order: { pipeline, title, priority, assigned_to, custom_fields,
+// close_source, resolution }. The new ticket keeps the customer and
+// description (and the title and priority unless given), takes the custom
+// fields of the target pipeline from custom_fields, and is linked as converted-from
+// the source. The source gets a timeline entry, and with close_source it
+// moves to the first closed status of its pipeline, outside the
+// transition rules, with the resolution (by default naming the new
+// ticket). Everything is written in one transaction. Responds with
+// { ticket, source }.
+app.post('/api/tickets/:id/convert', requireAuth, requirePermission('tickets:create'), requirePermission('tickets:update'), (req, res) => {
+  const { pipeline, title, priority, assigned_to, close_source, resolution } = req.body;
+
+  if (!pipeline) {
+    res.status(400).json({ error: 'Missing pipeline' });
+    return;
+  }
+  if (!canAccessPipeline(req.user, pipeline)) {
+    denyPipeline(res, pipeline);
+    return;
+  }
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    res.status(400).json({ error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+    return;
+  }
+
+  loadAccessibleTicket(req, res, req.params.id, (source) => {
+    const fields = {
+      title: title || source.title,
+      description: source.description,
+      customer: source.customer,
+      customer_id: source.customer_id,
+      pipeline,
+      priority: priority || source.priority,
+      assigned_to: assigned_to || null,
+      custom_fields: req.body.custom_fields || {}
+    };
+
+    loadTicketConfig((err, pipelines, slaConfig) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      const closedStatus = (findPipeline(pipelines, source.pipeline) || { statuses: [] }).statuses.find(status => status.is_closed);
+      let sourceUpdate = null;
+
+      // The link, both timeline entries and the closing of the source are
+      // written in the new ticket's transaction
+      const afterInsert = (tx, ticketId, next) => {
+        let writeError = null;
+        const check = (err) => {
+          writeError = writeError || err;
+        };
+
+        tx.serialize(() => {
+          tx.run(
+            'INSERT INTO ticket_links (source_id, target_id, type, created_by) VALUES (?, ?, ?, ?)',
+            [ticketId, source.id, 'converted-from', req.user.full_name],
+            check
+          );
+          [
+            [ticketId, `Converted from ${source.id}`, `converted-from ${source.id}`],
+            [source.id, `Converted to ${ticketId}`, `converted-to ${ticketId}`]
+          ].forEach(([entryTicketId, action, value]) => {
+            tx.run('INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)', [entryTicketId, action, req.user.full_name], check);
+            recordHistory(tx, req, entryTicketId, [{ field: 'link', old_value: null, new_value: value }]);
+          });
+
+          tx.get('SELECT * FROM tickets WHERE id = ?', [source.id], (err, current) => {
+            if (writeError || err) {
+              return next(writeError || err);
+            }
+            const currentStatus = findStatus(findPipeline(pipelines, current.pipeline), current.status);
+            if (!close_source || !closedStatus || current.pipeline !== source.pipeline || (currentStatus && currentStatus.is_closed)) {
+              sourceUpdate = { status: 200, body: current };
+              return next(null);
+            }
+
+            const patch = { status: closedStatus.key, resolution: resolution || `Converted to ${ticketId}` };
+            applyTicketPatch(tx, req, current, patch, pipelines, slaConfig, { enforceTransitions: false }, (err, update) => {
+              if (err) {
+                return next(err);
+              }
+              if (update.status !== 200) {
+                return next(null, update);
+              }
+              sourceUpdate = update;
+              next(null);
+            });
+          });
+        });
+      };
+
+      createTicket(fields, req, req.user.full_name, { afterInsert }, (err, created) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        if (created.error) {
+          res.status(created.error.status).json(created.error.body);
+          return;
+        }
+
+        const ticket = created.ticket;
+        publishTimeline(ticket, [`Converted from ${source.id}`], req.user.full_name);
+        publishTimeline(source, [`Converted to ${ticket.id}`], req.user.full_name);
+        publishTicketUpdate(req, sourceUpdate);
+        res.status(201).json({ ticket, source: sourceUpdate.body });
+      });
+    });
+  });
+});
+
+// @username mentions in comment text. The character before the @ must not
+// be part of a name, so e-mail addresses do not count as mentions.
+const MENTION_PATTERN = /(^|[^A-Za-z0-9._-])@([A-Za-z0-9._-]+)/g;
+
+function extractMentionedUsernames(body) {
+  const usernames = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    // A trailing full stop ends the sentence, not the username
+    const username = match[2].replace(/\.+$/, '');
+    if (username) {
+      usernames.add(username.toLowerCase());
+    }
+  }
+  return [...usernames];
+}
+
+// Replace the stored mentions of a comment with the active users named in
+// its body. Unknown usernames are ignored, and users who were already
+// mentioned keep their read state. conn is db or a transaction's tx.
+function saveCommentMentions(conn, commentId, body, callback) {
+  const usernames = extractMentionedUsernames(body);
+  const placeholders = usernames.map(() => '?').join(', ');
+
+  conn.all(
+    `SELECT id FROM users WHERE active = 1 AND LOWER(username) IN (${placeholders})`,
+    usernames,
+    (err, users) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const userIds = users.map(user => user.id);
+
+      conn.serialize(() => {
+        conn.run(
+          `DELETE FROM comment_mentions WHERE comment_id = ? AND user_id NOT IN (${userIds.map(() => '?').join(', ')})`,
+          [commentId, ...userIds]
+        );
+
+        const stmt = conn.prepare('INSERT OR IGNORE INTO comment_mentions (comment_id, user_id) VALUES (?, ?)');
+        userIds.forEach(userId => stmt.run([commentId, userId]));
+        stmt.finalize(callback);
+      });
+    }
+  );
+}
+
+// Load comments matching a WHERE clause together with their mentioned users.
+// Deleted comments keep their place in the thread but lose their text.
+function loadComments(where, params, callback) {
+  db.all(`SELECT * FROM comments WHERE ${where} ORDER BY created_at, id`, params, (err, comments) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const ids = comments.map(comment => comment.id);
+
+    db.all(`
+      SELECT m.comment_id, u.id, u.username, u.full_name
+      FROM comment_mentions m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.comment_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY u.username
+    `, ids, (err, mentions) => {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, comments.map(comment => ({
+        ...comment,
+        body: comment.deleted_at ? null : comment.body,
+        is_internal: !!comment.is_internal,
+        mentions: comment.deleted_at ? [] : mentions
+          .filter(mention => mention.comment_id === comment.id)
+          .map(mention => ({ id: mention.id, username: mention.username, full_name: mention.full_name }))
+      })));
+    });
+  });
+}
+
+// Load a single comment and check that the user can see its ticket.
+// Sends the error response itself; callback(comment, ticket) on success.
+function loadAccessibleComment(req, res, commentId, callback) {
+  loadComments('id = ?', [commentId], (err, comments) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (comments.length === 0 || comments[0].deleted_at) {
+      res.status(404).json({ error: 'Comment not found' });
+      return;
+    }
+
+    loadAccessibleTicket(req, res, comments[0].ticket_id, (ticket) => callback(comments[0], ticket));
+  });
+}
+
+// Get ticket comments as threads: top-level comments with their replies
+app.get('/api/tickets/:id/comments', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const { id } = req.params;
+
+  loadAccessibleTicket(req, res, id, () => {
+    loadComments('ticket_id = ?', [id], (err, comments) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      const threads = comments
+        .filter(comment => !comment.parent_id)
+        .map(comment => ({
+          ...comment,
+          replies: comments.filter(reply => reply.parent_id === comment.id)
+        }));
+
+      res.json(threads);
+    });
+  });
+});
+
+// Add comment or reply. Comments are internal unless is_internal is false.
+app.post('/api/tickets/:id/comments', requireAuth, requirePermission('comments:create'), (req, res) => {
+  const { id } = req.params;
+  const { body, parent_id } = req.body;
+  const isInternal = req.body.is_internal === undefined ? true : !!req.body.is_internal;
+
+  if (typeof body !== 'string' || !body.trim()) {
+    res.status(400).json({ error: 'Comment text is required' });
+    return;
+  }
+
+  loadAccessibleTicket(req, res, id, (ticket) => {
+    const insertComment = (threadId) => {
+      db.run(`
+        INSERT INTO comments (ticket_id, parent_id, author_user_id, author_name, body, is_internal)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [id, threadId, req.user.id, req.user.full_name, body, isInternal ? 1 : 0], function(err) {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        const commentId = this.lastID;
+
+        // A reply the customer can see counts as the SLA first response
+        if (!isInternal) {
+          db.run('UPDATE tickets SET first_responded_at = CURRENT_TIMESTAMP WHERE id = ? AND first_responded_at IS NULL', [id]);
+        }
+
+        saveCommentMentions(db, commentId, body, (err) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          loadComments('id = ?', [commentId], (err, comments) => {
+            if (err) {
+              res.status(500).json({ error: err.message });
+              return;
+            }
+
+            publishEvent('comment.added', [ticket.pipeline], { ticket_id: ticket.id, comment: comments[0] });
+            res.status(201).json(comments[0]);
+          });
+        });
+      });
+    };
+
+    if (!parent_id) {
+      insertComment(null);
+      return;
+    }
+
+    // Replies to a reply join the thread of the top-level comment. Deleted
+    // comments cannot be replied to.
+    db.get('SELECT id, parent_id FROM comments WHERE id = ? AND ticket_id = ? AND deleted_at IS NULL', [parent_id, id], (err, parent) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      if (!parent) {
+        res.status(400).json({ error: `Comment ${parent_id} does not exist on this ticket` });
+        return;
+      }
+
+      insertComment(parent.parent_id || parent.id);
+    });
+  });
+});
+
+// Edit comment text or visibility (author only). Making an internal note
+// visible to the customer counts as the SLA first response, as for a new
+// customer-visible comment.
+app.put('/api/comments/:id', requireAuth, requirePermission('comments:create'), (req, res) => {
+  const { body, is_internal } = req.body;
+
+  if (body === undefined && is_internal === undefined) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
+  }
+  if (body !== undefined && (typeof body !== 'string' || !body.trim())) {
+    res.status(400).json({ error: 'Comment text is required' });
+    return;
+  }
+
+  loadAccessibleComment(req, res, req.params.id, (comment, ticket) => {
+    if (comment.author_user_id !== req.user.id) {
+      res.status(403).json({ error: 'Only the author can edit a comment' });
+      return;
+    }
+
+    const newBody = body === undefined ? comment.body : body;
+    const newInternal = is_internal === undefined ? comment.is_internal : !!is_internal;
+
+    withTransaction((tx, done) => {
+      let writeError = null;
+      const check = (err) => {
+        writeError = writeError || err;
+      };
+
+      tx.serialize(() => {
+        tx.run(
+          'UPDATE comments SET body = ?, is_internal = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [newBody, newInternal ? 1 : 0, comment.id],
+          check
+        );
+        if (comment.is_internal && !newInternal) {
+          tx.run(
+            'UPDATE tickets SET first_responded_at = CURRENT_TIMESTAMP WHERE id = ? AND first_responded_at IS NULL',
+            [ticket.id],
+            check
+          );
+        }
+
+        saveCommentMentions(tx, comment.id, newBody, (err) => done(writeError || err));
+      });
+    }, (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      loadComments('id = ?', [comment.id], (err, comments) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        publishEvent('comment.updated', [ticket.pipeline], { ticket_id: ticket.id, comment: comments[0] });
+        res.json(comments[0]);
+      });
+    });
+  });
+});
+
+// Delete comment (author or admin). The comment stays in its thread as a
+// placeholder so replies keep their context.
+app.delete('/api/comments/:id', requireAuth, (req, res) => {
+  loadAccessibleComment(req, res, req.params.id, (comment) => {
+    const isAuthor = comment.author_user_id === req.user.id && hasPermission(req.user, 'comments:create');
+    if (!isAuthor && req.user.role !== 'admin') {
+      res.status(403).json({ error: 'Only the author or an administrator can delete a comment' });
+      return;
+    }
+
+    db.serialize(() => {
+      db.run('DELETE FROM comment_mentions WHERE comment_id = ?', [comment.id]);
+      db.run('UPDATE comments SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [comment.id], (err) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json({ message: 'Comment deleted successfully' });
+      });
+    });
+  });
+});
+
+// Get comments that mention the logged-in user, newest first, limited to
+// tickets the user can still access. ?unread=true hides ones already read.
+app.get('/api/mentions', requireAuth, (req, res) => {
+  const unreadOnly = req.query.unread === 'true';
+
+  db.all(`
+    SELECT c.id as comment_id, c.ticket_id, c.author_name, c.body, c.is_internal, c.created_at,
+           m.read_at, t.title as ticket_title, t.pipeline
+    FROM comment_mentions m
+    JOIN comments c ON c.id = m.comment_id
+    JOIN tickets t ON t.id = c.ticket_id
+    WHERE m.user_id = ? AND c.deleted_at IS NULL ${unreadOnly ? 'AND m.read_at IS NULL' : ''}
+    ORDER BY c.created_at DESC, c.id DESC
+  `, [req.user.id], (err, mentions) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    res.json(mentions
+      .filter(mention => canAccessPipeline(req.user, mention.pipeline))
+      .map(mention => ({ ...mention, is_internal: !!mention.is_internal })));
+  });
+});
+
+// Mark mentions as read: the given comment_ids, or all of them
+app.post('/api/mentions/read', requireAuth, (req, res) => {
+  const commentIds = req.body.comment_ids;
+
+  if (commentIds !== undefined && !Array.isArray(commentIds)) {
+    res.status(400).json({ error: 'comment_ids must be an array' });
+    return;
+  }
+
+  const filter = commentIds ? `AND comment_id IN (${commentIds.map(() => '?').join(', ')})` : '';
+
+  db.run(
+    `UPDATE comment_mentions SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL ${filter}`,
+    [req.user.id, ...(commentIds || [])],
+    function(err) {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json({ marked_read: this.changes });
+    }
+  );
+});
+
+// Multipart parser for ticket attachments. Files are held in memory only
+// until they have been hashed and written to ATTACHMENTS_DIR.
+function isAllowedAttachment(filename, mimeType) {
+  const allowedTypes = ATTACHMENT_TYPES[path.extname(filename).toLowerCase()];
+  return !!allowedTypes && allowedTypes.includes(mimeType);
+}
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_ATTACHMENT_MB * 1024 * 1024, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedAttachment(file.originalname, file.mimetype)) {
+      const error = new Error(`File type not allowed: ${file.originalname} (${file.mimetype})`);
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse the "file" fields of a multipart upload and turn parser errors into
+// JSON responses
+function parseAttachments(req, res, next) {
+  attachmentUpload.array('file', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files may be at most ${MAX_ATTACHMENT_MB} MB` });
+    }
+    res.status(err.status || 400).json({ error: err.message });
+  });
+}
+
+function getAttachmentPath(sha256) {
+  return path.join(ATTACHMENTS_DIR, sha256.slice(0, 2), sha256);
+}
+
+// Write file contents under their SHA-256 digest, unless a file with the
+// same contents is already stored
+function storeAttachmentFile(buffer, callback) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const filePath = getAttachmentPath(sha256);
+
+  fs.mkdir(path.dirname(filePath), { recursive: true }, (err) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // 'wx' fails with EEXIST when the contents are already stored
+    fs.writeFile(filePath, buffer, { flag: 'wx' }, (err) => {
+      if (err && err.code !== 'EEXIST') {
+        return callback(err);
+      }
+      callback(null, sha256);
+    });
+  });
+}
+
+// Remove stored files that no attachment row refers to any more
+function removeOrphanedAttachmentFiles(hashes) {
+  [...new Set(hashes)].forEach(sha256 => {
+    db.get('SELECT COUNT(*) as count FROM attachments WHERE sha256 = ?', [sha256], (err, row) => {
+      if (err || row.count > 0) {
+        return;
+      }
+
+      fs.unlink(getAttachmentPath(sha256), (err) => {
+        if (err && err.code !== 'ENOENT') {
+          console.error(`Error removing attachment file ${sha256}:`, err.message);
+        }
+      });
+    });
+  });
+}
+
+// Load an attachment and check that the user can see its ticket.
+// Sends the error response itself; callback(attachment) on success.
+function loadAccessibleAttachment(req, res, attachmentId, callback) {
+  db.get('SELECT * FROM attachments WHERE id = ?', [attachmentId], (err, attachment) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!attachment) {
+      res.status(404).json({ error: 'Attachment not found' });
+      return;
+    }
+
+    loadAccessibleTicket(req, res, attachment.ticket_id, (ticket) => callback(attachment, ticket));
+  });
+}
+
+// Get ticket attachments
+app.get('/api/tickets/:id/attachments', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const { id } = req.params;
+
+  loadAccessibleTicket(req, res, id, () => {
+    db.all('SELECT * FROM attachments WHERE ticket_id = ? ORDER BY created_at, id', [id], (err, attachments) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(attachments);
+    });
+  });
+});
+
+// Store the contents of files ({ originalname, mimetype, size, buffer })
+// one after the other, before any rows refer to them. On failure the files
+// stored so far are removed again. callback(err, sha256 per file)
+function storeAttachmentFiles(files, callback) {
+  const hashes = [];
+
+  const storeNext = (index) => {
+    if (index === files.length) {
+      return callback(null, hashes);
+    }
+
+    storeAttachmentFile(files[index].buffer, (err, sha256) => {
+      if (err) {
+        removeOrphanedAttachmentFiles(hashes);
+        return callback(err);
+      }
+
+      hashes.push(sha256);
+      storeNext(index + 1);
+    });
+  };
+
+  storeNext(0);
+}
+
+// Write the attachment rows of stored files (see storeAttachmentFiles) with
+// tx, with timeline and history entries. uploader is { id, name }; req is
+// null for files added by the server (e.g. from e-mail). Publish the
+// actions with publishTimeline once the transaction is committed.
+// callback(err, { ids, actions })
+function insertTicketAttachments(tx, req, ticketId, files, hashes, uploader, callback) {
+  const ids = [];
+  const actions = [];
+  let writeError = null;
+  const check = (err) => {
+    writeError = writeError || err;
+  };
+
+  tx.serialize(() => {
+    files.forEach((file, index) => {
+      const filename = path.basename(file.originalname);
+      const action = `Attachment added: ${filename}`;
+
+      tx.run(`
+        INSERT INTO attachments (ticket_id, filename, mime_type, size, sha256, uploaded_by_user_id, uploaded_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [ticketId, filename, file.mimetype, file.size, hashes[index], uploader.id, uploader.name], function(err) {
+        check(err);
+        if (!err) {
+          ids.push(this.lastID);
+        }
+      });
+      tx.run('INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)', [ticketId, action, uploader.name], check);
+      recordHistory(tx, req, ticketId, [{ field: 'attachment', old_value: null, new_value: filename }]);
+      actions.push(action);
+    });
+
+    tx.get('SELECT 1', (err) => callback(writeError || err, { ids, actions }));
+  });
+}
+
+// Load attachment rows by id, in upload order
+function loadAttachmentsById(ids, callback) {
+  db.all(`SELECT * FROM attachments WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`, ids, callback);
+}
+
+// Store files as attachments of a ticket: the files first, then all rows
+// in one transaction, so a failure leaves none of them behind.
+// callback(err, attachments)
+function addTicketAttachments(req, ticket, files, uploader, callback) {
+  storeAttachmentFiles(files, (err, hashes) => {
+    if (err) {
+      return callback(err);
+    }
+
+    withTransaction((tx, done) => {
+      insertTicketAttachments(tx, req, ticket.id, files, hashes, uploader, done);
+    }, (err, added) => {
+      if (err) {
+        removeOrphanedAttachmentFiles(hashes);
+        return callback(err);
+      }
+
+      // Events go out only once the attachments are committed
+      publishTimeline(ticket, added.actions, uploader.name);
+      loadAttachmentsById(added.ids, callback);
+    });
+  });
+}
+
+// Upload attachments (multipart/form-data, one or more "file" fields)
+app.post('/api/tickets/:id/attachments', requireAuth, requirePermission('tickets:update'), parseAttachments, (req, res) => {
+  const { id } = req.params;
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    res.status(400).json({ error: 'No file uploaded (use multipart field "file")' });
+    return;
+  }
+
+  loadAccessibleTicket(req, res, id, (ticket) => {
+    addTicketAttachments(req, ticket, files, { id: req.user.id, name: req.user.full_name }, (err, attachments) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.status(201).json(attachments);
+    });
+  });
+});
+
+// Download attachment. ?inline=true shows images in the browser (used for
+// thumbnails); everything else is always sent as a download.
+app.get('/api/attachments/:id/download', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  loadAccessibleAttachment(req, res, req.params.id, (attachment) => {
+    const inline = req.query.inline === 'true' && attachment.mime_type.startsWith('image/');
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(attachment.mime_type);
+    res.set(
+      'Content-Disposition',
+      `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+    );
+
+    res.sendFile(getAttachmentPath(attachment.sha256), (err) => {
+      if (err && !res.headersSent) {
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ error: 'Attachment file is missing' });
+      }
+    });
+  });
+});
+
+// Delete attachment
+app.delete('/api/attachments/:id', requireAuth, requirePermission('tickets:update'), (req, res) => {
+  loadAccessibleAttachment(req, res, req.params.id, (attachment, ticket) => {
+    db.run('DELETE FROM attachments WHERE id = ?', [attachment.id], (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      const action = `Attachment removed: ${attachment.filename}`;
+      db.run('INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)', [attachment.ticket_id, action, req.user.full_name]);
+      recordHistory(db, req, attachment.ticket_id, [{ field: 'attachment', old_value: attachment.filename, new_value: null }]);
+      removeOrphanedAttachmentFiles([attachment.sha256]);
+      publishTimeline(ticket, [action], req.user.full_name);
+
+      res.json({ message: 'Attachment deleted successfully' });
+    });
+  });
+});
+
+// Give tickets created before SLA tracking (or before a policy existed)
+// their due dates. Tickets already past their pipeline's first status
+// count as responded to. Runs inside a transaction.
+function backfillSlaDueDates(tx, pipelines, slaConfig, callback) {
+  tx.all(`
+    SELECT * FROM tickets
+    WHERE first_response_due_at IS NULL AND resolution_due_at IS NULL AND resolved_at IS NULL
+  `, (err, tickets) => {
+    if (err) {
+      return callback(err);
+    }
+
+    tx.serialize(() => {
+      tickets.forEach(ticket => {
+        const pipeline = findPipeline(pipelines, ticket.pipeline);
+        const status = findStatus(pipeline, ticket.status);
+        if (!pipeline || (status && status.is_closed)) {
+          return;
+        }
+
+        const due = computeSlaDueDates(ticket.pipeline, ticket.priority, fromSqlDate(ticket.created_at), slaConfig);
+        if (!due.first_response_due_at && !due.resolution_due_at) {
+          return;
+        }
+
+        const responded = pipeline.statuses.length > 0 && ticket.status !== pipeline.statuses[0].key;
+        tx.run(`
+          UPDATE tickets SET first_response_due_at = ?, resolution_due_at = ?,
+            first_responded_at = COALESCE(first_responded_at, ?)
+          WHERE id = ?
+        `, [due.first_response_due_at, due.resolution_due_at, responded ? ticket.created_at : null, ticket.id]);
+      });
+
+      tx.get('SELECT 1', callback);
+    });
+  });
+}
+
+// Record a missed SLA target on a ticket, add timeline entries and, on the
+// ticket's first breach only, apply the policy's escalation: raise the
+// priority one level and/or reassign. A ticket that later misses its other
+// target is not escalated again. Runs inside the checkSlaBreaches
+// transaction; write errors go to check. Returns { changes, actions }.
+function escalateSlaBreach(tx, ticket, slaConfig, now, check) {
+  const updates = {};
+  const actions = [];
+  const firstBreach = !ticket.response_breached_at && !ticket.resolution_breached_at;
+
+  if (!ticket.first_responded_at && !ticket.response_breached_at &&
+      ticket.first_response_due_at && ticket.first_response_due_at <= now) {
+    updates.response_breached_at = now;
+    actions.push(`SLA breached: first response was due ${ticket.first_response_due_at} UTC`);
+  }
+  if (!ticket.resolution_breached_at && ticket.resolution_due_at && ticket.resolution_due_at <= now) {
+    updates.resolution_breached_at = now;
+    actions.push(`SLA breached: resolution was due ${ticket.resolution_due_at} UTC`);
+  }
+
+  const policy = firstBreach ? findSlaPolicy(slaConfig.policies, ticket.pipeline, ticket.priority) : null;
+  const changes = [];
+
+  if (policy && policy.escalate_priority) {
+    const level = PRIORITIES.indexOf(ticket.priority);
+    if (level >= 0 && level < PRIORITIES.length - 1) {
+      changes.push({ field: 'priority', old_value: ticket.priority, new_value: PRIORITIES[level + 1] });
+    }
+  }
+  if (policy && policy.escalate_to && policy.escalate_to !== ticket.assigned_to) {
+    changes.push({ field: 'assigned_to', old_value: ticket.assigned_to, new_value: policy.escalate_to });
+  }
+
+  changes.forEach(change => {
+    updates[change.field] = change.new_value;
+    actions.push(change.old_value
+      ? `SLA escalation: ${FIELD_NAMES[change.field]} changed from "${change.old_value}" to "${change.new_value}"`
+      : `SLA escalation: ${FIELD_NAMES[change.field]} set to "${change.new_value}"`);
+  });
+
+  tx.run(
+    `UPDATE tickets SET ${Object.keys(updates).map(column => `${column} = ?`).join(', ')},
+      version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...Object.values(updates), ticket.id],
+    check
+  );
+
+  const stmt = tx.prepare('INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)');
+  actions.forEach(action => stmt.run([ticket.id, action, 'System'], check));
+  stmt.finalize();
+
+  recordHistory(tx, null, ticket.id, changes);
+
+  return { changes, actions };
+}
+
+// Flag open tickets that have missed an SLA target. Run by the background
+// scheduler every SLA_CHECK_INTERVAL_SECONDS; callback(err, { breached }).
+function checkSlaBreaches(callback) {
+  loadTicketConfig((err, pipelines, slaConfig) => {
+    if (err) {
+      return callback(err);
+    }
+
+    withTransaction((tx, done) => {
+      backfillSlaDueDates(tx, pipelines, slaConfig, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        const now = toSqlDate(new Date());
+
+        tx.all(`
+          SELECT * FROM tickets
+          WHERE resolved_at IS NULL AND (
+            (first_responded_at IS NULL AND response_breached_at IS NULL AND first_response_due_at <= ?)
+            OR (resolution_breached_at IS NULL AND resolution_due_at <= ?)
+          )
+        `, [now, now], (err, tickets) => {
+          if (err) {
+            return done(err);
+          }
+
+          // Tickets sitting in a closed status are done, whatever resolved_at says
+          const breached = tickets.filter(ticket => {
+            const status = findStatus(findPipeline(pipelines, ticket.pipeline), ticket.status);
+            return !(status && status.is_closed);
+          });
+
+          let writeError = null;
+          const check = (err) => {
+            writeError = writeError || err;
+          };
+
+          tx.serialize(() => {
+            const escalations = breached.map(ticket => ({ ticket, ...escalateSlaBreach(tx, ticket, slaConfig, now, check) }));
+            tx.get('SELECT 1', (err) => done(writeError || err, escalations));
+          });
+        });
+      });
+    }, (err, escalations) => {
+      if (err) {
+        return callback(err);
+      }
+
+      escalations.forEach(({ ticket, changes, actions }) => {
+        db.get('SELECT * FROM tickets WHERE id = ?', [ticket.id], (err, updated) => {
+          if (err || !updated) {
+            return;
+          }
+
+          const changedFields = ['response_breached_at', 'resolution_breached_at', ...changes.map(change => change.field)]
+            .filter(column => updated[column] !== ticket[column]);
+
+          publishEvent('ticket.updated', [updated.pipeline], {
+            ticket: updated,
+            changes: changedFields,
+            previous: Object.fromEntries(changedFields.map(column => [column, ticket[column]])),
+            user: 'System'
+          });
+          publishTimeline(updated, actions, 'System');
+        });
+      });
+
+      callback(null, { breached: escalations.map(escalation => escalation.ticket.id) });
+    });
+  });
+}
+
+// Validate an SLA target in hours: empty for "no target", else a positive number
+function isValidSlaHours(value) {
+  return value === null || value === undefined || (typeof value === 'number' && value > 0);
+}
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Get SLA policies
+app.get('/api/sla/policies', requireAuth, (req, res) => {
+  loadSlaConfig((err, slaConfig) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(slaConfig.policies);
+  });
+});
+
+// Create or replace the SLA policy for a pipeline ("*" for all) and
+// priority (admin only). New targets apply to tickets created or
+// re-prioritized afterwards.
+app.put('/api/sla/policies', requireAuth, requireAdmin, (req, res) => {
+  const pipeline = req.body.pipeline || '*';
+  const { priority, first_response_hours, resolution_hours, escalate_priority, escalate_to } = req.body;
+
+  if (!PRIORITIES.includes(priority)) {
+    res.status(400).json({ error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+    return;
+  }
+  if (!isValidSlaHours(first_response_hours) || !isValidSlaHours(resolution_hours)) {
+    res.status(400).json({ error: 'SLA targets must be positive numbers of business hours' });
+    return;
+  }
+
+  db.get('SELECT key FROM pipelines WHERE key = ?', [pipeline], (err, existing) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (pipeline !== '*' && !existing) {
+      res.status(400).json({ error: `Unknown pipeline "${pipeline}"` });
+      return;
+    }
+
+    db.run(`
+      INSERT INTO sla_policies (pipeline, priority, first_response_hours, resolution_hours, escalate_priority, escalate_to)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (pipeline, priority) DO UPDATE SET
+        first_response_hours = excluded.first_response_hours,
+        resolution_hours = excluded.resolution_hours,
+        escalate_priority = excluded.escalate_priority,
+        escalate_to = excluded.escalate_to
+    `, [
+      pipeline, priority, first_response_hours ?? null, resolution_hours ?? null,
+      escalate_priority ? 1 : 0, escalate_to || null
+    ], (err) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      loadSlaConfig((err, slaConfig) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json(slaConfig.policies.find(policy => policy.pipeline === pipeline && policy.priority === priority));
+      });
+    });
+  });
+});
+
+// Delete SLA policy (admin only)
+app.delete('/api/sla/policies/:id', requireAuth, requireAdmin, (req, res) => {
+  db.run('DELETE FROM sla_policies WHERE id = ?', [req.params.id], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (this.changes === 0) {
+      res.status(404).json({ error: 'SLA policy not found' });
+      return;
+    }
+    res.json({ message: 'SLA policy deleted successfully' });
+  });
+});
+
+// Get the work calendar used for business-hour calculations
+app.get('/api/sla/calendar', requireAuth, (req, res) => {
+  loadSlaConfig((err, slaConfig) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(slaConfig.calendar);
+  });
+});
+
+// Replace business hours and/or holidays (admin only)
+app.put('/api/sla/calendar', requireAuth, requireAdmin, (req, res) => {
+  const { hours, holidays } = req.body;
+
+  if (hours === undefined && holidays === undefined) {
+    res.status(400).json({ error: 'Nothing to update' });
+    return;
   }
 
-  res.json({ message: 'Logged out successfully' });
+  if (hours !== undefined) {
+    if (!Array.isArray(hours) || hours.length === 0) {
+      res.status(400).json({ error: 'Business hours need at least one working day' });
+      return;
+    }
+
+    const days = hours.map(entry => entry && entry.day_of_week);
+    const invalid = hours.find(entry =>
+      !entry || !Number.isInteger(entry.day_of_week) || entry.day_of_week < 0 || entry.day_of_week > 6 ||
+      !TIME_PATTERN.test(entry.start_time) || !TIME_PATTERN.test(entry.end_time) ||
+      entry.start_time >= entry.end_time
+    );
+    if (invalid || new Set(days).size !== days.length) {
+      res.status(400).json({
+        error: 'Each day needs a unique day_of_week (0-6) and start_time before end_time (HH:MM)'
+      });
+      return;
+    }
+  }
+
+  if (holidays !== undefined &&
+      (!Array.isArray(holidays) || holidays.some(holiday => !holiday || !DATE_PATTERN.test(holiday.date)))) {
+    res.status(400).json({ error: 'Holidays need a date in YYYY-MM-DD format' });
+    return;
+  }
+
+  withTransaction((tx, done) => {
+    tx.serialize(() => {
+      if (hours !== undefined) {
+        tx.run('DELETE FROM business_hours');
+        const stmt = tx.prepare('INSERT INTO business_hours (day_of_week, start_time, end_time) VALUES (?, ?, ?)');
+        hours.forEach(entry => stmt.run([entry.day_of_week, entry.start_time, entry.end_time]));
+        stmt.finalize();
+      }
+
+      if (holidays !== undefined) {
+        tx.run('DELETE FROM holidays');
+        const stmt = tx.prepare('INSERT OR REPLACE INTO holidays (date, name) VALUES (?, ?)');
+        holidays.forEach(holiday => stmt.run([holiday.date, holiday.name || null]));
+        stmt.finalize();
+      }
+
+      tx.get('SELECT 1', done);
+    });
+  }, (err) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    loadSlaConfig((err, slaConfig) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(slaConfig.calendar);
+    });
+  });
 });
 
-app.get('/api/auth/me', requireAuth, (req, res) => {
-  res.json({
-    user: {
-      id: req.user.id,
-      username: req.user.username,
-      fullName: req.user.full_name,
-      email: req.user.email,
-      role: req.user.role
+// Get tickets that have missed an SLA target, most overdue first. Only
+// unresolved tickets are listed unless ?include_resolved=true.
+app.get('/api/sla/breaches', requireAuth, requirePermission('tickets:read'), (req, res) => {
+  let query = `
+    SELECT * FROM tickets
+    WHERE (response_breached_at IS NOT NULL OR resolution_breached_at IS NOT NULL)
+  `;
+
+  if (req.query.include_resolved !== 'true') {
+    query += ' AND resolved_at IS NULL';
+  }
+
+  query += ' ORDER BY COALESCE(response_breached_at, resolution_breached_at) ASC';
+
+  db.all(query, (err, tickets) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    res.json(tickets
+      .filter(ticket => canAccessPipeline(req.user, ticket.pipeline))
+      .map(ticket => ({
+        ...ticket,
+        breaches: [
+          ...(ticket.response_breached_at ? ['first_response'] : []),
+          ...(ticket.resolution_breached_at ? ['resolution'] : [])
+        ]
+      })));
+  });
+});
+
+// Run the SLA check now instead of waiting for the scheduler (admin only)
+app.post('/api/sla/check', requireAuth, requireAdmin, (req, res) => {
+  checkSlaBreaches((err, result) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(result);
+  });
+});
+
+// EventSource cannot send custom headers, so the event stream also accepts
+// the session ID as ?session_id=
+function acceptSessionQuery(req, res, next) {
+  if (!req.headers['x-session-id'] && req.query.session_id) {
+    req.headers['x-session-id'] = String(req.query.session_id);
+  }
+  next();
+}
+
+// Event stream of ticket changes: ticket.created, ticket.updated,
+// ticket.deleted, timeline.added, comment.added and comment.updated.
+// ?pipelines=sales,orders limits the stream to those pipelines. After a
+// reconnect, missed events are replayed from the buffer; a "reset" event
+// tells the client to reload instead when they are no longer available.
+app.get('/api/events', acceptSessionQuery, requireAuth, requirePermission('tickets:read'), (req, res) => {
+  const pipelines = req.query.pipelines
+    ? String(req.query.pipelines).split(',').map(pipeline => pipeline.trim()).filter(Boolean)
+    : null;
+
+  const denied = pipelines && pipelines.find(pipeline => !canAccessPipeline(req.user, pipeline));
+  if (denied) {
+    denyPipeline(res, denied);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  const client = { res, user: req.user, pipelines, sessionRecordId: req.sessionRecordId };
+  const lastSeen = Number(req.get('last-event-id') || req.query.last_event_id);
+
+  if (Number.isInteger(lastSeen) && lastSeen > 0) {
+    const oldestId = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+
+    // An ID from before a server restart or older than the buffer cannot be replayed
+    if (lastSeen > lastEventId || lastSeen < oldestId - 1) {
+      res.write('event: reset\ndata: {}\n\n');
+    } else {
+      recentEvents
+        .filter(event => event.id > lastSeen && clientWantsEvent(client, event))
+        .forEach(event => writeEvent(res, event));
+    }
+  }
+
+  eventClients.add(client);
+  req.on('close', () => eventClients.delete(client));
+});
+
+// Webhook rows store their lists as JSON. The secret is left out: it is
+// only shown when the webhook is created.
+function formatWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return {
+    ...rest,
+    events: JSON.parse(webhook.events),
+    fields: JSON.parse(webhook.fields),
+    pipelines: JSON.parse(webhook.pipelines),
+    active: !!webhook.active
+  };
+}
+
+function formatDelivery(delivery) {
+  return { ...delivery, payload: JSON.parse(delivery.payload) };
+}
+
+// A webhook receives an event it subscribes to when the event concerns
+// one of its pipelines and, for ticket.updated, changed one of its fields
+function webhookWantsEvent(webhook, event) {
+  if (!webhook.events.includes(event.type)) {
+    return false;
+  }
+  if (webhook.pipelines.length > 0 && !event.pipelines.some(pipeline => webhook.pipelines.includes(pipeline))) {
+    return false;
+  }
+  if (event.type === 'ticket.updated' && webhook.fields.length > 0) {
+    return event.data.changes.some(field => webhook.fields.includes(field));
+  }
+  return true;
+}
+
+// Check webhook settings from a request body. On create the URL and events
+// are required. Returns an error message or null.
+function validateWebhookInput(body, isCreate) {
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (isCreate || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch (err) {
+      return 'A valid webhook URL is required';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'Webhook URL must use http or https';
+    }
+  }
+
+  if (isCreate || body.events !== undefined) {
+    if (!isStringList(body.events) || body.events.length === 0 ||
+        body.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return `Events must be a list chosen from: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+
+  if (body.fields !== undefined &&
+      (!isStringList(body.fields) || body.fields.some(field => !EDITABLE_FIELDS.includes(field)))) {
+    return `Fields must be a list chosen from: ${EDITABLE_FIELDS.join(', ')}`;
+  }
+  if (body.pipelines !== undefined && !isStringList(body.pipelines)) {
+    return 'Pipelines must be a list of pipeline keys';
+  }
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return 'Secret must be at least 16 characters';
+  }
+
+  return null;
+}
+
+// Deliveries currently being sent, so the retry scheduler never sends one twice
+const sendingDeliveries = new Set();
+
+// POST a pending delivery that is due, signed with its webhook's secret,
+// and record the outcome. Deliveries that are not due, or whose webhook
+// has been deactivated, are left alone.
+function sendWebhookDelivery(deliveryId, callback) {
+  if (sendingDeliveries.has(deliveryId)) {
+    return callback(null);
+  }
+  sendingDeliveries.add(deliveryId);
+
+  const finish = (err) => {
+    sendingDeliveries.delete(deliveryId);
+    callback(err);
+  };
+
+  db.get(`
+    SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.id = ? AND d.status = 'pending' AND d.next_attempt_at <= datetime('now') AND w.active = 1
+  `, [deliveryId], (err, delivery) => {
+    if (err || !delivery) {
+      return finish(err);
+    }
+
+    // The signature covers the timestamp too, so a captured request cannot
+    // be replayed later with a fresh timestamp
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', delivery.secret)
+      .update(`${timestamp}.${delivery.payload}`)
+      .digest('hex');
+
+    fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signature}`
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_SECONDS * 1000)
+    })
+      .then(response => {
+        if (response.body) {
+          response.body.cancel();
+        }
+        return { status: response.status, error: response.ok ? null : `Receiver responded with HTTP ${response.status}` };
+      })
+      .catch(error => ({ status: null, error: error.cause ? error.cause.message : error.message }))
+      .then(result => {
+        const attempts = delivery.attempts + 1;
+        let status = 'delivered';
+        let nextAttemptAt = null;
+
+        if (result.error) {
+          status = attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+          if (status === 'pending') {
+            const delaySeconds = WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+            nextAttemptAt = toSqlDate(new Date(Date.now() + delaySeconds * 1000));
+          }
+        }
+
+        db.run(`
+          UPDATE webhook_deliveries
+          SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?,
+            delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP END
+          WHERE id = ?
+        `, [status, attempts, nextAttemptAt, result.status, result.error, status, delivery.id], finish);
+      });
+  });
+}
+
+// Store a delivery of a payload to a webhook and send it right away
+function createWebhookDelivery(webhookId, event, payload, replayOf, callback) {
+  db.run(
+    'INSERT INTO webhook_deliveries (webhook_id, event, payload, replay_of) VALUES (?, ?, ?, ?)',
+    [webhookId, event, payload, replayOf],
+    function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      const deliveryId = this.lastID;
+      sendWebhookDelivery(deliveryId, (err) => {
+        if (err) {
+          return callback(err);
+        }
+        db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId], callback);
+      });
+    }
+  );
+}
+
+// Queue a delivery of an event for every active webhook subscribed to it
+function queueWebhookDeliveries(event) {
+  db.all('SELECT * FROM webhooks WHERE active = 1', (err, webhooks) => {
+    if (err) {
+      console.error('Error loading webhooks:', err.message);
+      return;
+    }
+
+    const payload = JSON.stringify({ event: event.type, created_at: new Date().toISOString(), data: event.data });
+
+    webhooks.map(formatWebhook).filter(webhook => webhookWantsEvent(webhook, event)).forEach(webhook => {
+      createWebhookDelivery(webhook.id, event.type, payload, null, (err) => {
+        if (err) {
+          console.error(`Error delivering webhook ${webhook.id}:`, err.message);
+        }
+      });
+    });
+  });
+}
+
+// Send deliveries whose retry time has come
+function retryWebhookDeliveries() {
+  db.all(
+    "SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= datetime('now') ORDER BY id LIMIT 100",
+    (err, deliveries) => {
+      if (err) {
+        console.error('Error loading webhook deliveries:', err.message);
+        return;
+      }
+
+      deliveries.forEach(delivery => {
+        sendWebhookDelivery(delivery.id, (err) => {
+          if (err) {
+            console.error(`Error retrying webhook delivery ${delivery.id}:`, err.message);
+          }
+        });
+      });
+    }
+  );
+}
+
+// Load a webhook for the admin routes. Sends the error response itself;
+// callback(webhook) on success.
+function loadWebhook(res, webhookId, callback) {
+  db.get('SELECT * FROM webhooks WHERE id = ?', [webhookId], (err, webhook) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+
+    callback(webhook);
+  });
+}
+
+// Get webhooks (admin only)
+app.get('/api/webhooks', requireAuth, requireAdmin, (req, res) => {
+  db.all('SELECT * FROM webhooks ORDER BY id', (err, webhooks) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(webhooks.map(formatWebhook));
+  });
+});
+
+// Register webhook (admin only). The signing secret is generated unless
+// one is given, and is only returned in this response.
+app.post('/api/webhooks', requireAuth, requireAdmin, (req, res) => {
+  const error = validateWebhookInput(req.body, true);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const { url, events, fields = [], pipelines = [] } = req.body;
+  const secret = req.body.secret || crypto.randomBytes(32).toString('hex');
+  const active = req.body.active === undefined ? true : !!req.body.active;
+
+  db.run(`
+    INSERT INTO webhooks (url, secret, events, fields, pipelines, active, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [url, secret, JSON.stringify(events), JSON.stringify(fields), JSON.stringify(pipelines), active ? 1 : 0, req.user.username], function(err) {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    db.get('SELECT * FROM webhooks WHERE id = ?', [this.lastID], (err, webhook) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.status(201).json({ ...formatWebhook(webhook), secret });
+    });
+  });
+});
+
+// Update webhook URL, filters, secret or active flag (admin only)
+app.put('/api/webhooks/:id', requireAuth, requireAdmin, (req, res) => {
+  const error = validateWebhookInput(req.body, false);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  loadWebhook(res, req.params.id, (webhook) => {
+    const updates = {};
+    ['url', 'secret'].filter(name => req.body[name] !== undefined).forEach(name => {
+      updates[name] = req.body[name];
+    });
+    ['events', 'fields', 'pipelines'].filter(name => req.body[name] !== undefined).forEach(name => {
+      updates[name] = JSON.stringify(req.body[name]);
+    });
+    if (req.body.active !== undefined) {
+      updates.active = req.body.active ? 1 : 0;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      res.status(400).json({ error: 'Nothing to update' });
+      return;
+    }
+
+    db.run(
+      `UPDATE webhooks SET ${Object.keys(updates).map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...Object.values(updates), webhook.id],
+      (err) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        db.get('SELECT * FROM webhooks WHERE id = ?', [webhook.id], (err, updated) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          res.json(formatWebhook(updated));
+        });
+      }
+    );
+  });
+});
+
+// Delete webhook and its delivery log (admin only)
+app.delete('/api/webhooks/:id', requireAuth, requireAdmin, (req, res) => {
+  loadWebhook(res, req.params.id, (webhook) => {
+    db.serialize(() => {
+      db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.id]);
+      db.run('DELETE FROM webhooks WHERE id = ?', [webhook.id], (err) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        res.json({ message: 'Webhook deleted successfully' });
+      });
+    });
+  });
+});
+
+// Get the delivery log of a webhook, newest first (admin only).
+// ?status=pending|delivered|failed filters by outcome.
+app.get('/api/webhooks/:id/deliveries', requireAuth, requireAdmin, (req, res) => {
+  loadWebhook(res, req.params.id, (webhook) => {
+    let query = 'SELECT * FROM webhook_deliveries WHERE webhook_id = ?';
+    const params = [webhook.id];
+
+    if (req.query.status) {
+      query += ' AND status = ?';
+      params.push(req.query.status);
+    }
+    query += ' ORDER BY id DESC LIMIT 100';
+
+    db.all(query, params, (err, deliveries) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.json(deliveries.map(formatDelivery));
+    });
+  });
+});
+
+// Send a "ping" event to check that the receiver is reachable and verifies
+// signatures (admin only). Responds with the delivery after the first attempt.
+app.post('/api/webhooks/:id/test', requireAuth, requireAdmin, (req, res) => {
+  loadWebhook(res, req.params.id, (webhook) => {
+    if (!webhook.active) {
+      res.status(409).json({ error: 'Webhook is inactive' });
+      return;
+    }
+
+    const payload = JSON.stringify({ event: 'ping', created_at: new Date().toISOString(), data: { webhook_id: webhook.id } });
+    createWebhookDelivery(webhook.id, 'ping', payload, null, (err, delivery) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.status(201).json(formatDelivery(delivery));
+    });
+  });
+});
+
+// Send a logged delivery again with its original payload, as a new delivery
+// (admin only). Responds with the new delivery after the first attempt.
+app.post('/api/webhooks/:id/deliveries/:deliveryId/replay', requireAuth, requireAdmin, (req, res) => {
+  loadWebhook(res, req.params.id, (webhook) => {
+    if (!webhook.active) {
+      res.status(409).json({ error: 'Webhook is inactive' });
+      return;
     }
+
+    db.get(
+      'SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?',
+      [req.params.deliveryId, webhook.id],
+      (err, original) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+        if (!original) {
+          res.status(404).json({ error: 'Delivery not found' });
+          return;
+        }
+
+        createWebhookDelivery(webhook.id, original.event, original.payload, original.id, (err, delivery) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+          res.status(201).json(formatDelivery(delivery));
+        });
+      }
+    );
   });
 });
 
-app.get('/api/users', requireAuth, (req, res) => {
-  db.all(
-    'SELECT id, username, full_name, email, role FROM users ORDER BY full_name',
-    (err, users) => {
+// Mail transports: each builds a send(message, callback) function for
+// nodemailer message objects. The file and console sinks are meant for
+// development and tests.
+const MAIL_TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+    return (message, callback) => transporter.sendMail(message, callback);
+  },
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return (message, callback) => transporter.sendMail(message, (err, info) => {
       if (err) {
-        res.status(500).json({ error: err.message });
-        return;
+        return callback(err);
       }
-      res.json(users);
-    }
-  );
-});
-
-// Get all tickets with optional filters
-app.get('/api/tickets', requireAuth, (req, res) => {
-  const { pipeline, status, search } = req.query;
-  
-  let query = 'SELECT * FROM tickets WHERE 1=1';
-  const params = [];
 
-  if (pipeline && pipeline !== 'all') {
-    query += ' AND pipeline = ?';
-    params.push(pipeline);
+      fs.mkdir(EMAIL_OUTBOX_DIR, { recursive: true }, (err) => {
+        if (err) {
+          return callback(err);
+        }
+        const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        fs.writeFile(path.join(EMAIL_OUTBOX_DIR, filename), info.message, (err) => callback(err, info));
+      });
+    });
+  },
+  console: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return (message, callback) => transporter.sendMail(message, (err, info) => {
+      if (!err) {
+        console.log(`--- E-mail ---\n${info.message.toString()}\n--------------`);
+      }
+      callback(err, info);
+    });
   }
+};
 
-  if (status && status !== 'all') {
-    query += ' AND status = ?';
-    params.push(status);
-  }
+if (!MAIL_TRANSPORTS[EMAIL_TRANSPORT]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}" (use ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+}
+const sendMail = MAIL_TRANSPORTS[EMAIL_TRANSPORT]();
 
-  if (search) {
-    query += ` AND (
-      title LIKE ? OR 
-      description LIKE ? OR 
-      customer LIKE ? OR 
-      id LIKE ?
-    )`;
-    const searchPattern = `%${search}%`;
-    params.push(searchPattern, searchPattern, searchPattern, searchPattern);
-  }
+// Ticket IDs in a subject line, e.g. "Re: [SUP-2026-0042] Spindle noise"
+const TICKET_REFERENCE_PATTERN = /\b[A-Z][A-Z0-9]{0,9}-(?:\d{4}-)?\d+\b/g;
 
-  query += ' ORDER BY created_at DESC';
+// Send an e-mail about a ticket to a user. The ticket ID goes in the
+// subject and the Message-ID is remembered with the recipient, so replies
+// thread back onto the ticket and can be attributed to the user. The
+// Message-ID is unguessable; it is what proves a reply came from them.
+function sendTicketEmail(ticket, recipient, subject, text) {
+  const domain = (EMAIL_FROM.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+  const messageId = `<${ticket.id}.${crypto.randomBytes(16).toString('hex')}@${domain}>`;
 
-  db.all(query, params, (err, rows) => {
+  db.run(
+    "INSERT INTO email_messages (message_id, ticket_id, user_id, direction) VALUES (?, ?, ?, 'outbound')",
+    [messageId, ticket.id, recipient.id]
+  );
+
+  sendMail({ from: EMAIL_FROM, to: recipient.email, subject: `[${ticket.id}] ${subject}`, text, messageId }, (err) => {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+      console.error(`Error sending e-mail about ${ticket.id}:`, err.message);
     }
-    res.json(rows);
   });
-});
+}
 
-// Get single ticket with timeline
-app.get('/api/tickets/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
+// E-mail the assignee of a ticket when it is assigned to them or its
+// status changes, unless they made the change or opted out
+function queueNotifications(event) {
+  const { ticket, changes = [], previous = {}, user } = event.data;
 
-  db.get('SELECT * FROM tickets WHERE id = ?', [id], (err, ticket) => {
+  let notification = null;
+  if (event.type === 'ticket.created' ? ticket.assigned_to : changes.includes('assigned_to')) {
+    notification = 'assignment';
+  } else if (changes.includes('status')) {
+    notification = 'status_change';
+  }
+  if (!notification || !ticket.assigned_to) {
+    return;
+  }
+
+  // assigned_to is a name, and names are not unique. When it fits more than
+  // one active user nobody is notified: a reply to the mail would count as
+  // the recipient's (see matchEmailSender).
+  db.all(`
+    SELECT u.*, EXISTS (
+      SELECT 1 FROM notification_opt_outs o WHERE o.user_id = u.id AND o.notification = ?
+    ) AS opted_out
+    FROM users u
+    WHERE u.full_name = ? AND u.active = 1
+  `, [notification, ticket.assigned_to], (err, candidates) => {
     if (err) {
-      res.status(500).json({ error: err.message });
+      console.error('Error loading notification recipient:', err.message);
       return;
     }
-    if (!ticket) {
-      res.status(404).json({ error: 'Ticket not found' });
+    const recipient = candidates.length === 1 ? candidates[0] : null;
+    if (!recipient || !recipient.email || recipient.opted_out || recipient.full_name === user) {
       return;
     }
 
-    // Get timeline
-    db.all(
-      'SELECT * FROM timeline WHERE ticket_id = ? ORDER BY created_at ASC',
-      [id],
-      (err, timeline) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        res.json({ ...ticket, timeline });
+    loadPipelineConfig((err, pipelines) => {
+      if (err) {
+        console.error('Error loading pipelines:', err.message);
+        return;
       }
-    );
+
+      const pipeline = findPipeline(pipelines, ticket.pipeline);
+      const statusName = key => (findStatus(pipeline, key) || { name: key }).name;
+      const details = [
+        `Title: ${ticket.title}`,
+        `Pipeline: ${pipeline ? pipeline.name : ticket.pipeline}`,
+        `Status: ${statusName(ticket.status)}`,
+        `Priority: ${ticket.priority}`,
+        `Customer: ${ticket.customer || 'N/A'}`,
+        '',
+        ticket.description,
+        '',
+        'Reply to this e-mail to add a comment to the ticket.'
+      ].join('\n');
+
+      if (notification === 'assignment') {
+        sendTicketEmail(ticket, recipient, `Assigned to you: ${ticket.title}`,
+          `${user} assigned ticket ${ticket.id} to you.\n\n${details}`);
+      } else {
+        sendTicketEmail(ticket, recipient, `Status changed to ${statusName(ticket.status)}: ${ticket.title}`,
+          `${user} changed the status of ${ticket.id} from "${statusName(previous.status)}" to "${statusName(ticket.status)}".\n\n${details}`);
+      }
+    });
   });
-});
+}
 
-// Create new ticket
-app.post('/api/tickets', requireAuth, (req, res) => {
-  const { title, description, customer, pipeline, priority, assigned_to } = req.body;
+// Drop the quoted message from a reply: lines starting with ">" and
+// everything after an "On ... wrote:" or "Original Message" line
+function stripQuotedReply(text) {
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^On .*wrote:\s*$/.test(line) || /^-+\s*Original Message\s*-+$/i.test(line)) {
+      break;
+    }
+    if (!line.startsWith('>')) {
+      lines.push(line);
+    }
+  }
 
-  // Validate required fields
-  if (!title || !description || !pipeline || !priority) {
-    res.status(400).json({ error: 'Missing required fields' });
-    return;
+  const stripped = lines.join('\n').trim();
+  return stripped || text.trim();
+}
+
+// Message-IDs an inbound e-mail replies to (In-Reply-To / References)
+function getEmailReferences(parsed) {
+  return [parsed.inReplyTo, ...[].concat(parsed.references || [])].filter(Boolean);
+}
+
+// Find the ticket an inbound e-mail belongs to: a ticket ID in the subject,
+// else a message it replies to. callback(err, ticket or undefined)
+function findEmailThread(parsed, callback) {
+  const ticketIds = (parsed.subject || '').match(TICKET_REFERENCE_PATTERN) || [];
+  const references = getEmailReferences(parsed);
+
+  const findByReference = () => {
+    if (references.length === 0) {
+      return callback(null);
+    }
+    db.get(`
+      SELECT t.* FROM email_messages m
+      JOIN tickets t ON t.id = m.ticket_id
+      WHERE m.message_id IN (${references.map(() => '?').join(', ')})
+      ORDER BY m.created_at DESC LIMIT 1
+    `, references, callback);
+  };
+
+  if (ticketIds.length === 0) {
+    return findByReference();
   }
 
-  // Get created_by from authenticated user
-  const createdBy = req.user.full_name;
+  db.all(`SELECT * FROM tickets WHERE id IN (${ticketIds.map(() => '?').join(', ')})`, ticketIds, (err, tickets) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const ticket = ticketIds.map(id => tickets.find(t => t.id === id)).find(Boolean);
+    if (ticket) {
+      return callback(null, ticket);
+    }
+    findByReference();
+  });
+}
+
+// Match an e-mail sender to an active user or to a customer, by contact or
+// customer e-mail address. The From address can be forged, so a user is
+// only matched when the e-mail replies to a notification sent to them.
+// callback(err, { user, customer })
+function matchEmailSender(parsed, callback) {
+  const address = parsed.from.value[0].address;
+  const references = getEmailReferences(parsed);
 
-  // Generate ticket ID
-  db.get('SELECT MAX(CAST(SUBSTR(id, 5) AS INTEGER)) as max_num FROM tickets', (err, row) => {
+  db.get(`
+    SELECT u.* FROM users u
+    JOIN email_messages m ON m.user_id = u.id AND m.direction = 'outbound'
+    WHERE lower(u.email) = lower(?) AND u.active = 1 AND m.message_id IN (${references.map(() => '?').join(', ')})
+    LIMIT 1
+  `, [address, ...references], (err, user) => {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
+      return callback(err);
     }
 
-    const nextNum = (row.max_num || 0) + 1;
-    const ticketId = `TKT-${String(nextNum).padStart(3, '0')}`;
+    db.get(`
+      SELECT c.* FROM customers c
+      LEFT JOIN contacts k ON k.customer_id = c.id
+      WHERE lower(c.email) = lower(?) OR lower(k.email) = lower(?)
+      ORDER BY c.id LIMIT 1
+    `, [address, address], (err, customer) => {
+      callback(err, { user, customer });
+    });
+  });
+}
 
-    const stmt = db.prepare(`
-      INSERT INTO tickets (id, title, description, customer, pipeline, status, priority, assigned_to, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+// Add an inbound reply to its ticket as a comment. Replies from staff (see
+// matchEmailSender) are internal notes by that user; replies from anyone
+// else are customer messages and visible to the customer.
+function addEmailReply(ticket, parsed, sender, text, files, callback) {
+  const author = sender.user
+    ? { id: sender.user.id, name: sender.user.full_name }
+    : { id: null, name: parsed.from.value[0].name || parsed.from.value[0].address };
+  const body = stripQuotedReply(text) || '(no text)';
+  const action = `E-mail received from ${parsed.from.value[0].address}`;
 
-    stmt.run(
-      [ticketId, title, description, customer, pipeline, 'new', priority, assigned_to, createdBy],
-      function(err) {
+  // The comment and its attachments are written in one transaction, after
+  // the files are stored
+  storeAttachmentFiles(files, (err, hashes) => {
+    if (err) {
+      return callback(err);
+    }
+
+    withTransaction((tx, done) => {
+      tx.run(`
+        INSERT INTO comments (ticket_id, parent_id, author_user_id, author_name, body, is_internal)
+        VALUES (?, NULL, ?, ?, ?, ?)
+      `, [ticket.id, author.id, author.name, body, sender.user ? 1 : 0], function(err) {
         if (err) {
-          res.status(500).json({ error: err.message });
-          return;
+          return done(err);
         }
 
-        // Add timeline entry
-        db.run(
-          'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
-          [ticketId, 'Ticket created', createdBy]
-        );
-
-        // Return the created ticket
-        db.get('SELECT * FROM tickets WHERE id = ?', [ticketId], (err, ticket) => {
+        const commentId = this.lastID;
+        tx.run('INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)', [ticket.id, action, author.name], (err) => {
           if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+            return done(err);
           }
-          res.status(201).json(ticket);
+
+          saveCommentMentions(tx, commentId, sender.user ? body : '', (err) => {
+            if (err) {
+              return done(err);
+            }
+
+            insertTicketAttachments(tx, null, ticket.id, files, hashes, author, (err, added) => {
+              done(err, added && { commentId, ...added });
+            });
+          });
         });
+      });
+    }, (err, written) => {
+      if (err) {
+        removeOrphanedAttachmentFiles(hashes);
+        return callback(err);
       }
-    );
 
-    stmt.finalize();
-  });
-});
+      // Events go out only once the reply is committed
+      publishTimeline(ticket, [action, ...written.actions], author.name);
 
-// Update ticket
-app.put('/api/tickets/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const { field, value, oldValue } = req.body;
+      loadAttachmentsById(written.ids, (err, attachments) => {
+        if (err) {
+          return callback(err);
+        }
 
-  if (!field || value === undefined) {
-    res.status(400).json({ error: 'Missing field or value' });
-    return;
-  }
+        loadComments('id = ?', [written.commentId], (err, comments) => {
+          if (err) {
+            return callback(err);
+          }
 
-  // Validate field
-  const allowedFields = ['pipeline', 'status', 'priority', 'assigned_to', 'title', 'description', 'customer'];
-  if (!allowedFields.includes(field)) {
-    res.status(400).json({ error: 'Invalid field' });
-    return;
-  }
+          publishEvent('comment.added', [ticket.pipeline], { ticket_id: ticket.id, comment: comments[0] });
+          callback(null, {
+            status: 200,
+            body: { action: 'commented', ticket_id: ticket.id, comment_id: written.commentId, attachments }
+          });
+        });
+      });
+    });
+  });
+}
 
-  const query = `UPDATE tickets SET ${field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+// Open a ticket from an inbound e-mail, linked to the sender's customer
+function createEmailTicket(parsed, sender, text, files, callback) {
+  const from = parsed.from.value[0];
+  const createdBy = from.name ? `${from.name} <${from.address}>` : from.address;
+  const customer = sender.customer ? { customer_id: sender.customer.id } : { customer: from.name || from.address };
 
-  db.run(query, [value, id], function(err) {
+  // The ticket and its attachments are written in one transaction, after
+  // the files are stored
+  storeAttachmentFiles(files, (err, hashes) => {
     if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-
-    if (this.changes === 0) {
-      res.status(404).json({ error: 'Ticket not found' });
-      return;
+      return callback(err);
     }
 
-    // Add timeline entry
-    const fieldNames = {
-      pipeline: 'Pipeline',
-      status: 'Status',
-      priority: 'Priority',
-      assigned_to: 'Assigned To',
-      title: 'Title',
-      description: 'Description',
-      customer: 'Customer'
+    let added = null;
+    const afterInsert = (tx, ticketId, next) => {
+      insertTicketAttachments(tx, null, ticketId, files, hashes, { id: null, name: createdBy }, (err, result) => {
+        added = result;
+        next(err);
+      });
     };
 
-    const action = oldValue 
-      ? `${fieldNames[field]} changed from "${oldValue}" to "${value}"`
-      : `${fieldNames[field]} updated to "${value}"`;
-
-    const userName = req.user.full_name;
-
-    db.run(
-      'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
-      [id, action, userName]
-    );
-
-    // Return updated ticket
-    db.get('SELECT * FROM tickets WHERE id = ?', [id], (err, ticket) => {
+    createTicket({
+      title: (parsed.subject || '').trim() || '(no subject)',
+      description: text.trim() || '(no text)',
+      pipeline: INBOUND_EMAIL_PIPELINE,
+      priority: 'medium',
+      ...customer
+    }, null, createdBy, { afterInsert }, (err, result) => {
+      if (err || result.error) {
+        removeOrphanedAttachmentFiles(hashes);
+      }
       if (err) {
-        res.status(500).json({ error: err.message });
-        return;
+        return callback(err);
+      }
+      if (result.error) {
+        return callback(null, result.error);
       }
-      res.json(ticket);
+
+      publishTimeline(result.ticket, added.actions, createdBy);
+      loadAttachmentsById(added.ids, (err, attachments) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, { status: 201, body: { action: 'created', ticket_id: result.ticket.id, attachments } });
+      });
     });
   });
-});
+}
 
-// Delete ticket
-app.delete('/api/tickets/:id', requireAuth, (req, res) => {
-  const { id } = req.params;
+// Turn a raw RFC 822 message into a new ticket, or a comment on the ticket
+// it replies to. Attachments of accepted types are added to the ticket.
+// callback(err, { status, body })
+function ingestEmail(raw, callback) {
+  simpleParser(raw).then((parsed) => {
+    const from = parsed.from && parsed.from.value[0];
+    if (!from || !from.address) {
+      return callback(null, { status: 400, body: { error: 'Message has no sender address' } });
+    }
 
-  db.serialize(() => {
-    // Delete timeline entries first (due to foreign key)
-    db.run('DELETE FROM timeline WHERE ticket_id = ?', [id]);
-    
-    // Delete ticket
-    db.run('DELETE FROM tickets WHERE id = ?', [id], function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
+    const text = parsed.text || (parsed.html ? parsed.html.replace(/<[^>]*>/g, ' ') : '');
+    const files = [];
+    const skipped = [];
+    parsed.attachments.forEach((attachment, index) => {
+      const file = {
+        originalname: attachment.filename || `attachment-${index + 1}`,
+        mimetype: attachment.contentType,
+        size: attachment.size,
+        buffer: attachment.content
+      };
+      if (isAllowedAttachment(file.originalname, file.mimetype) && file.size <= MAX_ATTACHMENT_MB * 1024 * 1024) {
+        files.push(file);
+      } else {
+        skipped.push(file.originalname);
       }
+    });
 
-      if (this.changes === 0) {
-        res.status(404).json({ error: 'Ticket not found' });
-        return;
+    db.get("SELECT ticket_id FROM email_messages WHERE message_id = ? AND direction = 'inbound'", [parsed.messageId || ''], (err, seen) => {
+      if (err) {
+        return callback(err);
+      }
+      // Mail servers may deliver the same message twice
+      if (seen) {
+        return callback(null, { status: 200, body: { action: 'duplicate', ticket_id: seen.ticket_id } });
       }
 
-      res.json({ message: 'Ticket deleted successfully' });
-    });
-  });
-});
+      matchEmailSender(parsed, (err, sender) => {
+        if (err) {
+          return callback(err);
+        }
 
-// Get statistics
-app.get('/api/stats', requireAuth, (req, res) => {
-  const stats = {};
+        findEmailThread(parsed, (err, ticket) => {
+          if (err) {
+            return callback(err);
+          }
 
-  db.serialize(() => {
-    const queries = [
-      { key: 'marketing', query: "SELECT COUNT(*) as count FROM tickets WHERE pipeline = 'marketing' AND status != 'completed'" },
-      { key: 'sales', query: "SELECT COUNT(*) as count FROM tickets WHERE pipeline = 'sales' AND status != 'completed'" },
-      { key: 'orders', query: "SELECT COUNT(*) as count FROM tickets WHERE pipeline = 'orders' AND status != 'completed'" },
-      { key: 'support', query: "SELECT COUNT(*) as count FROM tickets WHERE pipeline = 'support' AND status != 'completed'" },
-      { key: 'total', query: "SELECT COUNT(*) as count FROM tickets" }
-    ];
+          const done = (err, result) => {
+            if (err || result.status >= 400) {
+              return callback(err, result);
+            }
 
-    let completed = 0;
+            result.body.skipped_attachments = skipped;
+            if (!parsed.messageId) {
+              return callback(null, result);
+            }
+            db.run(
+              "INSERT OR IGNORE INTO email_messages (message_id, ticket_id, comment_id, direction) VALUES (?, ?, ?, 'inbound')",
+              [parsed.messageId, result.body.ticket_id, result.body.comment_id || null],
+              (err) => callback(err, result)
+            );
+          };
 
-    queries.forEach(({ key, query }) => {
-      db.get(query, (err, row) => {
-        if (!err) {
-          stats[key] = row.count;
-        }
-        completed++;
-        
-        if (completed === queries.length) {
-          res.json(stats);
-        }
+          if (ticket) {
+            addEmailReply(ticket, parsed, sender, text, files, done);
+          } else {
+            createEmailTicket(parsed, sender, text, files, done);
+          }
+        });
       });
     });
+  }, (err) => {
+    callback(null, { status: 400, body: { error: `Could not parse message: ${err.message}` } });
   });
-});
+}
 
-// Add timeline entry
-app.post('/api/tickets/:id/timeline', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const { action, user } = req.body;
+// Mail servers authenticate with the X-Inbound-Token header matching
+// INBOUND_EMAIL_TOKEN; admins may also post messages with their session
+function requireInboundAuth(req, res, next) {
+  const token = req.get('x-inbound-token');
+  if (token === undefined) {
+    return requireAuth(req, res, () => requireAdmin(req, res, next));
+  }
+
+  const expected = process.env.INBOUND_EMAIL_TOKEN;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!expected || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+    return res.status(401).json({ error: 'Invalid inbound token' });
+  }
+  next();
+}
 
-  // Use authenticated user if no user specified
-  const userName = user || req.user.full_name;
+// Receive an e-mail as raw MIME (e.g. piped from the mail server). Creates
+// a ticket (201) or adds a comment to the ticket it replies to (200).
+app.post(
+  '/api/inbound/email',
+  requireInboundAuth,
+  express.raw({ type: () => true, limit: `${MAX_INBOUND_EMAIL_MB}mb` }),
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      res.status(400).json({ error: 'Send the raw message as the request body' });
+      return;
+    }
 
-  if (!action) {
-    res.status(400).json({ error: 'Missing action' });
+    ingestEmail(req.body, (err, result) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+      res.status(result.status).json(result.body);
+    });
+  }
+);
+
+// Get own e-mail notification settings
+app.get('/api/auth/notifications', requireAuth, (req, res) => {
+  db.all('SELECT notification FROM notification_opt_outs WHERE user_id = ?', [req.user.id], (err, optOuts) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+
+    const disabled = optOuts.map(optOut => optOut.notification);
+    res.json(Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, !disabled.includes(type)])));
+  });
+});
+
+// Turn own e-mail notifications on or off, e.g. { "status_change": false }
+app.put('/api/auth/notifications', requireAuth, (req, res) => {
+  const settings = req.body || {};
+  const unknown = Object.keys(settings).filter(type => !NOTIFICATION_TYPES.includes(type));
+  if (unknown.length > 0) {
+    res.status(400).json({ error: `Notification types must be chosen from: ${NOTIFICATION_TYPES.join(', ')}` });
     return;
   }
 
-  db.run(
-    'INSERT INTO timeline (ticket_id, action, user) VALUES (?, ?, ?)',
-    [id, action, userName],
-    function(err) {
+  db.serialize(() => {
+    Object.entries(settings).forEach(([type, enabled]) => {
+      if (enabled) {
+        db.run('DELETE FROM notification_opt_outs WHERE user_id = ? AND notification = ?', [req.user.id, type]);
+      } else {
+        db.run('INSERT OR IGNORE INTO notification_opt_outs (user_id, notification) VALUES (?, ?)', [req.user.id, type]);
+      }
+    });
+
+    db.all('SELECT notification FROM notification_opt_outs WHERE user_id = ?', [req.user.id], (err, optOuts) => {
       if (err) {
         res.status(500).json({ error: err.message });
         return;
       }
 
-      db.get(
-        'SELECT * FROM timeline WHERE id = ?',
-        [this.lastID],
-        (err, entry) => {
-          if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-          }
-          res.status(201).json(entry);
-        }
-      );
-    }
-  );
+      const disabled = optOuts.map(optOut => optOut.notification);
+      res.json(Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, !disabled.includes(type)])));
+    });
+  });
 });
 
 // Health check
@@ -561,20 +8185,60 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`API available at http://localhost:${PORT}/api`);
-});
+// Start server, once the database schema is up to date
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`API available at http://localhost:${PORT}/api`);
+  });
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  db.close((err) => {
+// Background SLA scheduler
+setInterval(() => {
+  checkSlaBreaches((err, result) => {
     if (err) {
-      console.error('Error closing database:', err.message);
-    } else {
-      console.log('Database connection closed');
+      console.error('Error checking SLA breaches:', err.message);
+    } else if (result.breached.length > 0) {
+      console.log(`SLA breached on ${result.breached.join(', ')}`);
     }
-    process.exit(0);
+  });
+}, SLA_CHECK_INTERVAL_SECONDS * 1000);
+
+// Keep event streams alive through proxies, and close streams whose
+// session has ended, expired or been revoked
+setInterval(() => {
+  eventClients.forEach(client => {
+    db.get(`
+      SELECT s.id FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = ?
+        AND s.expires_at > datetime('now')
+        AND s.last_seen_at > datetime('now', ?)
+        AND u.active = 1
+    `, [client.sessionRecordId, `-${SESSION_IDLE_MINUTES} minutes`], (err, session) => {
+      if (!err && !session) {
+        eventClients.delete(client);
+        client.res.end();
+        return;
+      }
+      client.res.write(': ping\n\n');
+    });
+  });
+}, EVENT_HEARTBEAT_SECONDS * 1000);
+
+// Background webhook retries
+setInterval(retryWebhookDeliveries, WEBHOOK_RETRY_INTERVAL_SECONDS * 1000);
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+  transactionDb.close(() => {
+    db.close((err) => {
+      if (err) {
+        console.error('Error closing database:', err.message);
+      } else {
+        console.log('Database connection closed');
+      }
+      process.exit(0);
+    });
   });
 });
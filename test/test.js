@@ -1,8 +1,16 @@
 const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const migrations = require('../migrations');
 
 const API_URL = 'http://localhost:3000/api';
+const WEBHOOK_RECEIVER_PORT = 3999;
+const EMAIL_OUTBOX = './outbox';
 const TEST_DB = './test_tickets.db';
 const DECISION_LOG = './DECISION_LOG.md';
 
@@ -98,25 +106,103 @@ ${Object.keys(metadata).length > 0 ? `**Metadata**: ${JSON.stringify(metadata, n
 
 // API Test Helper
 class APITester {
+    constructor() {
+        this.sessionId = null;
+    }
+
+    config() {
+        return this.sessionId ? { headers: { 'X-Session-Id': this.sessionId } } : {};
+    }
+
+    async login(username, password) {
+        const response = await axios.post(`${API_URL}/auth/login`, { username, password });
+        this.sessionId = response.data.sessionId;
+        return response.data;
+    }
+
     async get(endpoint) {
-        const response = await axios.get(`${API_URL}${endpoint}`);
+        const response = await axios.get(`${API_URL}${endpoint}`, this.config());
         return response.data;
     }
 
+    // GET a file download as text, with its headers
+    async getText(endpoint) {
+        return axios.get(`${API_URL}${endpoint}`, { ...this.config(), responseType: 'text' });
+    }
+
     async post(endpoint, data) {
-        const response = await axios.post(`${API_URL}${endpoint}`, data);
+        const response = await axios.post(`${API_URL}${endpoint}`, data, this.config());
         return response.data;
     }
 
     async put(endpoint, data) {
-        const response = await axios.put(`${API_URL}${endpoint}`, data);
+        const response = await axios.put(`${API_URL}${endpoint}`, data, this.config());
+        return response.data;
+    }
+
+    async patch(endpoint, data, headers = {}) {
+        const config = this.config();
+        const response = await axios.patch(`${API_URL}${endpoint}`, data, {
+            ...config,
+            headers: { ...config.headers, ...headers }
+        });
         return response.data;
     }
 
     async delete(endpoint) {
-        const response = await axios.delete(`${API_URL}${endpoint}`);
+        const response = await axios.delete(`${API_URL}${endpoint}`, this.config());
         return response.data;
     }
+
+    // Open the Server-Sent Events stream; parsed events collect in .events
+    async openEvents(query = '', headers = {}) {
+        const config = this.config();
+        const response = await axios.get(`${API_URL}/events${query}`, {
+            ...config,
+            headers: { ...config.headers, ...headers },
+            responseType: 'stream'
+        });
+
+        const stream = { events: [], close: () => response.data.destroy() };
+        let buffer = '';
+        response.data.on('data', chunk => {
+            buffer += chunk.toString();
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            blocks.forEach(block => {
+                const fields = {};
+                block.split('\n').forEach(line => {
+                    const match = line.match(/^(\w+): ?(.*)$/);
+                    if (match) fields[match[1]] = match[2];
+                });
+                if (fields.event) {
+                    stream.events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+                }
+            });
+        });
+        return stream;
+    }
+
+    // Run a request that is expected to fail and return the error response
+    async expectError(request, status) {
+        try {
+            await request();
+        } catch (error) {
+            if (error.response && error.response.status === status) {
+                return error.response.data;
+            }
+            throw error;
+        }
+        throw new Error(`Request should have failed with status ${status}`);
+    }
+}
+
+// The page's escapeHtml, for checking how user text ends up in its HTML
+function loadPageEscapeHtml() {
+    const page = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+    const source = page.match(/function escapeHtml\(text\) \{[\s\S]*?\n {8}\}/)[0];
+    return new Function(`${source}\nreturn escapeHtml;`)();
 }
 
 // Test Suite
@@ -138,6 +224,329 @@ async function runTests() {
         await runner.assertEqual(health.status, 'ok', 'Health status should be ok');
     });
 
+    // Authentication Tests
+    console.log(`\n${colors.yellow}>>> Authentication Tests${colors.reset}`);
+
+    await runner.test('Reject Unauthenticated Request', async () => {
+        const anonymous = new APITester();
+        await anonymous.expectError(() => anonymous.get('/tickets'), 401);
+    });
+
+    await runner.test('Login as Administrator', async () => {
+        const result = await api.login('admin', 'admin123');
+        await runner.assertNotNull(result.sessionId, 'Login should return a session ID');
+        await runner.assertEqual(result.user.role, 'admin', 'Admin user should have admin role');
+    });
+
+    await runner.test('Reject Unknown Session Token', async () => {
+        const forged = new APITester();
+        forged.sessionId = 'sess_1700000000000_abcdefghi';
+        await forged.expectError(() => forged.get('/auth/me'), 401);
+    });
+
+    await runner.test('Log Out of All Sessions', async () => {
+        const first = new APITester();
+        const second = new APITester();
+        await first.login('mchen', 'password123');
+        await second.login('mchen', 'password123');
+
+        await first.post('/auth/logout-all', {});
+
+        await first.expectError(() => first.get('/auth/me'), 401);
+        await second.expectError(() => second.get('/auth/me'), 401);
+    });
+
+    await runner.test('Admin Lists and Revokes Sessions', async () => {
+        const user = new APITester();
+        await user.login('jdoe', 'password123');
+
+        const sessionList = await api.get('/sessions');
+        const own = sessionList.find(session => session.current);
+        await runner.assertEqual(own.username, 'admin', 'Current session should be marked');
+
+        const other = sessionList.find(session => session.username === 'jdoe');
+        await runner.assertNotNull(other, 'Other user session should be listed');
+        await runner.assertTrue(other.token_hash === undefined, 'Token hashes should not be exposed');
+
+        await api.delete(`/sessions/${other.id}`);
+        await user.expectError(() => user.get('/auth/me'), 401);
+    });
+
+    // User Management Tests
+    console.log(`\n${colors.yellow}>>> User Management Tests${colors.reset}`);
+
+    // Unique name so the suite can be re-run against the same database
+    const testUsername = `testuser${Date.now()}`;
+    let testUserId;
+
+    await runner.test('Create User as Administrator', async () => {
+        const user = await api.post('/users', {
+            username: testUsername,
+            password: 'initial-pass',
+            full_name: 'Test Automation User',
+            role: 'agent'
+        });
+        testUserId = user.id;
+
+        await runner.assertEqual(user.username, testUsername, 'Username should match');
+        await runner.assertTrue(user.password === undefined, 'Password hash should never be returned');
+    });
+
+    await runner.test('Reject User Creation by Non-Admin', async () => {
+        const user = new APITester();
+        await user.login(testUsername, 'initial-pass');
+        await user.expectError(() => user.post('/users', {
+            username: 'another', password: 'another-pass', full_name: 'Another'
+        }), 403);
+    });
+
+    await runner.test('Change Own Password', async () => {
+        const user = new APITester();
+        await user.login(testUsername, 'initial-pass');
+
+        await user.expectError(() => user.post('/auth/password', {
+            currentPassword: 'wrong-pass', newPassword: 'changed-pass'
+        }), 401);
+        await user.post('/auth/password', { currentPassword: 'initial-pass', newPassword: 'changed-pass' });
+
+        await user.expectError(() => user.login(testUsername, 'initial-pass'), 401);
+        await user.login(testUsername, 'changed-pass');
+    });
+
+    await runner.test('Reject Non-String Passwords', async () => {
+        const user = new APITester();
+        await user.login(testUsername, 'changed-pass');
+
+        for (const password of [12345678, ['password123'], { value: 'password123' }]) {
+            await user.expectError(() => user.login('admin', password), 400);
+            await user.expectError(() => user.post('/auth/password', { currentPassword: password, newPassword: 'another-pass' }), 400);
+            await user.expectError(() => user.post('/auth/password', { currentPassword: 'changed-pass', newPassword: password }), 400);
+            await api.expectError(() => api.post('/users', { username: `${testUsername}-typed`, password, full_name: 'Typed Password' }), 400);
+            await api.expectError(() => api.put(`/users/${testUserId}`, { password }), 400);
+        }
+
+        // The server is still up and the password unchanged
+        await user.login(testUsername, 'changed-pass');
+    });
+
+    await runner.test('Lock Account After Repeated Failed Logins', async () => {
+        const user = new APITester();
+        for (let i = 0; i < 5; i++) {
+            await user.expectError(() => user.login(testUsername, 'bad-password'), 401);
+        }
+
+        // Even the right password is refused while the account is locked
+        await user.expectError(() => user.login(testUsername, 'changed-pass'), 423);
+
+        await api.put(`/users/${testUserId}`, { unlock: true });
+        await user.login(testUsername, 'changed-pass');
+    });
+
+    await runner.test('Disable User', async () => {
+        await api.delete(`/users/${testUserId}`);
+
+        // Disabled accounts look like unknown ones, whatever the password
+        const user = new APITester();
+        await user.expectError(() => user.login(testUsername, 'changed-pass'), 401);
+        await user.expectError(() => user.login(testUsername, 'wrong-pass'), 401);
+    });
+
+    // Permission Tests
+    console.log(`\n${colors.yellow}>>> Permission Tests${colors.reset}`);
+
+    // One user per role; the agent is limited to the support pipeline
+    const roleUsers = {};
+    await runner.test('Create Users for Each Role', async () => {
+        const suffix = Date.now();
+        for (const role of ['manager', 'agent', 'viewer']) {
+            const user = await api.post('/users', {
+                username: `test${role}${suffix}`,
+                password: 'role-pass-123',
+                full_name: `Test ${role}`,
+                role
+            });
+            roleUsers[role] = new APITester();
+            roleUsers[role].userId = user.id;
+        }
+
+        await api.put(`/users/${roleUsers.agent.userId}/pipelines`, { pipelines: ['support'] });
+
+        for (const role of Object.keys(roleUsers)) {
+            await roleUsers[role].login(`test${role}${suffix}`, 'role-pass-123');
+        }
+    });
+
+    await runner.test('Enforce Role Permission Matrix', async () => {
+        const salesTicket = await api.post('/tickets', {
+            title: 'Test Permission Sales Quote',
+            description: 'Quote used by the permission matrix test',
+            pipeline: 'sales',
+            priority: 'low'
+        });
+        const supportTicket = await api.post('/tickets', {
+            title: 'Test Permission Support Case',
+            description: 'Support case used by the permission matrix test',
+            pipeline: 'support',
+            priority: 'low'
+        });
+
+        // [role, description, request, expected status]
+        const matrix = [
+            ['viewer', 'read sales ticket', u => u.get(`/tickets/${salesTicket.id}`), 200],
+            ['viewer', 'create ticket', u => u.post('/tickets', { title: 'Test Viewer', description: 'x', pipeline: 'support', priority: 'low' }), 403],
+            ['viewer', 'update ticket', u => u.put(`/tickets/${supportTicket.id}`, { field: 'priority', value: 'high' }), 403],
+            ['viewer', 'add timeline entry', u => u.post(`/tickets/${supportTicket.id}/timeline`, { action: 'Test note' }), 403],
+            ['viewer', 'delete ticket', u => u.delete(`/tickets/${supportTicket.id}`), 403],
+            ['agent', 'read support ticket', u => u.get(`/tickets/${supportTicket.id}`), 200],
+            ['agent', 'read sales ticket', u => u.get(`/tickets/${salesTicket.id}`), 403],
+            ['agent', 'update support ticket', u => u.put(`/tickets/${supportTicket.id}`, { field: 'priority', value: 'high' }), 200],
+            ['agent', 'update sales ticket', u => u.put(`/tickets/${salesTicket.id}`, { field: 'priority', value: 'high' }), 403],
+            ['agent', 'move ticket into sales', u => u.put(`/tickets/${supportTicket.id}`, { field: 'pipeline', value: 'sales' }), 403],
+            ['agent', 'create sales ticket', u => u.post('/tickets', { title: 'Test Agent', description: 'x', pipeline: 'sales', priority: 'low' }), 403],
+            ['agent', 'filter sales pipeline', u => u.get('/tickets?pipeline=sales'), 403],
+            ['agent', 'delete support ticket', u => u.delete(`/tickets/${supportTicket.id}`), 403],
+            ['manager', 'update sales ticket', u => u.put(`/tickets/${salesTicket.id}`, { field: 'priority', value: 'medium' }), 200],
+            ['manager', 'create pipeline', u => u.post('/pipelines', { key: 'test-mgr', name: 'Manager' }), 403],
+            ['manager', 'delete sales ticket', u => u.delete(`/tickets/${salesTicket.id}`), 200],
+            ['manager', 'delete support ticket', u => u.delete(`/tickets/${supportTicket.id}`), 200]
+        ];
+
+        for (const [role, description, request, expected] of matrix) {
+            if (expected === 200) {
+                await request(roleUsers[role]);
+            } else {
+                const error = await roleUsers[role].expectError(() => request(roleUsers[role]), expected);
+                await runner.assertTrue(error.error, `${role} ${description}: 403 should explain why`);
+            }
+        }
+    });
+
+    await runner.test('Agent Only Sees Granted Pipelines', async () => {
+        const tickets = await roleUsers.agent.get('/tickets');
+        await runner.assertTrue(tickets.every(t => t.pipeline === 'support'), 'Agent should only list support tickets');
+
+        const stats = await roleUsers.agent.get('/stats');
+        await runner.assertEqual(Object.keys(stats).sort(), ['support', 'total'], 'Agent stats should be limited');
+    });
+
+    // Pipeline Configuration Tests
+    console.log(`\n${colors.yellow}>>> Pipeline Configuration Tests${colors.reset}`);
+
+    await runner.test('Get Default Pipelines', async () => {
+        const pipelines = await api.get('/pipelines');
+        const keys = pipelines.map(p => p.key);
+        await runner.assertEqual(keys, ['marketing', 'sales', 'orders', 'support'], 'Default pipelines should be seeded');
+        await runner.assertEqual(
+            pipelines[0].statuses.map(s => s.key),
+            ['new', 'in-progress', 'pending', 'completed'],
+            'Default statuses should be seeded in order'
+        );
+    });
+
+    await runner.test('Create Custom Pipeline', async () => {
+        const pipeline = await api.post('/pipelines', {
+            key: 'test-ncr',
+            name: 'Quality / NCR',
+            color: '#ff9800',
+            statuses: [
+                { key: 'reported', name: 'Reported' },
+                { key: 'containment', name: 'Containment' },
+                { key: 'closed', name: 'Closed', is_closed: true }
+            ]
+        });
+        await runner.assertEqual(pipeline.statuses.length, 3, 'Pipeline should have three statuses');
+
+        const stats = await api.get('/stats');
+        await runner.assertEqual(stats['test-ncr'], 0, 'Stats should include the new pipeline');
+    });
+
+    await runner.test('Reject Non-Admin Pipeline Changes', async () => {
+        const user = new APITester();
+        await user.login('sjohnson', 'password123');
+        await user.expectError(() => user.post('/pipelines', { key: 'test-eco', name: 'ECO' }), 403);
+    });
+
+    await runner.test('Custom Pipeline Ticket Uses Its Own Statuses', async () => {
+        const ticket = await api.post('/tickets', {
+            title: 'Test NCR Ticket',
+            description: 'Out-of-tolerance bore diameter',
+            pipeline: 'test-ncr',
+            priority: 'medium'
+        });
+        await runner.assertEqual(ticket.status, 'reported', 'Ticket should start in first pipeline status');
+
+        await api.expectError(() => api.put(`/tickets/${ticket.id}`, { field: 'status', value: 'in-progress' }), 400);
+
+        const updated = await api.put(`/tickets/${ticket.id}`, { field: 'status', value: 'closed' });
+        await runner.assertEqual(updated.status, 'closed', 'Pipeline status should be accepted');
+
+        await api.expectError(() => api.delete('/pipelines/test-ncr'), 409);
+        await api.put('/sla/policies', { pipeline: 'test-ncr', priority: 'medium', first_response_hours: 2, resolution_hours: 16 });
+        await api.delete(`/tickets/${ticket.id}`);
+        await api.delete('/pipelines/test-ncr');
+
+        const policies = await api.get('/sla/policies');
+        await runner.assertTrue(!policies.some(p => p.pipeline === 'test-ncr'), 'SLA policies should be deleted with the pipeline');
+        await api.expectError(() => api.delete('/pipelines/test-ncr'), 404);
+    });
+
+    await runner.test('Reject Unknown Pipeline on Create', async () => {
+        await api.expectError(() => api.post('/tickets', {
+            title: 'Test Bad Pipeline',
+            description: 'Should not be created',
+            pipeline: 'no-such-pipeline',
+            priority: 'low'
+        }), 400);
+    });
+
+    // Ticket ID Tests
+    console.log(`\n${colors.yellow}>>> Ticket ID Tests${colors.reset}`);
+
+    await runner.test('Legacy TKT IDs Still Resolve', async () => {
+        const ticket = await api.get('/tickets/TKT-001');
+        await runner.assertEqual(ticket.id, 'TKT-001', 'Sample ticket should keep its TKT- ID');
+    });
+
+    await runner.test('New Tickets Use Pipeline ID Format', async () => {
+        const preview = await api.get('/pipelines/sales/next-id');
+        const ticket = await api.post('/tickets', {
+            title: 'Test ID Format Ticket',
+            description: 'Checks the sales ticket ID format',
+            pipeline: 'sales',
+            priority: 'low'
+        });
+
+        const pattern = new RegExp(`^SAL-${new Date().getFullYear()}-\\d{4}$`);
+        await runner.assertTrue(pattern.test(ticket.id), `ID ${ticket.id} should look like SAL-YYYY-NNNN`);
+        await runner.assertEqual(ticket.id, preview.next_id, 'Preview should match the issued ID');
+    });
+
+    await runner.test('Custom Pipeline ID Format', async () => {
+        await api.expectError(() => api.post('/pipelines', { key: 'test-ids', name: 'IDs', id_prefix: 'bad prefix' }), 400);
+
+        await api.post('/pipelines', { key: 'test-ids', name: 'Test IDs', id_prefix: 'TID', id_padding: 2 });
+        const first = await api.post('/tickets', {
+            title: 'Test Custom ID Ticket',
+            description: 'Checks a custom ID format',
+            pipeline: 'test-ids',
+            priority: 'low'
+        });
+        await runner.assertEqual(first.id, 'TID-01', 'ID should use the custom prefix and padding');
+
+        await api.put('/pipelines/test-ids', { id_prefix: 'TIX', id_include_year: true });
+        const second = await api.post('/tickets', {
+            title: 'Test Custom ID Ticket 2',
+            description: 'Checks a changed ID format',
+            pipeline: 'test-ids',
+            priority: 'low'
+        });
+        await runner.assertEqual(second.id, `TIX-${new Date().getFullYear()}-01`, 'Changed format should apply to new tickets');
+
+        await api.delete(`/tickets/${first.id}`);
+        await api.delete(`/tickets/${second.id}`);
+        await api.delete('/pipelines/test-ids');
+    });
+
     // Statistics Tests
     console.log(`\n${colors.yellow}>>> Statistics Tests${colors.reset}`);
     
@@ -221,6 +630,162 @@ async function runTests() {
         await runner.assertEqual(updated.priority, 'low', 'Priority should be updated');
     });
 
+    // Multi-Field Update Tests
+    console.log(`\n${colors.yellow}>>> Multi-Field Update Tests${colors.reset}`);
+
+    await runner.test('Patch Several Fields With If-Match', async () => {
+        const response = await axios.get(`${API_URL}/tickets/${testTicketId}`, api.config());
+        const etag = response.headers.etag;
+        await runner.assertEqual(etag, `"${response.data.version}"`, 'ETag should carry the ticket version');
+
+        const updated = await api.patch(`/tickets/${testTicketId}`, {
+            title: 'Test Ticket (patched)',
+            priority: 'high',
+            assigned_to: 'Mike Chen'
+        }, { 'If-Match': etag });
+
+        await runner.assertEqual(updated.title, 'Test Ticket (patched)', 'Title should be updated');
+        await runner.assertEqual(updated.priority, 'high', 'Priority should be updated');
+        await runner.assertEqual(updated.assigned_to, 'Mike Chen', 'Assignee should be updated');
+        await runner.assertEqual(updated.version, response.data.version + 1, 'Version should increase once');
+    });
+
+    await runner.test('Reject Patch Without Version', async () => {
+        await api.expectError(() => api.patch(`/tickets/${testTicketId}`, { priority: 'low' }), 428);
+    });
+
+    await runner.test('Reject Stale Patch With Server Copy', async () => {
+        const ticket = await api.get(`/tickets/${testTicketId}`);
+        const error = await api.expectError(() => api.patch(`/tickets/${testTicketId}`, {
+            priority: 'low',
+            version: ticket.version - 1
+        }), 409);
+
+        await runner.assertEqual(error.current.version, ticket.version, 'Conflict should return the current copy');
+        await runner.assertEqual(error.current.priority, 'high', 'Stale change should not be applied');
+    });
+
+    await runner.test('Reject Invalid Patch Atomically', async () => {
+        const ticket = await api.get(`/tickets/${testTicketId}`);
+        await api.expectError(() => api.patch(`/tickets/${testTicketId}`, {
+            priority: 'urgent',
+            title: 'Should not be saved',
+            version: ticket.version
+        }), 400);
+
+        const after = await api.get(`/tickets/${testTicketId}`);
+        await runner.assertEqual(after.title, ticket.title, 'No field should change when one is invalid');
+    });
+
+    await runner.test('Titles With Quotes Are Stored And Escaped', async () => {
+        const title = `Test "quoted" title' onfocus="alert(1)" <b>`;
+        const ticket = await api.get(`/tickets/${testTicketId}`);
+        const updated = await api.patch(`/tickets/${testTicketId}`, { title, version: ticket.version });
+        await runner.assertEqual(updated.title, title, 'Quotes should be stored as typed');
+
+        // The page puts titles into attributes, e.g. value="${escapeHtml(ticket.title)}"
+        const escapeHtml = loadPageEscapeHtml();
+        await runner.assertEqual(
+            escapeHtml(updated.title),
+            'Test &quot;quoted&quot; title&#39; onfocus=&quot;alert(1)&quot; &lt;b&gt;',
+            'Quotes should not end an attribute value'
+        );
+
+        await api.patch(`/tickets/${testTicketId}`, { title: ticket.title, version: updated.version });
+    });
+
+    // Status Transition Tests
+    console.log(`\n${colors.yellow}>>> Status Transition Tests${colors.reset}`);
+
+    await runner.test('Reject Disallowed Status Transition', async () => {
+        const error = await api.expectError(() => api.put(`/tickets/${testTicketId}`, {
+            field: 'status',
+            value: 'completed'
+        }), 409);
+
+        await runner.assertEqual(error.allowed, ['pending'], 'Error should list the legal next states');
+    });
+
+    await runner.test('Require Resolution Before Completion', async () => {
+        await api.put(`/tickets/${testTicketId}`, { field: 'status', value: 'pending' });
+
+        const error = await api.expectError(() => api.put(`/tickets/${testTicketId}`, {
+            field: 'status',
+            value: 'completed'
+        }), 409);
+        await runner.assertEqual(error.missing_fields, ['resolution'], 'Error should list missing fields');
+
+        const updated = await api.put(`/tickets/${testTicketId}`, {
+            field: 'status',
+            value: 'completed',
+            fields: { resolution: 'Verified by automated test' }
+        });
+        await runner.assertEqual(updated.status, 'completed', 'Status should be completed');
+        await runner.assertEqual(updated.resolution, 'Verified by automated test', 'Resolution should be saved');
+    });
+
+    await runner.test('Ticket Lists Next Statuses', async () => {
+        const ticket = await api.get(`/tickets/${testTicketId}`);
+        await runner.assertEqual(
+            ticket.next_statuses.map(s => s.key),
+            ['in-progress'],
+            'Completed ticket should only offer reopening'
+        );
+    });
+
+    // Audit History Tests
+    console.log(`\n${colors.yellow}>>> Audit History Tests${colors.reset}`);
+
+    await runner.test('Record Server-Computed Field History', async () => {
+        const before = await api.get(`/tickets/${testTicketId}`);
+        await api.put(`/tickets/${testTicketId}`, {
+            field: 'priority',
+            value: 'medium',
+            oldValue: 'not-the-real-value'
+        });
+
+        const history = await api.get(`/tickets/${testTicketId}/history?field=priority`);
+        const last = history[history.length - 1];
+
+        await runner.assertTrue(history.every(h => h.field === 'priority'), 'History should be filtered by field');
+        await runner.assertEqual(last.old_value, before.priority, 'Old value should come from the database');
+        await runner.assertEqual(last.new_value, 'medium', 'New value should be recorded');
+        await runner.assertEqual(last.actor_name, 'Administrator', 'Actor should be the logged-in user');
+        await runner.assertEqual(last.source, 'api', 'Source should be recorded');
+    });
+
+    await runner.test('History Covers Every Changed Field', async () => {
+        const history = await api.get(`/tickets/${testTicketId}/history`);
+        const fields = history.map(h => h.field);
+
+        await runner.assertEqual(fields[0], 'ticket', 'Creation should be the first entry');
+        await runner.assertTrue(fields.includes('status'), 'Status changes should be recorded');
+        await runner.assertTrue(fields.includes('pipeline'), 'Pipeline changes should be recorded');
+        await runner.assertTrue(fields.includes('resolution'), 'Transition fields should be recorded');
+    });
+
+    await runner.test('Actor Names With Markup Are Escaped In History', async () => {
+        const username = `testmarkup${Date.now()}`;
+        const fullName = '<img src=x onerror="alert(1)">';
+        const created = await api.post('/users', { username, password: 'markup-pass', full_name: fullName, role: 'manager' });
+        const actor = new APITester();
+        await actor.login(username, 'markup-pass');
+
+        await actor.put(`/tickets/${testTicketId}`, { field: 'priority', value: 'high' });
+        const history = await api.get(`/tickets/${testTicketId}/history?field=priority`);
+        await runner.assertEqual(history[history.length - 1].actor_name, fullName, 'Actor names should be stored as given');
+
+        // The history tab renders actor and source through escapeHtml
+        const page = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+        await runner.assertTrue(
+            page.includes('${escapeHtml(item.actor_name)} (${escapeHtml(item.source)})'),
+            'History entries should escape the actor and source'
+        );
+        await runner.assertTrue(!/[<>"]/.test(loadPageEscapeHtml()(fullName)), 'Markup should not survive escaping');
+
+        await api.delete(`/users/${created.id}`);
+    });
+
     // Filter Tests
     console.log(`\n${colors.yellow}>>> Filter Tests${colors.reset}`);
     
@@ -263,6 +828,12 @@ async function runTests() {
         await runner.assertEqual(entry.action, 'Test action performed', 'Action should match');
     });
 
+    await runner.test('Timeline Entries Cannot Spoof User', async () => {
+        const ticket = await api.get(`/tickets/${testTicketId}`);
+        const entry = ticket.timeline.find(item => item.action === 'Test action performed');
+        await runner.assertEqual(entry.user, 'Administrator', 'Entry should be attributed to the logged-in user');
+    });
+
     await runner.test('Verify Timeline in Ticket', async () => {
         const ticket = await api.get(`/tickets/${testTicketId}`);
         await runner.assertTrue(ticket.timeline.length > 0, 'Timeline should have entries');
@@ -273,6 +844,1636 @@ async function runTests() {
         await runner.assertTrue(hasTestAction, 'Timeline should include test action');
     });
 
+    // Comment Tests
+    console.log(`\n${colors.yellow}>>> Comment Tests${colors.reset}`);
+
+    let commentTicketId;
+    let mentionCommentId;
+
+    await runner.test('Add Comment With Mentions', async () => {
+        const ticket = await api.post('/tickets', {
+            title: 'Test Comment Ticket',
+            description: 'Ticket for comment tests',
+            pipeline: 'orders',
+            priority: 'medium'
+        });
+        commentTicketId = ticket.id;
+
+        const comment = await api.post(`/tickets/${commentTicketId}/comments`, {
+            body: 'Can you check this, @jdoe? Also ping @nobody and mail ops@example.com.'
+        });
+        mentionCommentId = comment.id;
+
+        await runner.assertEqual(comment.is_internal, true, 'Comments should default to internal');
+        await runner.assertEqual(comment.mentions.map(m => m.username), ['jdoe'], 'Only existing users should be mentioned');
+
+        const ticketAfter = await api.get(`/tickets/${commentTicketId}`);
+        await runner.assertTrue(
+            !ticketAfter.timeline.some(entry => entry.action.includes('@jdoe')),
+            'Comments should not appear in the system timeline'
+        );
+    });
+
+    await runner.test('Comment Replies Form One Thread', async () => {
+        const reply = await api.post(`/tickets/${commentTicketId}/comments`, {
+            body: 'Customer-facing answer',
+            is_internal: false,
+            parent_id: mentionCommentId
+        });
+        await api.post(`/tickets/${commentTicketId}/comments`, { body: 'Reply to the reply', parent_id: reply.id });
+
+        const threads = await api.get(`/tickets/${commentTicketId}/comments`);
+        await runner.assertEqual(threads.length, 1, 'Replies should not start new threads');
+        await runner.assertEqual(threads[0].replies.length, 2, 'Both replies should be in the thread');
+        await runner.assertEqual(threads[0].replies[0].is_internal, false, 'Visibility flag should be stored');
+    });
+
+    await runner.test('Mentions For Me', async () => {
+        const jdoe = new APITester();
+        await jdoe.login('jdoe', 'password123');
+
+        const unread = await jdoe.get('/mentions?unread=true');
+        await runner.assertTrue(unread.some(m => m.comment_id === mentionCommentId), 'Mention should be listed as unread');
+
+        await jdoe.post('/mentions/read', { comment_ids: [mentionCommentId] });
+        const after = await jdoe.get('/mentions?unread=true');
+        await runner.assertTrue(!after.some(m => m.comment_id === mentionCommentId), 'Read mention should be hidden');
+
+        await jdoe.expectError(() => jdoe.put(`/comments/${mentionCommentId}`, { body: 'Hijacked' }), 403);
+    });
+
+    await runner.test('Reject Comment Bodies That Are Not Text', async () => {
+        for (const body of [123, ['@jdoe'], { text: 'hi' }]) {
+            await api.expectError(() => api.post(`/tickets/${commentTicketId}/comments`, { body }), 400);
+            await api.expectError(() => api.put(`/comments/${mentionCommentId}`, { body }), 400);
+        }
+
+        const threads = await api.get(`/tickets/${commentTicketId}/comments`);
+        await runner.assertEqual(threads.length, 1, 'Rejected comments should not be stored');
+    });
+
+    await runner.test('Author Names With Quotes Are Escaped', async () => {
+        const username = `testquote${Date.now()}`;
+        await api.post('/users', { username, password: 'quote-pass', full_name: `Pat O'Brien "Ops"`, role: 'agent' });
+        const author = new APITester();
+        await author.login(username, 'quote-pass');
+
+        const comment = await author.post(`/tickets/${commentTicketId}/comments`, { body: 'Reply from a quoted name' });
+        await runner.assertEqual(comment.author_name, `Pat O'Brien "Ops"`, 'Author names should be stored as given');
+
+        // Reply links carry the name as data-author="${escapeHtml(comment.author_name)}"
+        await runner.assertEqual(loadPageEscapeHtml()(comment.author_name), 'Pat O&#39;Brien &quot;Ops&quot;', 'Quotes should not end an attribute value');
+        await api.delete(`/comments/${comment.id}`);
+    });
+
+    await runner.test('Edit And Delete Comment', async () => {
+        const edited = await api.put(`/comments/${mentionCommentId}`, { body: 'Handled, thanks' });
+        await runner.assertEqual(edited.mentions.length, 0, 'Removed mention should be dropped');
+
+        await api.delete(`/comments/${mentionCommentId}`);
+        const threads = await api.get(`/tickets/${commentTicketId}/comments`);
+        await runner.assertEqual(threads[0].body, null, 'Deleted comment should lose its text');
+        await runner.assertEqual(threads[0].replies.length, 2, 'Replies should survive the deletion');
+        await api.expectError(() => api.post(`/tickets/${commentTicketId}/comments`, {
+            body: 'Reply to a deleted comment',
+            parent_id: mentionCommentId
+        }), 400);
+
+        await api.delete(`/tickets/${commentTicketId}`);
+    });
+
+    // Attachment Tests
+    console.log(`\n${colors.yellow}>>> Attachment Tests${colors.reset}`);
+
+    let attachmentTicketId;
+    let photoAttachment;
+    const photoBytes = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+    const uploadForm = (files) => {
+        const form = new FormData();
+        files.forEach(({ name, type, content }) => form.append('file', new Blob([content], { type }), name));
+        return form;
+    };
+
+    await runner.test('Upload Attachments', async () => {
+        const ticket = await api.post('/tickets', {
+            title: 'Test Attachment Ticket',
+            description: 'Equipment malfunction with photos',
+            pipeline: 'support',
+            priority: 'high'
+        });
+        attachmentTicketId = ticket.id;
+
+        const attachments = await api.post(`/tickets/${attachmentTicketId}/attachments`, uploadForm([
+            { name: 'spindle.png', type: 'image/png', content: photoBytes },
+            { name: 'bracket.dxf', type: 'application/octet-stream', content: '0\nSECTION\n' }
+        ]));
+        photoAttachment = attachments[0];
+
+        await runner.assertEqual(attachments.length, 2, 'Both files should be stored');
+        await runner.assertEqual(photoAttachment.size, photoBytes.length, 'Size should be recorded');
+        await runner.assertEqual(photoAttachment.uploaded_by, 'Administrator', 'Uploader should be recorded');
+
+        const ticketAfter = await api.get(`/tickets/${attachmentTicketId}`);
+        await runner.assertTrue(
+            ticketAfter.timeline.some(entry => entry.action === 'Attachment added: spindle.png'),
+            'Upload should be added to the timeline'
+        );
+    });
+
+    await runner.test('Identical Files Share Storage', async () => {
+        const [copy] = await api.post(`/tickets/${attachmentTicketId}/attachments`, uploadForm([
+            { name: 'spindle-copy.png', type: 'image/png', content: photoBytes }
+        ]));
+        await runner.assertEqual(copy.sha256, photoAttachment.sha256, 'Same contents should have the same digest');
+    });
+
+    await runner.test('Reject Disallowed File Types', async () => {
+        await api.expectError(() => api.post(`/tickets/${attachmentTicketId}/attachments`, uploadForm([
+            { name: 'setup.exe', type: 'application/octet-stream', content: 'MZ' }
+        ])), 415);
+        await api.expectError(() => api.post(`/tickets/${attachmentTicketId}/attachments`, {}), 400);
+    });
+
+    await runner.test('Download And Delete Attachment', async () => {
+        const url = `${API_URL}/attachments/${photoAttachment.id}/download`;
+        await api.expectError(() => axios.get(url), 401);
+
+        const response = await axios.get(`${url}?inline=true`, { ...api.config(), responseType: 'arraybuffer' });
+        await runner.assertEqual(Buffer.from(response.data).equals(photoBytes), true, 'Downloaded bytes should match');
+        await runner.assertTrue(response.headers['content-disposition'].startsWith('inline'), 'Images may be shown inline');
+
+        await api.delete(`/attachments/${photoAttachment.id}`);
+        await api.expectError(() => api.get(`/attachments/${photoAttachment.id}/download`), 404);
+
+        await api.delete(`/tickets/${attachmentTicketId}`);
+    });
+
+    // Customer Tests
+    console.log(`\n${colors.yellow}>>> Customer Tests${colors.reset}`);
+
+    let testCustomerId;
+
+    await runner.test('Free-Text Customers Are Migrated', async () => {
+        const [acme] = await api.get('/customers?search=Acme');
+        await runner.assertEqual(acme.name, 'Acme Manufacturing Co.', 'Sample customer should be registered');
+
+        const tickets = await api.get(`/tickets?customer_id=${acme.id}`);
+        await runner.assertGreaterThan(tickets.length, 0, 'Sample tickets should be linked to the customer');
+    });
+
+    await runner.test('Fuzzy Match Finds Duplicates', async () => {
+        const matches = await api.get('/customers/match?name=ACME Mfg.');
+        await runner.assertEqual(matches[0].name, 'Acme Manufacturing Co.', 'Abbreviated name should match');
+        await runner.assertEqual(matches[0].score, 1, 'Same normalized name should be an exact match');
+
+        const typo = await api.get('/customers/match?name=Acme Manufacturng');
+        await runner.assertTrue(typo.some(m => m.name === 'Acme Manufacturing Co.'), 'Typos should still match');
+
+        const error = await api.expectError(() => api.post('/customers', { name: 'Acme Mfg' }), 409);
+        await runner.assertEqual(error.existing.name, 'Acme Manufacturing Co.', 'Conflict should name the existing customer');
+    });
+
+    await runner.test('Create Customer With Contacts', async () => {
+        const customer = await api.post('/customers', { name: 'Test Foundry Works, Inc.', phone: '555-0100' });
+        testCustomerId = customer.id;
+
+        const contact = await api.post(`/customers/${testCustomerId}/contacts`, { name: 'Pat Lee', title: 'Buyer' });
+        await runner.assertEqual(contact.customer_id, testCustomerId, 'Contact should belong to the customer');
+
+        const loaded = await api.get(`/customers/${testCustomerId}`);
+        await runner.assertEqual(loaded.contacts.length, 1, 'Customer should list its contacts');
+    });
+
+    await runner.test('Tickets Link To Customers', async () => {
+        const byId = await api.post('/tickets', {
+            title: 'Test Customer Ticket',
+            description: 'Linked by customer ID',
+            customer_id: testCustomerId,
+            pipeline: 'sales',
+            priority: 'medium'
+        });
+        await runner.assertEqual(byId.customer, 'Test Foundry Works, Inc.', 'Customer name should be filled in');
+
+        const byName = await api.post('/tickets', {
+            title: 'Test Customer Ticket 2',
+            description: 'Linked by free-text name',
+            customer: 'test foundry works',
+            pipeline: 'orders',
+            priority: 'low'
+        });
+        await runner.assertEqual(byName.customer_id, testCustomerId, 'Free-text name should link to the same customer');
+
+        await api.expectError(() => api.post('/tickets', {
+            title: 'Test Bad Customer',
+            description: 'Unknown customer ID',
+            customer_id: 999999,
+            pipeline: 'sales',
+            priority: 'low'
+        }), 400);
+
+        const result = await api.get(`/customers/${testCustomerId}/tickets`);
+        await runner.assertEqual(result.stats.total, 2, 'Customer should have two tickets');
+        await runner.assertEqual(result.stats.open, 2, 'Both tickets should be open');
+        await runner.assertEqual(result.stats.by_pipeline.sales.open, 1, 'Counts should be split by pipeline');
+
+        const listed = (await api.get('/customers')).find(c => c.id === testCustomerId);
+        await runner.assertEqual(listed.ticket_count, 2, 'The customer list should count the tickets');
+        const agentListed = (await roleUsers.agent.get('/customers')).find(c => c.id === testCustomerId);
+        await runner.assertEqual(agentListed.ticket_count, 0, 'Tickets in pipelines the user cannot see should not be counted');
+
+        const before = await api.get(`/tickets/${byId.id}`);
+        await api.put(`/customers/${testCustomerId}`, { name: 'Test Foundry Works Group' });
+        const renamed = await api.get(`/tickets/${byId.id}`);
+        await runner.assertEqual(renamed.customer, 'Test Foundry Works Group', 'Tickets should show the new name');
+        await runner.assertEqual(renamed.version, before.version + 1, 'A rename should bump the ticket version');
+        const history = await api.get(`/tickets/${byId.id}/history?field=customer`);
+        await runner.assertEqual(
+            [history[history.length - 1].old_value, history[history.length - 1].new_value],
+            ['Test Foundry Works, Inc.', 'Test Foundry Works Group'],
+            'A rename should be in the ticket history'
+        );
+        await runner.assertTrue(
+            renamed.timeline.some(entry => entry.action === 'Customer changed from "Test Foundry Works, Inc." to "Test Foundry Works Group"'),
+            'A rename should be on the ticket timeline'
+        );
+
+        await api.expectError(() => api.delete(`/customers/${testCustomerId}`), 409);
+
+        await api.delete(`/tickets/${byId.id}`);
+        await api.delete(`/tickets/${byName.id}`);
+        await api.delete(`/customers/${testCustomerId}`);
+    });
+
+    await runner.test('Customer Names With Quotes Are Escaped', async () => {
+        const name = `Test "Quoted" Works' onmouseover="alert(1)`;
+        const ticket = await roleUsers.agent.post('/tickets', {
+            title: 'Test Quoted Customer',
+            description: 'Registers a customer from free text',
+            customer: name,
+            pipeline: 'support',
+            priority: 'low'
+        });
+
+        const customer = (await api.get('/customers')).find(c => c.id === ticket.customer_id);
+        await runner.assertEqual(customer.name, name, 'Customer should be registered under the typed name');
+
+        // Names go into <option value="..."> and data-name="..." attributes
+        const escaped = loadPageEscapeHtml()(customer.name);
+        await runner.assertTrue(!/["'<>]/.test(escaped), 'Quotes should not end an attribute value');
+
+        await api.delete(`/tickets/${ticket.id}`);
+        await api.delete(`/customers/${customer.id}`);
+    });
+
+    // SLA Tests
+    console.log(`\n${colors.yellow}>>> SLA Tests${colors.reset}`);
+
+    const originalCalendar = await api.get('/sla/calendar');
+    const allWeek = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day_of_week: day, start_time: '00:00', end_time: '24:00' }));
+    const hoursBetween = (from, to) =>
+        (new Date(to.replace(' ', 'T') + 'Z') - new Date(from.replace(' ', 'T') + 'Z')) / 3600000;
+    let slaPolicyId;
+
+    await runner.test('Default SLA Configuration', async () => {
+        const policies = await api.get('/sla/policies');
+        await runner.assertEqual(
+            policies.filter(p => p.pipeline === '*').map(p => p.priority).sort(),
+            ['high', 'low', 'medium'],
+            'Default policies should cover every priority'
+        );
+        await runner.assertEqual(originalCalendar.hours.length, 5, 'Default calendar should have five working days');
+    });
+
+    await runner.test('Tickets Get Business-Hour Due Dates', async () => {
+        await api.put('/sla/calendar', { hours: allWeek, holidays: [] });
+
+        const ticket = await api.post('/tickets', {
+            title: 'Test SLA Due Ticket',
+            description: 'High priority support ticket',
+            pipeline: 'support',
+            priority: 'high'
+        });
+        await runner.assertEqual(hoursBetween(ticket.created_at, ticket.first_response_due_at), 1, 'Response due after 1 hour');
+        await runner.assertEqual(hoursBetween(ticket.created_at, ticket.resolution_due_at), 8, 'Resolution due after 8 hours');
+
+        // With today as a holiday the clock starts at midnight
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        await api.put('/sla/calendar', { holidays: [{ date: today, name: 'Test Holiday' }] });
+
+        const updated = await api.put(`/tickets/${ticket.id}`, { field: 'priority', value: 'medium' });
+        const due = new Date(updated.first_response_due_at.replace(' ', 'T') + 'Z');
+        await runner.assertEqual(due.getDate(), new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getDate(), 'Holiday should be skipped');
+        await runner.assertEqual(due.getHours(), 4, 'Medium response is due 4 working hours into the next day');
+
+        await api.put('/sla/calendar', { holidays: [] });
+        await api.delete(`/tickets/${ticket.id}`);
+    });
+
+    await runner.test('Reject Invalid SLA Configuration', async () => {
+        await api.expectError(() => api.put('/sla/calendar', { hours: [{ day_of_week: 1, start_time: '17:00', end_time: '08:00' }] }), 400);
+        await api.expectError(() => api.put('/sla/policies', { priority: 'urgent', first_response_hours: 1 }), 400);
+        await api.expectError(() => api.put('/sla/policies', { priority: 'low', first_response_hours: -1 }), 400);
+    });
+
+    await runner.test('Breaches Are Flagged And Escalated', async () => {
+        const policy = await api.put('/sla/policies', {
+            pipeline: 'orders',
+            priority: 'low',
+            first_response_hours: 0.0001,
+            resolution_hours: 0.0002,
+            escalate_priority: true,
+            escalate_to: 'Sarah Johnson'
+        });
+        slaPolicyId = policy.id;
+
+        const silent = await api.post('/tickets', {
+            title: 'Test SLA Breach Ticket',
+            description: 'Nobody answers this one',
+            pipeline: 'orders',
+            priority: 'low'
+        });
+        const answered = await api.post('/tickets', {
+            title: 'Test SLA Answered Ticket',
+            description: 'Gets a customer reply straight away',
+            pipeline: 'orders',
+            priority: 'low'
+        });
+        await api.post(`/tickets/${answered.id}/comments`, { body: 'We are on it', is_internal: false });
+
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        const result = await api.post('/sla/check', {});
+        await runner.assertTrue(result.breached.includes(silent.id), 'Overdue ticket should be flagged');
+
+        const escalated = await api.get(`/tickets/${silent.id}`);
+        await runner.assertEqual(escalated.priority, 'medium', 'Priority should be raised one level');
+        await runner.assertEqual(escalated.assigned_to, 'Sarah Johnson', 'Ticket should be reassigned');
+        await runner.assertTrue(
+            escalated.timeline.some(entry => entry.action.startsWith('SLA breached: first response')),
+            'Breach should be written to the timeline'
+        );
+
+        const breaches = await api.get('/sla/breaches');
+        const silentBreach = breaches.find(t => t.id === silent.id);
+        const answeredBreach = breaches.find(t => t.id === answered.id);
+        await runner.assertEqual(silentBreach.breaches, ['first_response', 'resolution'], 'Both targets were missed');
+        await runner.assertEqual(answeredBreach.breaches, ['resolution'], 'A customer reply meets the response target');
+
+        const again = await api.post('/sla/check', {});
+        await runner.assertTrue(!again.breached.includes(silent.id), 'A breach should only be flagged once');
+
+        await api.delete(`/tickets/${silent.id}`);
+        await api.delete(`/tickets/${answered.id}`);
+        await api.delete(`/sla/policies/${slaPolicyId}`);
+    });
+
+    await runner.test('Tickets Are Escalated On Their First Breach Only', async () => {
+        const policy = await api.put('/sla/policies', {
+            pipeline: 'orders',
+            priority: 'low',
+            first_response_hours: 0.0001,
+            resolution_hours: 0.001,
+            escalate_priority: true
+        });
+        const ticket = await api.post('/tickets', {
+            title: 'Test SLA Second Breach Ticket',
+            description: 'Misses its response target, later its resolution target',
+            pipeline: 'orders',
+            priority: 'low'
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        await api.post('/sla/check', {});
+        const first = await api.get(`/tickets/${ticket.id}`);
+        await runner.assertNotNull(first.response_breached_at, 'Response target should be missed');
+        await runner.assertEqual(first.resolution_breached_at, null, 'Resolution target should not be missed yet');
+        await runner.assertEqual(first.priority, 'medium', 'First breach should raise the priority');
+
+        await new Promise(resolve => setTimeout(resolve, 3500));
+        const result = await api.post('/sla/check', {});
+        await runner.assertTrue(result.breached.includes(ticket.id), 'Second breach should be flagged');
+        const second = await api.get(`/tickets/${ticket.id}`);
+        await runner.assertNotNull(second.resolution_breached_at, 'Resolution target should be missed');
+        await runner.assertEqual(second.priority, 'medium', 'Second breach should not raise the priority again');
+        await runner.assertEqual(
+            second.timeline.filter(entry => entry.action.startsWith('SLA escalation')).length, 1,
+            'Escalation should be written to the timeline once'
+        );
+
+        await api.delete(`/tickets/${ticket.id}`);
+        await api.delete(`/sla/policies/${policy.id}`);
+        await api.put('/sla/calendar', originalCalendar);
+    });
+
+    // Ticket Query Tests
+    console.log(`\n${colors.yellow}>>> Ticket Query Tests${colors.reset}`);
+
+    const queryIds = [];
+    const listTickets = async (query) => {
+        const response = await api.getText(`/tickets?${query}`);
+        return { tickets: JSON.parse(response.data), headers: response.headers };
+    };
+
+    await runner.test('Paginate And Sort Tickets', async () => {
+        for (const [title, priority] of [['A', 'low'], ['B', 'high'], ['C', 'medium'], ['D', 'high'], ['E', 'low']]) {
+            const ticket = await api.post('/tickets', {
+                title: `Test Query Item ${title}`,
+                description: 'Ticket for list queries',
+                pipeline: 'orders',
+                priority
+            });
+            queryIds.push(ticket.id);
+        }
+
+        const first = await listTickets('search=Test%20Query%20Item&sort=-priority,title&limit=2');
+        await runner.assertEqual(first.headers['x-total-count'], '5', 'Total should count every match');
+        await runner.assertEqual(first.tickets.map(t => t.title.slice(-1)), ['B', 'D'], 'Priorities should sort by rank');
+        await runner.assertTrue(first.headers.link.includes('rel="next"') && !first.headers.link.includes('rel="prev"'), 'First page should link to the next');
+
+        const last = await listTickets('search=Test%20Query%20Item&sort=-priority,title&limit=2&offset=4');
+        await runner.assertEqual(last.tickets.map(t => t.title.slice(-1)), ['E'], 'Last page should hold the rest');
+        await runner.assertTrue(last.headers.link.includes('offset=2') && !last.headers.link.includes('rel="next"'), 'Last page should link back only');
+
+        const all = await listTickets('search=Test%20Query%20Item');
+        await runner.assertEqual(all.tickets[0].id, queryIds[4], 'Newest tickets should come first by default');
+
+        await api.expectError(() => api.get('/tickets?sort=password'), 400);
+        await api.expectError(() => api.get('/tickets?limit=0'), 400);
+    });
+
+    await runner.test('Query Language And Filter Parameters', async () => {
+        await api.put(`/tickets/${queryIds[1]}`, { field: 'assigned_to', value: 'Administrator' });
+        await api.put(`/tickets/${queryIds[2]}`, { field: 'assigned_to', value: 'Administrator' });
+        await api.put(`/tickets/${queryIds[2]}`, { field: 'status', value: 'in-progress' });
+
+        const titles = async (q) => {
+            const tickets = await api.get(`/tickets?q=${encodeURIComponent(`"Test Query Item" ${q}`)}&sort=title`);
+            return tickets.map(t => t.title.slice(-1));
+        };
+        await runner.assertEqual(await titles('priority:high,medium assignee:me'), ['B', 'C'], 'Terms should combine');
+        await runner.assertEqual(await titles('status:!new'), ['C'], 'Negated terms should exclude');
+        await runner.assertEqual(await titles('assignee:none priority:!low'), ['D'], 'none should match empty fields');
+        const today = new Date().toISOString().slice(0, 10);
+        await runner.assertEqual((await titles(`created:${today} creator:me`)).length, 5, 'Dates should cover the whole day');
+        await runner.assertEqual(await titles('created:<2000-01-01'), [], 'Date comparisons should apply');
+
+        const params = await api.get(`/tickets?search=Test%20Query%20Item&priority=high&assigned_to=Administrator&created_from=${today}`);
+        await runner.assertEqual(params.map(t => t.id), [queryIds[1]], 'Filter parameters should apply');
+
+        const unknown = await api.expectError(() => api.get('/tickets?q=colour:red'), 400);
+        await runner.assertTrue(unknown.error.startsWith('Unknown search field "colour"'), 'Unknown fields should be named');
+        await api.expectError(() => api.get('/tickets?q=created:>yesterday'), 400);
+        await api.expectError(() => api.get('/tickets?q=priority:urgent'), 400);
+
+        for (const id of queryIds) {
+            await api.delete(`/tickets/${id}`);
+        }
+    });
+
+    // Search Tests
+    console.log(`\n${colors.yellow}>>> Search Tests${colors.reset}`);
+
+    let searchTitleTicket;
+    let searchBodyTicket;
+    const searchIds = async (q) => (await api.get(`/search?q=${encodeURIComponent(q)}`)).map(t => t.id);
+
+    await runner.test('Ranked Full-Text Search', async () => {
+        searchBodyTicket = await api.post('/tickets', {
+            title: 'Test Search spare parts',
+            description: 'Customer asks about the gantry on their milling centre',
+            pipeline: 'orders',
+            priority: 'low'
+        });
+        searchTitleTicket = await api.post('/tickets', {
+            title: 'Test Search <gantry> milling noise',
+            description: 'Loud noise during long jobs',
+            pipeline: 'orders',
+            priority: 'high'
+        });
+
+        const results = await api.get('/search?q=gantry%20milling');
+        await runner.assertEqual(results.map(t => t.id), [searchTitleTicket.id, searchBodyTicket.id], 'Title matches should rank first');
+        await runner.assertTrue(results[0].score > results[1].score, 'Results should carry a score');
+        await runner.assertEqual(
+            results[0].title_html,
+            'Test Search &lt;<mark>gantry</mark>&gt; <mark>milling</mark> noise',
+            'Titles should be escaped and highlighted'
+        );
+        await runner.assertTrue(results[1].snippet_html.includes('<mark>gantry</mark>'), 'Snippets should highlight matches');
+
+        await runner.assertEqual((await searchIds('gant*')).length, 2, 'Prefix queries should match');
+        await runner.assertEqual(await searchIds('"gantry milling"'), [searchTitleTicket.id], 'Phrase queries should match in order');
+        await runner.assertEqual(await searchIds('mill gantry'), [searchTitleTicket.id, searchBodyTicket.id], 'Words should match their stems');
+    });
+
+    await runner.test('Search Index Follows Changes', async () => {
+        await api.post(`/tickets/${searchTitleTicket.id}/timeline`, { action: 'Replaced bearing housing' });
+        await runner.assertEqual(await searchIds('housing'), [searchTitleTicket.id], 'Timeline text should be indexed');
+
+        const comment = await api.post(`/tickets/${searchBodyTicket.id}/comments`, { body: 'Coolant pump also leaking' });
+        await runner.assertEqual(await searchIds('coolant'), [searchBodyTicket.id], 'Comments should be indexed');
+        await api.put(`/comments/${comment.id}`, { body: 'Hydraulic hose also leaking' });
+        await runner.assertEqual(await searchIds('coolant'), [], 'Edited comments should be reindexed');
+        await api.delete(`/comments/${comment.id}`);
+        await runner.assertEqual(await searchIds('hydraulic'), [], 'Deleted comments should leave the index');
+
+        await api.put(`/tickets/${searchBodyTicket.id}`, { field: 'title', value: 'Test Search quotation for spindle' });
+        await runner.assertEqual(await searchIds('quotation'), [searchBodyTicket.id], 'Updated fields should be reindexed');
+    });
+
+    await runner.test('Search Access And Index Rebuild', async () => {
+        await runner.assertEqual((await roleUsers.agent.get('/search?q=gantry')).length, 0, 'Agents should only find tickets in their pipelines');
+        await roleUsers.agent.expectError(() => roleUsers.agent.get('/search?q=gantry&pipeline=orders'), 403);
+        await roleUsers.agent.expectError(() => roleUsers.agent.post('/search/rebuild', {}), 403);
+        await api.expectError(() => api.get('/search?q=%20'), 400);
+        await runner.assertEqual(await searchIds('gantry status:new'), [], 'Query syntax should be searched as text');
+
+        const rebuilt = await api.post('/search/rebuild', {});
+        await runner.assertGreaterThan(rebuilt.indexed, 1, 'Rebuild should index every ticket');
+        await runner.assertEqual((await searchIds('gantry housing')), [searchTitleTicket.id], 'Search should work after a rebuild');
+
+        await api.delete(`/tickets/${searchTitleTicket.id}`);
+        await api.delete(`/tickets/${searchBodyTicket.id}`);
+        await runner.assertEqual(await searchIds('gantry'), [], 'Deleted tickets should leave the index');
+    });
+
+    // Saved View Tests
+    console.log(`\n${colors.yellow}>>> Saved View Tests${colors.reset}`);
+
+    let personalView;
+    let teamView;
+    const viewTicketIds = [];
+    const findView = async (tester, id) => (await tester.get('/views')).find(v => v.id === id);
+
+    await runner.test('Save View With Ticket Count', async () => {
+        for (const priority of ['high', 'high', 'low']) {
+            viewTicketIds.push((await api.post('/tickets', {
+                title: `Test View ${priority} order`,
+                description: 'Saved view fixture',
+                pipeline: 'orders',
+                priority
+            })).id);
+        }
+
+        personalView = await api.post('/views', {
+            name: 'Test View urgent orders',
+            filters: { pipeline: 'orders', search: 'Test View', priority: 'high' },
+            sort: 'title,-created_at'
+        });
+        await runner.assertEqual(personalView.count, 2, 'New views should report their ticket count');
+        await runner.assertEqual(personalView.filters.priority, 'high', 'Filters should be stored');
+        await runner.assertEqual(personalView.shared, false, 'Views should be personal by default');
+
+        await api.put(`/tickets/${viewTicketIds[2]}`, { field: 'priority', value: 'high' });
+        await runner.assertEqual((await findView(api, personalView.id)).count, 3, 'Counts should follow ticket changes');
+
+        await api.expectError(() => api.post('/views', { name: 'Test View bad', filters: { colour: 'red' } }), 400);
+        await api.expectError(() => api.post('/views', { name: 'Test View bad', filters: { q: 'size:big' } }), 400);
+        await api.expectError(() => api.post('/views', { name: 'Test View bad', sort: 'colour' }), 400);
+        await api.expectError(() => api.post('/views', { filters: {} }), 400);
+    });
+
+    await runner.test('Share Views With A Team', async () => {
+        await runner.assertEqual(await findView(roleUsers.manager, personalView.id), undefined, 'Personal views should stay private');
+        await roleUsers.manager.expectError(() => roleUsers.manager.get(`/views/${personalView.id}`), 404);
+
+        teamView = await roleUsers.manager.post('/views', {
+            name: 'Test View support queue',
+            filters: { pipeline: 'support', status: 'new' },
+            shared: true,
+            team: 'support'
+        });
+        const agentView = await findView(roleUsers.agent, teamView.id);
+        await runner.assertTrue(agentView !== undefined, 'Team members should see shared views');
+        await runner.assertEqual(agentView.editable, false, 'Only the owner or an admin should edit a view');
+        await runner.assertEqual(agentView.owner_name, 'Test manager', 'Views should name their owner');
+        await roleUsers.agent.expectError(() => roleUsers.agent.put(`/views/${teamView.id}`, { name: 'Mine now' }), 403);
+        await roleUsers.agent.expectError(() => roleUsers.agent.delete(`/views/${teamView.id}`), 403);
+
+        await api.put(`/views/${personalView.id}`, { shared: true, team: 'orders' });
+        await runner.assertEqual(await findView(roleUsers.agent, personalView.id), undefined, 'Views of other teams should stay hidden');
+        await roleUsers.agent.expectError(() => roleUsers.agent.post('/views', { name: 'Test View orders', filters: { pipeline: 'orders' } }), 400);
+        await roleUsers.agent.expectError(() => roleUsers.agent.post('/views', { name: 'Test View orders', team: 'orders', shared: true }), 400);
+
+        const shared = await api.put(`/views/${personalView.id}`, { team: null });
+        await runner.assertEqual(shared.team, null, 'Views can be shared with everyone');
+        const seenByAgent = await findView(roleUsers.agent, personalView.id);
+        await runner.assertEqual(seenByAgent.count, null, 'Counts should be empty for views a user cannot run');
+    });
+
+    await runner.test('Default Landing View', async () => {
+        await roleUsers.agent.post(`/views/${teamView.id}/default`, {});
+        let views = await roleUsers.agent.get('/views');
+        await runner.assertEqual(views.filter(v => v.is_default).map(v => v.id), [teamView.id], 'The default view should be marked');
+
+        await roleUsers.agent.post(`/views/${personalView.id}/default`, {});
+        views = await roleUsers.agent.get('/views');
+        await runner.assertEqual(views.filter(v => v.is_default).map(v => v.id), [personalView.id], 'Users should have one default view');
+        await runner.assertEqual((await findView(api, personalView.id)).is_default, false, 'Defaults should be per user');
+
+        await api.put(`/views/${personalView.id}`, { shared: false });
+        views = await roleUsers.agent.get('/views');
+        await runner.assertEqual(views.filter(v => v.is_default).length, 0, 'Unshared views should stop being a default');
+
+        await roleUsers.manager.post(`/views/${teamView.id}/default`, {});
+        await roleUsers.manager.delete(`/views/${teamView.id}`);
+        await runner.assertEqual(await findView(roleUsers.manager, teamView.id), undefined, 'Deleted views should disappear');
+        await api.delete(`/views/${personalView.id}`);
+
+        for (const id of viewTicketIds) {
+            await api.delete(`/tickets/${id}`);
+        }
+    });
+
+    // Analytics Tests
+    console.log(`\n${colors.yellow}>>> Analytics Tests${colors.reset}`);
+
+    const analyticsTicketIds = [];
+    const analytics = (tester, params = '') => tester.get(`/analytics?search=Test%20Analytics${params}`);
+
+    await runner.test('Analytics Flow Metrics', async () => {
+        for (const assignee of ['Test Analytics Team', 'Test Analytics Team']) {
+            analyticsTicketIds.push((await api.post('/tickets', {
+                title: 'Test Analytics quote',
+                description: 'Analytics fixture',
+                pipeline: 'sales',
+                priority: 'medium',
+                assigned_to: assignee
+            })).id);
+        }
+
+        const [doneId] = analyticsTicketIds;
+        await api.put(`/tickets/${doneId}`, { field: 'status', value: 'in-progress' });
+        await api.put(`/tickets/${doneId}`, { field: 'status', value: 'pending' });
+        await api.put(`/tickets/${doneId}`, { field: 'status', value: 'completed', fields: { resolution: 'Quote accepted' } });
+
+        const report = await analytics(api);
+        const group = { pipeline: 'sales', priority: 'medium' };
+        await runner.assertEqual(report.group_by, ['pipeline', 'priority'], 'Results should be grouped by pipeline and priority');
+
+        const statuses = report.status_time.map(row => `${row.pipeline}/${row.priority}/${row.status}:${row.tickets}`).sort();
+        await runner.assertEqual(statuses, ['sales/medium/in-progress:1', 'sales/medium/new:2', 'sales/medium/pending:1'], 'Time should be tracked per open status');
+
+        await runner.assertEqual(report.lead_time.length, 1, 'Lead time should cover completed tickets');
+        await runner.assertEqual({ pipeline: report.lead_time[0].pipeline, priority: report.lead_time[0].priority, tickets: report.lead_time[0].tickets }, { ...group, tickets: 1 });
+        await runner.assertTrue(report.lead_time[0].p90_hours >= report.lead_time[0].p50_hours, 'Percentiles should be ordered');
+        await runner.assertEqual(report.cycle_time[0].tickets, 1, 'Cycle time should start with the first status change');
+
+        const created = report.throughput.reduce((sum, row) => sum + row.created, 0);
+        const completed = report.throughput.reduce((sum, row) => sum + row.completed, 0);
+        await runner.assertEqual([created, completed], [2, 1], 'Weekly throughput should count created and completed tickets');
+        await runner.assertTrue(report.throughput.every(row => /^\d{4}-\d{2}-\d{2}$/.test(row.week)), 'Weeks should be dates');
+
+        await runner.assertEqual(report.aging.groups.map(row => row.counts[0]), [1], 'Only open tickets should age');
+        const team = report.workload.find(row => row.assignee === 'Test Analytics Team');
+        await runner.assertEqual([team.open, team.completed, team.by_priority.medium], [1, 1, 1], 'Workload should count open and completed tickets');
+    });
+
+    await runner.test('Analytics Grouping And Access', async () => {
+        const overall = await analytics(api, '&group_by=');
+        await runner.assertEqual(overall.lead_time.map(row => Object.keys(row).includes('pipeline')), [false], 'An empty group_by should give overall figures');
+
+        const old = await analytics(api, '&from=2020-01-01&to=2020-03-31');
+        await runner.assertEqual([old.lead_time.length, old.status_time.length], [0, 0], 'Nothing should be counted outside the range');
+        await runner.assertEqual(old.throughput[0].week, '2019-12-30', 'Weeks should start on Monday');
+
+        await api.expectError(() => analytics(api, '&from=2026-02-30'), 400);
+        await api.expectError(() => analytics(api, '&from=2026-03-01&to=2026-02-01'), 400);
+        await api.expectError(() => analytics(api, '&group_by=customer'), 400);
+        await roleUsers.agent.expectError(() => analytics(roleUsers.agent, '&pipeline=sales'), 403);
+        await runner.assertEqual((await analytics(roleUsers.agent)).workload, [], 'Agents should only see their pipelines');
+
+        for (const id of analyticsTicketIds) {
+            await api.delete(`/tickets/${id}`);
+        }
+    });
+
+    await runner.test('Transition Flows From History', async () => {
+        const moved = await api.post('/tickets', { title: 'Test Flow quote', description: 'Flow fixture', pipeline: 'sales', priority: 'low' });
+        await api.put(`/tickets/${moved.id}`, { field: 'status', value: 'in-progress' });
+        await api.put(`/tickets/${moved.id}`, { field: 'status', value: 'pending' });
+        await api.put(`/tickets/${moved.id}`, { field: 'pipeline', value: 'orders' });
+        await api.put(`/tickets/${moved.id}`, { field: 'status', value: 'completed', fields: { resolution: 'Delivered' } });
+
+        // Status and pipeline changed in one request
+        const converted = await api.post('/tickets', { title: 'Test Flow order', description: 'Flow fixture', pipeline: 'sales', priority: 'low' });
+        await api.patch(`/tickets/${converted.id}`, { version: converted.version, status: 'in-progress', pipeline: 'orders' });
+
+        const edges = flows => flows.links.map(link => `${link.source} > ${link.target}: ${link.transitions}`).sort();
+        const flows = await api.get('/analytics/transitions?search=Test%20Flow');
+        await runner.assertEqual(edges(flows), [
+            'pipeline:sales > pipeline:orders: 2',
+            'status:orders:pending > status:orders:completed: 1',
+            'status:sales:in-progress > status:sales:pending: 1',
+            'status:sales:new > status:orders:in-progress: 1',
+            'status:sales:new > status:sales:in-progress: 1'
+        ], 'Links should follow the recorded changes');
+
+        const node = flows.nodes.find(n => n.id === 'status:orders:completed');
+        await runner.assertEqual([node.label, node.closed], ['Order Processing: Completed', true], 'Nodes should be labelled from the pipeline configuration');
+        await runner.assertEqual(flows.links.find(l => l.type === 'pipeline').tickets, 2, 'Links should count distinct tickets');
+
+        const orders = await api.get('/analytics/transitions?search=Test%20Flow&pipeline=orders');
+        await runner.assertEqual(edges(orders).length, 3, 'A pipeline should keep the changes into and within it');
+        await runner.assertEqual((await api.get('/analytics/transitions?search=Test%20Flow&from=2020-01-01&to=2020-01-31')).links, [], 'Changes outside the range should not count');
+        await roleUsers.agent.expectError(() => roleUsers.agent.get('/analytics/transitions?pipeline=sales'), 403);
+
+        await api.delete(`/tickets/${moved.id}`);
+        await api.delete(`/tickets/${converted.id}`);
+    });
+
+    // Ticket Link Tests
+    console.log(`\n${colors.yellow}>>> Ticket Link Tests${colors.reset}`);
+
+    const linkTicketIds = [];
+
+    await runner.test('Link Tickets', async () => {
+        for (const pipeline of ['sales', 'orders', 'support']) {
+            linkTicketIds.push((await api.post('/tickets', {
+                title: `Test Link ${pipeline}`,
+                description: 'Link fixture',
+                customer: 'Test Link Works',
+                pipeline,
+                priority: 'medium'
+            })).id);
+        }
+        const [quoteId, orderId, caseId] = linkTicketIds;
+
+        const link = await api.post(`/tickets/${quoteId}/links`, { type: 'blocks', ticket_id: orderId });
+        await runner.assertEqual([link.type, link.ticket.id], ['blocks', orderId], 'Links should be returned from the linking side');
+        const orderLinks = await api.get(`/tickets/${orderId}/links`);
+        await runner.assertEqual(orderLinks.links.map(l => `${l.type} ${l.ticket.id}`), [`blocked-by ${quoteId}`], 'The other side should see the inverse type');
+        await runner.assertEqual(orderLinks.chain, [], 'Unconverted tickets should have no chain');
+
+        await api.expectError(() => api.post(`/tickets/${orderId}/links`, { type: 'blocked-by', ticket_id: quoteId }), 409);
+        await api.expectError(() => api.post(`/tickets/${orderId}/links`, { type: 'blocks', ticket_id: quoteId }), 409);
+        await api.expectError(() => api.post(`/tickets/${orderId}/links`, { type: 'follows', ticket_id: quoteId }), 400);
+        await api.expectError(() => api.post(`/tickets/${orderId}/links`, { type: 'related', ticket_id: orderId }), 400);
+        await api.expectError(() => api.post(`/tickets/${orderId}/links`, { type: 'related', ticket_id: 'TKT-NOPE' }), 404);
+
+        await api.post(`/tickets/${caseId}/links`, { type: 'related', ticket_id: quoteId });
+        await roleUsers.agent.expectError(() => roleUsers.agent.post(`/tickets/${caseId}/links`, { type: 'related', ticket_id: orderId }), 403);
+        const agentView = await roleUsers.agent.get(`/tickets/${caseId}/links`);
+        await runner.assertEqual(agentView.links, [], 'Links to inaccessible tickets should be hidden');
+
+        await api.delete(`/tickets/${quoteId}/links/${link.id}`);
+        await runner.assertEqual((await api.get(`/tickets/${orderId}/links`)).links, [], 'Removed links should disappear from both sides');
+        const timeline = (await api.get(`/tickets/${orderId}`)).timeline.map(entry => entry.action);
+        await runner.assertTrue(timeline.includes(`Link added: blocked-by ${quoteId}`), 'Links should be noted in the timeline');
+        await runner.assertTrue(timeline.includes(`Link removed: blocked-by ${quoteId}`), 'Link removal should be noted in the timeline');
+    });
+
+    await runner.test('Convert Ticket Across Pipelines', async () => {
+        const [quoteId] = linkTicketIds;
+
+        const toOrder = await api.post(`/tickets/${quoteId}/convert`, { pipeline: 'orders', close_source: true });
+        const order = toOrder.ticket;
+        linkTicketIds.push(order.id);
+        await runner.assertEqual(
+            [order.pipeline, order.status, order.customer, order.description],
+            ['orders', 'new', 'Test Link Works', 'Link fixture'],
+            'The new ticket should carry over customer and description'
+        );
+        await runner.assertEqual([toOrder.source.status, toOrder.source.resolution], ['completed', `Converted to ${order.id}`], 'The source should be closed');
+
+        const toCase = await api.post(`/tickets/${order.id}/convert`, { pipeline: 'support', title: 'Test Link spindle fault', priority: 'high' });
+        linkTicketIds.push(toCase.ticket.id);
+        await runner.assertEqual([toCase.ticket.title, toCase.ticket.priority], ['Test Link spindle fault', 'high'], 'Title and priority can be overridden');
+        await runner.assertEqual(toCase.source.status, 'new', 'The source should stay open without close_source');
+
+        const { chain } = await api.get(`/tickets/${toCase.ticket.id}/links`);
+        await runner.assertEqual(chain.map(t => [t.id, t.depth]), [[quoteId, -2], [order.id, -1], [toCase.ticket.id, 0]], 'The chain should run from quote to case');
+        const orderLinks = (await api.get(`/tickets/${order.id}/links`)).links.map(l => `${l.type} ${l.ticket.id}`);
+        await runner.assertEqual(orderLinks, [`converted-from ${quoteId}`, `converted-to ${toCase.ticket.id}`], 'Conversions should be linked');
+        const quoteTimeline = (await api.get(`/tickets/${quoteId}`)).timeline.map(entry => entry.action);
+        await runner.assertTrue(quoteTimeline.includes(`Converted to ${order.id}`), 'The source should be annotated');
+
+        await api.expectError(() => api.post(`/tickets/${quoteId}/convert`, {}), 400);
+        await roleUsers.viewer.expectError(() => roleUsers.viewer.post(`/tickets/${quoteId}/convert`, { pipeline: 'orders' }), 403);
+        await roleUsers.agent.expectError(() => roleUsers.agent.post(`/tickets/${toCase.ticket.id}/convert`, { pipeline: 'orders' }), 403);
+
+        for (const id of linkTicketIds) {
+            await api.delete(`/tickets/${id}`);
+        }
+    });
+
+    // Custom Field Tests
+    console.log(`\n${colors.yellow}>>> Custom Field Tests${colors.reset}`);
+
+    const customFieldIds = [];
+
+    await runner.test('Define And Validate Custom Fields', async () => {
+        const sales = (await api.get('/pipelines')).find(p => p.key === 'sales');
+        await runner.assertEqual(sales.fields.map(f => `${f.key}:${f.type}`), ['quote-value:currency'], 'Sales should come with a quote value field');
+
+        await roleUsers.manager.expectError(() => roleUsers.manager.post('/pipelines/sales/fields', { key: 'test-stage', name: 'Stage', type: 'text' }), 403);
+        await api.expectError(() => api.post('/pipelines/sales/fields', { key: 'test-stage', name: 'Stage', type: 'enum' }), 400);
+        await api.expectError(() => api.post('/pipelines/sales/fields', { key: 'Test Stage', name: 'Stage', type: 'text' }), 400);
+        await api.expectError(() => api.post('/pipelines/sales/fields', { key: 'test-stage', name: 'Stage', type: 'color' }), 400);
+        const stage = await api.post('/pipelines/sales/fields', {
+            key: 'test-stage', name: 'Test Stage', type: 'enum', options: ['rfq', 'quoted'], required: true
+        });
+        await runner.assertEqual([stage.required, stage.options], [true, ['rfq', 'quoted']], 'Field definitions should be returned');
+        await api.expectError(() => api.post('/pipelines/sales/fields', { key: 'test-stage', name: 'Again', type: 'text' }), 409);
+        await api.expectError(() => api.put('/pipelines/sales/fields/test-stage', { type: 'text' }), 400);
+
+        const fixture = { title: 'Test Custom quote', description: 'Custom field fixture', pipeline: 'sales', priority: 'low' };
+        await api.expectError(() => api.post('/tickets', fixture), 400);
+        for (const bad of [
+            { 'test-stage': 'won' },
+            { 'test-stage': 'rfq', 'quote-value': { amount: 'lots', currency: 'EUR' } },
+            { 'test-stage': 'rfq', 'quote-value': { amount: 10, currency: 'EURO' } },
+            { 'test-stage': 'rfq', 'po-number': 'PO-1' }
+        ]) {
+            await api.expectError(() => api.post('/tickets', { ...fixture, custom_fields: bad }), 400);
+        }
+
+        const quote = await api.post('/tickets', {
+            ...fixture,
+            custom_fields: { 'test-stage': 'rfq', 'quote-value': { amount: 1250.5, currency: 'eur' } }
+        });
+        customFieldIds.push(quote.id);
+        await runner.assertEqual(
+            quote.custom_fields,
+            { 'quote-value': { amount: 1250.5, currency: 'EUR' }, 'test-stage': 'rfq' },
+            'Values should be stored and returned typed'
+        );
+
+        const updated = await api.put(`/tickets/${quote.id}`, { field: 'custom_fields', value: { 'quote-value': '980 USD', 'test-stage': 'quoted' } });
+        await runner.assertEqual([updated.custom_fields['quote-value'], updated.version], [{ amount: 980, currency: 'USD' }, 2], 'Updates should bump the version');
+        await api.expectError(() => api.put(`/tickets/${quote.id}`, { field: 'custom_fields', value: { 'test-stage': null } }), 400);
+        const cleared = await api.patch(`/tickets/${quote.id}`, { custom_fields: { 'quote-value': null }, version: 2 });
+        await runner.assertEqual(cleared.custom_fields['quote-value'], null, 'Optional fields can be cleared');
+
+        const ticket = await api.get(`/tickets/${quote.id}`);
+        const actions = ticket.timeline.map(entry => entry.action);
+        await runner.assertTrue(actions.includes('Test Stage changed from "rfq" to "quoted"'), 'Changes should be noted in the timeline');
+        await runner.assertTrue(actions.includes('Quote Value cleared'), 'Cleared values should be noted in the timeline');
+        const history = await api.get(`/tickets/${quote.id}/history?field=cf.quote-value`);
+        await runner.assertEqual(history.map(h => h.new_value), ['980.00 USD', null], 'Changes should be in the history');
+
+        // Values of fields the new pipeline lacks are kept for a move back
+        await api.put(`/tickets/${quote.id}`, { field: 'custom_fields', value: { 'quote-value': '15 EUR' } });
+        const moved = await api.put(`/tickets/${quote.id}`, { field: 'pipeline', value: 'orders' });
+        await runner.assertEqual(Object.keys(moved.custom_fields), ['po-number', 'quantity', 'ship-date'], 'Moved tickets should show the new pipeline fields');
+        const back = await api.put(`/tickets/${quote.id}`, { field: 'pipeline', value: 'sales' });
+        await runner.assertEqual(back.custom_fields['quote-value'], { amount: 15, currency: 'EUR' }, 'Values should return with their pipeline');
+
+        await api.delete('/pipelines/sales/fields/test-stage');
+        await runner.assertEqual(Object.keys((await api.get(`/tickets/${quote.id}`)).custom_fields), ['quote-value'], 'Deleted fields should disappear');
+    });
+
+    await runner.test('Filter, Sort And Export Custom Fields', async () => {
+        for (const [quantity, shipDate] of [[5, '2026-03-01'], [50, '2026-09-15'], [12, '2026-06-30']]) {
+            customFieldIds.push((await api.post('/tickets', {
+                title: `Test Custom order ${quantity}`,
+                description: 'Custom field fixture',
+                pipeline: 'orders',
+                priority: 'medium',
+                custom_fields: { 'po-number': `PO-${quantity}`, quantity: String(quantity), 'ship-date': shipDate }
+            })).id);
+        }
+        const titles = async query => (await api.get(`/tickets?search=Test%20Custom%20order&${query}`)).map(t => t.title);
+
+        await runner.assertEqual(await titles('cf.quantity=10..'), ['Test Custom order 12', 'Test Custom order 50'], 'Number ranges should filter');
+        await runner.assertEqual(await titles('cf.ship-date=..2026-06-30&sort=cf.ship-date'), ['Test Custom order 5', 'Test Custom order 12'], 'Date ranges should filter');
+        await runner.assertEqual(await titles('cf.po-number=po-5,PO-50&sort=cf.quantity'), ['Test Custom order 5', 'Test Custom order 50'], 'Values should match case-insensitively');
+        await runner.assertEqual(await titles('sort=-cf.quantity'), ['Test Custom order 50', 'Test Custom order 12', 'Test Custom order 5'], 'Numbers should sort by value');
+        await api.expectError(() => api.get('/tickets?sort=cf.Bad%20Key'), 400);
+
+        const csv = (await api.getText('/export?pipeline=orders&search=Test%20Custom%20order')).data.split('\r\n');
+        await runner.assertTrue(csv[0].endsWith('cf.po-number,cf.quantity,cf.ship-date'), 'CSV exports should have a column per field');
+        await runner.assertTrue(csv[1].endsWith('PO-5,5,2026-03-01'), 'CSV exports should have the stored values');
+        const ndjson = (await api.getText('/export?format=ndjson&search=Test%20Custom%20order')).data.trim().split('\n').map(line => JSON.parse(line));
+        await runner.assertEqual(ndjson[0].custom_fields, { 'po-number': 'PO-5', quantity: 5, 'ship-date': '2026-03-01' }, 'NDJSON exports should have typed values');
+
+        const edited = csv.join('\r\n').replace('PO-5,5,2026-03-01', 'PO-5,6,2026-03-01');
+        const form = new FormData();
+        form.append('file', new Blob([edited]), 'orders.csv');
+        const reimport = await api.post('/import', form);
+        await runner.assertEqual(reimport.summary, { created: 0, updated: 1, unchanged: 2, invalid: 0, failed: 0 }, 'Imports should update custom fields');
+        await runner.assertEqual(reimport.results[0].changes, ['cf.quantity'], 'Imports should report custom field changes');
+        await runner.assertEqual((await api.get(`/tickets/${customFieldIds[1]}`)).custom_fields.quantity, 6, 'Imported values should be stored');
+
+        for (const id of customFieldIds) {
+            await api.delete(`/tickets/${id}`);
+        }
+    });
+
+    await runner.test('Custom Text Values With Quotes Are Escaped', async () => {
+        const serial = `SN "42" onfocus='alert(1)'`;
+        const ticket = await api.post('/tickets', {
+            title: 'Test Custom quoted serial',
+            description: 'Custom field fixture',
+            pipeline: 'support',
+            priority: 'low',
+            custom_fields: { 'serial-number': serial }
+        });
+        await runner.assertEqual(ticket.custom_fields['serial-number'], serial, 'Text values should be stored as typed');
+
+        // Inputs are rendered as value="${escapeHtml(value)}"
+        const escaped = loadPageEscapeHtml()(ticket.custom_fields['serial-number']);
+        await runner.assertTrue(!/["'<>]/.test(escaped), 'Quotes should not end an attribute value');
+
+        await api.delete(`/tickets/${ticket.id}`);
+    });
+
+    // Migration Tests
+    console.log(`\n${colors.yellow}>>> Migration Tests${colors.reset}`);
+
+    const openTestDb = () => {
+        if (fs.existsSync(TEST_DB)) {
+            fs.unlinkSync(TEST_DB);
+        }
+        return new sqlite3.Database(TEST_DB);
+    };
+    const dbCall = (db, method, sql, params = []) => new Promise((resolve, reject) => {
+        db[method](sql, params, (err, result) => err ? reject(err) : resolve(result));
+    });
+    const runMigrations = (db, options = {}) => new Promise((resolve, reject) => {
+        migrations.migrate(db, options, (err, result) => err ? reject(err) : resolve(result));
+    });
+    const closeTestDb = (db) => new Promise(resolve => db.close(() => {
+        fs.rmSync(TEST_DB, { force: true });
+        resolve();
+    }));
+
+    await runner.test('Dry Run Leaves Database Unchanged', async () => {
+        const db = openTestDb();
+        try {
+            const result = await runMigrations(db, { dryRun: true });
+            await runner.assertEqual(result.applied.map(m => m.version), migrations.MIGRATIONS.map(m => m.version), 'A dry run should list every pending migration');
+            await runner.assertEqual(result.version, 0, 'A dry run should not change the schema version');
+            const tables = await dbCall(db, 'all', "SELECT name FROM sqlite_master WHERE type = 'table'");
+            await runner.assertEqual(tables, [], 'A dry run should roll back every change');
+        } finally {
+            await closeTestDb(db);
+        }
+    });
+
+    await runner.test('Migrate Older Database In Order', async () => {
+        const db = openTestDb();
+        try {
+            // Tables as created before columns were added to them
+            await dbCall(db, 'run', `CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL,
+                password TEXT NOT NULL, full_name TEXT NOT NULL, email TEXT, role TEXT DEFAULT 'user', created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+            await dbCall(db, 'run', `CREATE TABLE tickets (id TEXT PRIMARY KEY, title TEXT NOT NULL, description TEXT NOT NULL, customer TEXT,
+                pipeline TEXT NOT NULL, status TEXT NOT NULL, priority TEXT NOT NULL, assigned_to TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+            await dbCall(db, 'run', "INSERT INTO users (username, password, full_name, role) VALUES ('old', 'x', 'Old User', 'user')");
+            await dbCall(db, 'run', "INSERT INTO tickets (id, title, description, pipeline, status, priority) VALUES ('TKT-001', 'Old', 'Old ticket', 'support', 'new', 'low')");
+
+            const result = await runMigrations(db);
+            await runner.assertEqual(result.version, migrations.LATEST_VERSION, 'Migrations should reach the latest version');
+            const columns = (await dbCall(db, 'all', 'PRAGMA table_info(tickets)')).map(c => c.name);
+            for (const column of ['created_by', 'customer_id', 'version', 'external_ref']) {
+                await runner.assertTrue(columns.includes(column), `Older tickets tables should gain ${column}`);
+            }
+            await runner.assertEqual(await dbCall(db, 'get', 'SELECT version, created_by FROM tickets'), { version: 1, created_by: null }, 'Existing rows should get column defaults');
+            await runner.assertEqual((await dbCall(db, 'get', 'SELECT role FROM users')).role, 'agent', 'Former user roles should become agent');
+
+            const recorded = await dbCall(db, 'all', 'SELECT version, name FROM schema_migrations ORDER BY version');
+            await runner.assertEqual(recorded, migrations.MIGRATIONS.map(m => ({ version: m.version, name: m.name })), 'Applied migrations should be recorded');
+            await runner.assertEqual((await runMigrations(db)).applied, [], 'Applied migrations should not run again');
+        } finally {
+            await closeTestDb(db);
+        }
+    });
+
+    await runner.test('Refuse Database Newer Than Code', async () => {
+        const db = openTestDb();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tickets-migrate-'));
+        try {
+            await runMigrations(db);
+            await dbCall(db, 'run', "INSERT INTO schema_migrations (version, name) VALUES (?, 'from-the-future')", [migrations.LATEST_VERSION + 1]);
+            let error = null;
+            await runMigrations(db).catch(err => { error = err; });
+            await runner.assertTrue(error && /newer than this code supports/.test(error.message), 'Newer databases should be refused');
+
+            // The migrate command reports the same and exits with an error
+            fs.copyFileSync(TEST_DB, path.join(dir, 'tickets.db'));
+            const script = path.join(__dirname, '..', 'migrations.js');
+            const status = execFileSync('node', [script, 'status'], { cwd: dir, encoding: 'utf8' });
+            await runner.assertTrue(/from-the-future at .* \(unknown to this code\)/.test(status), 'Status should list unknown migrations');
+            let exitCode = 0;
+            try {
+                execFileSync('node', [script], { cwd: dir, stdio: 'pipe' });
+            } catch (err) {
+                exitCode = err.status;
+            }
+            await runner.assertEqual(exitCode, 1, 'The migrate command should fail on a newer database');
+        } finally {
+            await closeTestDb(db);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    // Bulk Operation Tests
+    console.log(`\n${colors.yellow}>>> Bulk Operation Tests${colors.reset}`);
+
+    const bulkIds = [];
+
+    await runner.test('Preview And Apply Bulk Update', async () => {
+        for (let i = 1; i <= 3; i++) {
+            const ticket = await api.post('/tickets', {
+                title: `Test Bulk Campaign Task ${i}`,
+                description: 'Part of a finished campaign',
+                pipeline: 'marketing',
+                priority: 'low'
+            });
+            bulkIds.push(ticket.id);
+        }
+
+        const preview = await api.post('/tickets/bulk', { ids: bulkIds, set: { priority: 'high' }, dry_run: true });
+        await runner.assertEqual(preview.summary.updated, 3, 'Preview should report every ticket');
+        await runner.assertEqual(preview.results[0].changes[0].new_value, 'high', 'Preview should show the change');
+        const untouched = await api.get(`/tickets/${bulkIds[0]}`);
+        await runner.assertEqual(untouched.priority, 'low', 'A dry run should not write');
+
+        const applied = await api.post('/tickets/bulk', { ids: bulkIds, set: { priority: 'high', status: 'in-progress' } });
+        await runner.assertEqual(applied.summary, { updated: 3, unchanged: 0, deleted: 0, failed: 0 }, 'Every ticket should be updated');
+        for (const id of bulkIds) {
+            const ticket = await api.get(`/tickets/${id}`);
+            await runner.assertEqual([ticket.priority, ticket.status], ['high', 'in-progress'], `${id} should be updated`);
+            await runner.assertTrue(
+                ticket.timeline.some(entry => entry.action.startsWith('Priority changed')),
+                `${id} should have a timeline entry`
+            );
+        }
+    });
+
+    await runner.test('Bulk Update Reports Per-Ticket Failures', async () => {
+        await api.put(`/tickets/${bulkIds[0]}`, { field: 'status', value: 'pending' });
+
+        const result = await api.post('/tickets/bulk', {
+            ids: [...bulkIds, 'MKT-0000-0000'],
+            set: { status: 'completed', resolution: 'Campaign finished' }
+        });
+        const byId = Object.fromEntries(result.results.map(r => [r.id, r]));
+        await runner.assertEqual(byId[bulkIds[0]].result, 'updated', 'Allowed transition should be applied');
+        await runner.assertEqual(byId[bulkIds[1]].result, 'failed', 'Disallowed transition should fail');
+        await runner.assertTrue(byId[bulkIds[1]].allowed.includes('pending'), 'Failure should list allowed statuses');
+        await runner.assertEqual(byId['MKT-0000-0000'].error, 'Ticket not found', 'Unknown IDs should be reported');
+
+        const unchanged = await api.post('/tickets/bulk', { ids: [bulkIds[0]], set: { priority: 'high' } });
+        await runner.assertEqual(unchanged.results[0].result, 'unchanged', 'No-op updates should be reported');
+
+        await api.expectError(() => api.post('/tickets/bulk', { ids: bulkIds, set: { title: 'x' } }), 400);
+        await api.expectError(() => api.post('/tickets/bulk', { ids: bulkIds }), 400);
+    });
+
+    await runner.test('Writes During A Bulk Update Are Kept', async () => {
+        const [bulk, ...comments] = await Promise.all([
+            api.post('/tickets/bulk', { ids: bulkIds, set: { priority: 'medium' } }),
+            ...[1, 2, 3].map(i => api.post(`/tickets/${bulkIds[2]}/comments`, { body: `Concurrent note ${i}` }))
+        ]);
+        await runner.assertEqual(bulk.summary.updated + bulk.summary.unchanged, 3, 'The bulk update should apply');
+
+        const threads = await api.get(`/tickets/${bulkIds[2]}/comments`);
+        for (const comment of comments) {
+            await runner.assertTrue(threads.some(thread => thread.id === comment.id), `Comment ${comment.id} should be stored`);
+        }
+    });
+
+    await runner.test('Reject Empty Or Malformed Bulk Filters', async () => {
+        for (const filter of [{}, { pipeline: 'all', status: 'all' }, { search: ' ' }, 'x', ['marketing'], { owner: 'me' }]) {
+            await api.expectError(() => api.post('/tickets/bulk', { filter, set: { priority: 'low' }, dry_run: true }), 400);
+            await api.expectError(() => api.post('/tickets/bulk', { filter, delete: true }), 400);
+        }
+
+        const ticket = await api.get(`/tickets/${bulkIds[0]}`);
+        await runner.assertNotNull(ticket.id, 'Rejected bulk deletes should leave tickets in place');
+    });
+
+    await runner.test('Bulk Delete By Filter', async () => {
+        await roleUsers.viewer.expectError(() => roleUsers.viewer.post('/tickets/bulk', { ids: bulkIds, delete: true }), 403);
+        await roleUsers.agent.expectError(() => roleUsers.agent.post('/tickets/bulk', {
+            filter: { pipeline: 'marketing' }, set: { priority: 'low' }
+        }), 403);
+
+        const filter = { pipeline: 'marketing', search: 'Test Bulk Campaign' };
+        const preview = await api.post('/tickets/bulk', { filter, delete: true, dry_run: true });
+        await runner.assertEqual(preview.results.map(r => r.id).sort(), [...bulkIds].sort(), 'Filter should match the test tickets');
+
+        const deleted = await api.post('/tickets/bulk', { filter, delete: true });
+        await runner.assertEqual(deleted.summary.deleted, 3, 'Every matching ticket should be deleted');
+        await api.expectError(() => api.get(`/tickets/${bulkIds[0]}`), 404);
+    });
+
+    // Import/Export Tests
+    console.log(`\n${colors.yellow}>>> Import/Export Tests${colors.reset}`);
+
+    const importForm = (name, content, fields = {}) => {
+        const form = new FormData();
+        form.append('file', new Blob([content]), name);
+        Object.entries(fields).forEach(([field, value]) => form.append(field, value));
+        return form;
+    };
+    const spreadsheet = [
+        'Ref,Subject,Details,Client,Team,Stage,Urgency,Notes',
+        'LEGACY-1,Test Import Coolant leak,"Leak at pump, see ""photo 2""",Import Test Works,Customer Support,In Progress,High,call back',
+        'LEGACY-2,Test Import Spare parts,Quote for spare parts,,sales,new,low,'
+    ];
+    const spreadsheetMapping = JSON.stringify({
+        Ref: 'external_ref', Subject: 'title', Details: 'description', Client: 'customer',
+        Team: 'pipeline', Stage: 'status', Urgency: 'priority'
+    });
+    const importedIds = [];
+
+    await runner.test('Export Tickets As CSV And NDJSON', async () => {
+        const ticket = await api.post('/tickets', {
+            title: '=Test Export formula',
+            description: 'Line one, with "quotes"\nLine two',
+            pipeline: 'marketing',
+            priority: 'low'
+        });
+
+        const csv = await api.getText('/export?format=csv&include_timeline=true&search=Test%20Export%20formula');
+        await runner.assertTrue(csv.headers['content-type'].startsWith('text/csv'), 'CSV should be sent as text/csv');
+        await runner.assertTrue(csv.headers['content-disposition'].includes('attachment'), 'CSV should be a download');
+        const lines = csv.data.split('\r\n');
+        await runner.assertTrue(lines[0].startsWith('record_type,id,external_ref,title'), 'Header should list the columns');
+        await runner.assertTrue(
+            lines[1].startsWith(`ticket,${ticket.id},,'=Test Export formula,"Line one, with ""quotes""\nLine two"`),
+            'Values should be quoted and formulas defused'
+        );
+        await runner.assertTrue(lines[2].startsWith(`timeline,${ticket.id},`) && lines[2].includes('Ticket created'), 'Timeline rows should follow');
+
+        const ndjson = await api.getText('/export?format=ndjson&include_timeline=true&search=Test%20Export%20formula');
+        const records = ndjson.data.trim().split('\n').map(line => JSON.parse(line));
+        await runner.assertEqual(records.length, 1, 'Filters should apply to exports');
+        await runner.assertEqual(records[0].description, ticket.description, 'NDJSON should keep values as they are');
+        await runner.assertEqual(records[0].timeline[0].action, 'Ticket created', 'NDJSON records should carry their timeline');
+
+        await roleUsers.agent.expectError(() => roleUsers.agent.getText('/export?pipeline=marketing'), 403);
+        await api.expectError(() => api.getText('/export?format=xml'), 400);
+
+        await api.delete(`/tickets/${ticket.id}`);
+    });
+
+    await runner.test('Import Spreadsheet With Column Mapping', async () => {
+        const preview = await api.post('/import', importForm('open-items.csv', spreadsheet.join('\n'), {
+            mapping: spreadsheetMapping, dry_run: 'true'
+        }));
+        await runner.assertEqual(preview.summary, { created: 2, updated: 0, unchanged: 0, invalid: 0, failed: 0 }, 'Preview should report both rows');
+        await runner.assertEqual(preview.ignored_columns, ['Notes'], 'Unmapped columns should be reported');
+        const before = await api.get('/tickets?search=Test%20Import');
+        await runner.assertEqual(before.length, 0, 'A dry run should not write');
+
+        const invalid = await api.expectError(() => api.post('/import', importForm('open-items.csv',
+            [...spreadsheet, 'LEGACY-3,Test Import Bad,Bad row,,support,shipped,urgent,'].join('\n'),
+            { mapping: spreadsheetMapping }
+        )), 422);
+        await runner.assertEqual(invalid.results[2].errors, [
+            'Unknown status "shipped" for pipeline "support"',
+            'Priority must be one of: low, medium, high'
+        ], 'Invalid rows should be explained');
+        const afterInvalid = await api.get('/tickets?search=Test%20Import');
+        await runner.assertEqual(afterInvalid.length, 0, 'Nothing should be imported while a row is invalid');
+
+        const imported = await api.post('/import', importForm('open-items.csv', spreadsheet.join('\n'), { mapping: spreadsheetMapping }));
+        await runner.assertEqual(imported.summary.created, 2, 'Both rows should be created');
+        importedIds.push(...imported.results.map(result => result.id));
+        const leak = await api.get(`/tickets/${importedIds[0]}`);
+        await runner.assertEqual(
+            [leak.external_ref, leak.pipeline, leak.status, leak.priority, leak.customer],
+            ['LEGACY-1', 'support', 'in-progress', 'high', 'Import Test Works'],
+            'Names and labels should be mapped to keys'
+        );
+
+        const again = await api.post('/import', importForm('open-items.csv', spreadsheet.join('\n'), { mapping: spreadsheetMapping }));
+        await runner.assertEqual(again.summary.unchanged, 2, 'Importing the same file again should change nothing');
+
+        const changed = spreadsheet.map(line => line.replace('Quote for spare parts,,sales,new,low', 'Quote for spare parts,,sales,new,medium'));
+        const updated = await api.post('/import', importForm('open-items.csv', changed.join('\n'), { mapping: spreadsheetMapping }));
+        await runner.assertEqual([updated.results[0].result, updated.results[1].result], ['unchanged', 'updated'], 'Only the changed row should be updated');
+        await runner.assertEqual(updated.results[1].changes, ['priority'], 'Changed fields should be listed');
+    });
+
+    await runner.test('Round Trip Export Into Import', async () => {
+        const legacy = JSON.stringify({
+            external_ref: 'LEGACY-9',
+            title: 'Test Import NDJSON ticket',
+            description: 'Moved from the old system',
+            pipeline: 'orders',
+            priority: 'medium',
+            timeline: [{ action: 'Reported by phone', user: 'Old System', created_at: '2025-03-01 09:00:00' }]
+        });
+        await roleUsers.agent.expectError(() => roleUsers.agent.post('/import', importForm('legacy.ndjson', legacy)), 403);
+
+        const imported = await api.post('/import', importForm('legacy.ndjson', legacy));
+        importedIds.push(imported.results[0].id);
+        const ticket = await api.get(`/tickets/${imported.results[0].id}`);
+        await runner.assertEqual(
+            [ticket.timeline[0].action, ticket.timeline[0].user, ticket.timeline[0].created_at],
+            ['Reported by phone', 'Old System', '2025-03-01 09:00:00'],
+            'Imported timeline entries should keep their dates'
+        );
+        await runner.assertTrue(
+            !ticket.timeline.some(entry => entry.action === 'Ticket created'),
+            'An imported timeline should replace the "Ticket created" entry'
+        );
+
+        const exported = await api.getText('/export?include_timeline=true&search=Test%20Import');
+        const roundTrip = await api.post('/import', importForm('export.csv', exported.data));
+        await runner.assertEqual(roundTrip.summary.unchanged, 3, 'A re-imported export should match every ticket');
+        await runner.assertEqual(roundTrip.ignored_columns, ['created_by', 'created_at', 'updated_at'], 'Read-only columns should be ignored');
+
+        for (const id of importedIds) {
+            await api.delete(`/tickets/${id}`);
+        }
+    });
+
+    // Real-Time Event Tests
+    console.log(`\n${colors.yellow}>>> Real-Time Event Tests${colors.reset}`);
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 300));
+    let streamedEvents = [];
+
+    await runner.test('Stream Ticket Changes to Subscribers', async () => {
+        const supportStream = await api.openEvents('?pipelines=support');
+        const agentStream = await roleUsers.agent.openEvents();
+
+        const ticket = await api.post('/tickets', {
+            title: 'Test Live Ticket',
+            description: 'Watched over the event stream',
+            pipeline: 'support',
+            priority: 'low'
+        });
+        await api.put(`/tickets/${ticket.id}`, { field: 'priority', value: 'high' });
+        const salesTicket = await api.post('/tickets', {
+            title: 'Test Live Sales Ticket',
+            description: 'Outside the subscribed pipeline',
+            pipeline: 'sales',
+            priority: 'low'
+        });
+        await api.delete(`/tickets/${ticket.id}`);
+        await api.delete(`/tickets/${salesTicket.id}`);
+        await settle();
+
+        supportStream.close();
+        agentStream.close();
+        streamedEvents = supportStream.events;
+
+        const own = supportStream.events.filter(event => (event.data.ticket ? event.data.ticket.id : event.data.ticket_id || event.data.id) === ticket.id);
+        await runner.assertEqual(
+            own.map(event => event.type),
+            ['ticket.created', 'timeline.added', 'ticket.updated', 'timeline.added', 'ticket.deleted'],
+            'Every change should be streamed in order'
+        );
+        await runner.assertEqual(own[2].data.changes, ['priority'], 'Update events should name the changed fields');
+        await runner.assertTrue(
+            supportStream.events.every(event => JSON.stringify(event.data).indexOf(salesTicket.id) === -1),
+            'Pipeline filter should hide other pipelines'
+        );
+        await runner.assertTrue(agentStream.events.some(event => event.type === 'ticket.deleted'), 'Agent should see support changes');
+        await runner.assertTrue(
+            agentStream.events.every(event => JSON.stringify(event.data).indexOf(salesTicket.id) === -1),
+            'Agent should not see pipelines it cannot access'
+        );
+    });
+
+    await runner.test('Reject Unauthorized Event Streams', async () => {
+        await new APITester().expectError(() => axios.get(`${API_URL}/events`), 401);
+        await roleUsers.agent.expectError(() => roleUsers.agent.openEvents('?pipelines=sales'), 403);
+    });
+
+    await runner.test('Replay Missed Events After Reconnect', async () => {
+        const lastSeen = streamedEvents[1].id;
+        const replay = await api.openEvents('?pipelines=support', { 'Last-Event-ID': String(lastSeen) });
+        await settle();
+        replay.close();
+        await runner.assertEqual(
+            replay.events.map(event => event.id),
+            streamedEvents.slice(2).map(event => event.id),
+            'Events after Last-Event-ID should be replayed'
+        );
+
+        const stale = await api.openEvents('', { 'Last-Event-ID': '999999999' });
+        await settle();
+        stale.close();
+        await runner.assertEqual(stale.events.map(event => event.type), ['reset'], 'Unknown IDs should ask for a full reload');
+    });
+
+    await runner.test('Stream Comment Edits', async () => {
+        const ticket = await api.post('/tickets', {
+            title: 'Test Live Comment Ticket',
+            description: 'Its note is published to the customer',
+            pipeline: 'support',
+            priority: 'low'
+        });
+        const note = await api.post(`/tickets/${ticket.id}/comments`, { body: 'Draft answer' });
+        const unanswered = await api.get(`/tickets/${ticket.id}`);
+        await runner.assertEqual(unanswered.first_responded_at, null, 'Internal notes are not a first response');
+        const stream = await api.openEvents('?pipelines=support');
+
+        await api.put(`/comments/${note.id}`, { is_internal: false });
+        await settle();
+        stream.close();
+
+        const updated = stream.events.find(event => event.type === 'comment.updated');
+        await runner.assertNotNull(updated, 'Comment edits should be streamed');
+        await runner.assertEqual(updated.data.comment.is_internal, false, 'Event should carry the edited comment');
+        const responded = await api.get(`/tickets/${ticket.id}`);
+        await runner.assertNotNull(responded.first_responded_at, 'Publishing a note should count as the first response');
+
+        await api.delete(`/tickets/${ticket.id}`);
+    });
+
+    // Webhook Tests
+    console.log(`\n${colors.yellow}>>> Webhook Tests${colors.reset}`);
+
+    // Local receiver recording every request; responds with the queued
+    // status codes, then 200
+    const received = [];
+    const receiverStatuses = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(receiverStatuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(WEBHOOK_RECEIVER_PORT, resolve));
+    const receiverUrl = `http://localhost:${WEBHOOK_RECEIVER_PORT}/hook`;
+    let webhook;
+
+    await runner.test('Register Webhooks', async () => {
+        webhook = await api.post('/webhooks', {
+            url: receiverUrl,
+            events: ['ticket.updated', 'comment.added'],
+            fields: ['status'],
+            pipelines: ['orders']
+        });
+        await runner.assertTrue(webhook.secret && webhook.secret.length >= 32, 'A signing secret should be generated');
+
+        const listed = (await api.get('/webhooks')).find(w => w.id === webhook.id);
+        await runner.assertEqual(listed.events, ['ticket.updated', 'comment.added'], 'Events should be stored');
+        await runner.assertTrue(listed.secret === undefined, 'The secret should not be listed');
+
+        await api.expectError(() => api.post('/webhooks', { url: 'ftp://example.com', events: ['ticket.created'] }), 400);
+        await api.expectError(() => api.post('/webhooks', { url: receiverUrl, events: ['ticket.exploded'] }), 400);
+        await api.expectError(() => api.post('/webhooks', { url: receiverUrl, events: ['ticket.updated'], fields: ['colour'] }), 400);
+        await roleUsers.manager.expectError(() => roleUsers.manager.get('/webhooks'), 403);
+    });
+
+    await runner.test('Deliver Signed Events Matching Filters', async () => {
+        const ticket = await api.post('/tickets', {
+            title: 'Test Webhook Order',
+            description: 'Order that notifies the ERP bridge',
+            pipeline: 'orders',
+            priority: 'low'
+        });
+        await api.put(`/tickets/${ticket.id}`, { field: 'priority', value: 'high' });
+        const details = await api.get(`/tickets/${ticket.id}`);
+        await api.put(`/tickets/${ticket.id}`, { field: 'status', value: details.next_statuses[0].key });
+        await api.post(`/tickets/${ticket.id}/comments`, { body: 'Confirmed with the shop floor' });
+        await settle();
+
+        await runner.assertEqual(
+            received.map(request => request.headers['x-webhook-event']),
+            ['ticket.updated', 'comment.added'],
+            'Only the status change and the comment should be delivered'
+        );
+
+        const statusChange = received[0];
+        const expected = crypto.createHmac('sha256', webhook.secret)
+            .update(`${statusChange.headers['x-webhook-timestamp']}.${statusChange.body}`)
+            .digest('hex');
+        await runner.assertEqual(statusChange.headers['x-webhook-signature'], `sha256=${expected}`, 'Signature should verify');
+
+        const payload = JSON.parse(statusChange.body);
+        await runner.assertEqual(payload.data.ticket.id, ticket.id, 'Payload should carry the ticket');
+        await runner.assertEqual(payload.data.changes, ['status'], 'Payload should list the changed fields');
+
+        await api.delete(`/tickets/${ticket.id}`);
+    });
+
+    await runner.test('Retry And Replay Failed Deliveries', async () => {
+        receiverStatuses.push(500);
+        const failed = await api.post(`/webhooks/${webhook.id}/test`, {});
+        await runner.assertEqual(failed.status, 'pending', 'A failed delivery should stay pending');
+        await runner.assertEqual(failed.attempts, 1, 'The attempt should be counted');
+        await runner.assertEqual(failed.response_status, 500, 'The response status should be logged');
+        const retryIn = (new Date(failed.next_attempt_at.replace(' ', 'T') + 'Z') - Date.now()) / 1000;
+        await runner.assertTrue(retryIn > 20 && retryIn <= 30, 'The first retry should be about 30 seconds later');
+
+        const replayed = await api.post(`/webhooks/${webhook.id}/deliveries/${failed.id}/replay`, {});
+        await runner.assertEqual(replayed.status, 'delivered', 'The replay should be delivered');
+        await runner.assertEqual(replayed.replay_of, failed.id, 'The replay should point to the original');
+        await runner.assertEqual(
+            received[received.length - 1].body,
+            received[received.length - 2].body,
+            'The replay should send the original payload'
+        );
+
+        const failedLog = await api.get(`/webhooks/${webhook.id}/deliveries?status=pending`);
+        await runner.assertEqual(failedLog.map(d => d.id), [failed.id], 'The log should be filterable by status');
+    });
+
+    await runner.test('Delete Webhook', async () => {
+        await api.delete(`/webhooks/${webhook.id}`);
+        await api.expectError(() => api.get(`/webhooks/${webhook.id}/deliveries`), 404);
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    // E-mail Tests
+    console.log(`\n${colors.yellow}>>> E-mail Tests${colors.reset}`);
+
+    const postEmail = (raw, tester = api) => axios.post(`${API_URL}/inbound/email`, raw, {
+        headers: { ...tester.config().headers, 'Content-Type': 'message/rfc822' }
+    }).then(response => response.data);
+    const outboxMessages = ticketId => (fs.existsSync(EMAIL_OUTBOX) ? fs.readdirSync(EMAIL_OUTBOX) : [])
+        .map(name => fs.readFileSync(`${EMAIL_OUTBOX}/${name}`, 'utf8'))
+        .filter(message => message.includes(`[${ticketId}]`));
+    const emailSuffix = Date.now();
+    let emailTicketId;
+    let emailCustomerId;
+
+    await runner.test('Create Ticket From E-mail', async () => {
+        const customer = await api.post('/customers', {
+            name: `Test Mail Customer ${emailSuffix}`,
+            email: `buyer${emailSuffix}@mail-customer.test`
+        });
+        emailCustomerId = customer.id;
+
+        const png = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8ffff3f0005fe02fea7d6a4f30000000049454e44ae426082', 'hex');
+        const raw = [
+            `From: Pat Buyer <buyer${emailSuffix}@mail-customer.test>`,
+            'To: support@company.com',
+            'Subject: Test E-mail Spindle noise on lathe 4',
+            `Message-ID: <first-${emailSuffix}@mail-customer.test>`,
+            'MIME-Version: 1.0',
+            'Content-Type: multipart/mixed; boundary="XYZ"',
+            '',
+            '--XYZ',
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            'The spindle makes a grinding noise above 2000 rpm.',
+            '--XYZ',
+            'Content-Type: image/png; name="noise.png"',
+            'Content-Disposition: attachment; filename="noise.png"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            png.toString('base64'),
+            '--XYZ',
+            'Content-Type: application/x-msdownload; name="tool.exe"',
+            'Content-Disposition: attachment; filename="tool.exe"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            Buffer.from('MZ').toString('base64'),
+            '--XYZ--',
+            ''
+        ].join('\r\n');
+
+        const result = await postEmail(raw);
+        emailTicketId = result.ticket_id;
+        await runner.assertEqual(result.action, 'created', 'A new message should open a ticket');
+        await runner.assertEqual(result.attachments.map(a => a.filename), ['noise.png'], 'Accepted attachments should be stored');
+        await runner.assertEqual(result.skipped_attachments, ['tool.exe'], 'Other attachments should be skipped');
+
+        const ticket = await api.get(`/tickets/${emailTicketId}`);
+        await runner.assertEqual(ticket.title, 'Test E-mail Spindle noise on lathe 4', 'Subject should become the title');
+        await runner.assertEqual(ticket.customer_id, emailCustomerId, 'Sender should be matched to the customer');
+        await runner.assertEqual(ticket.pipeline, 'support', 'E-mail tickets go to the support pipeline');
+
+        const again = await postEmail(raw);
+        await runner.assertEqual(again.action, 'duplicate', 'A redelivered message should be ignored');
+    });
+
+    await runner.test('Thread E-mail Replies Onto Tickets', async () => {
+        const bySubject = await postEmail([
+            `From: buyer${emailSuffix}@mail-customer.test`,
+            `Subject: Re: [${emailTicketId}] Test E-mail Spindle noise on lathe 4`,
+            `Message-ID: <second-${emailSuffix}@mail-customer.test>`,
+            '',
+            'It also happens at 1500 rpm.',
+            '',
+            'On Monday, Support wrote:',
+            '> Thanks for reporting this.',
+            ''
+        ].join('\r\n'));
+        await runner.assertEqual(bySubject.action, 'commented', 'A ticket ID in the subject should thread the reply');
+        await runner.assertEqual(bySubject.ticket_id, emailTicketId, 'Reply should land on the referenced ticket');
+
+        const byHeader = await postEmail([
+            'From: John Doe <john.doe@company.com>',
+            'Subject: Re: noise',
+            `Message-ID: <third-${emailSuffix}@company.com>`,
+            `In-Reply-To: <first-${emailSuffix}@mail-customer.test>`,
+            '',
+            'Technician booked for tomorrow. @sjohnson please check.',
+            ''
+        ].join('\r\n'));
+        await runner.assertEqual(byHeader.ticket_id, emailTicketId, 'In-Reply-To should thread the reply');
+
+        const threads = await api.get(`/tickets/${emailTicketId}/comments`);
+        const customerReply = threads.find(c => c.id === bySubject.comment_id);
+        const staffReply = threads.find(c => c.id === byHeader.comment_id);
+        await runner.assertEqual(customerReply.body, 'It also happens at 1500 rpm.', 'Quoted text should be removed');
+        await runner.assertEqual(customerReply.is_internal, false, 'Customer replies are customer-visible');
+        await runner.assertEqual(
+            [staffReply.author_name, staffReply.author_user_id, staffReply.is_internal],
+            ['John Doe', null, false],
+            'A staff address alone should not make a reply an internal note'
+        );
+        await runner.assertEqual(staffReply.mentions, [], 'Unverified replies should not mention users');
+    });
+
+    await runner.test('Reject Unauthorized Inbound E-mail', async () => {
+        const raw = 'From: someone@example.test\r\nSubject: Test spam\r\n\r\nHello\r\n';
+        await api.expectError(() => axios.post(`${API_URL}/inbound/email`, raw, {
+            headers: { 'Content-Type': 'message/rfc822', 'X-Inbound-Token': 'wrong' }
+        }), 401);
+        await api.expectError(() => postEmail(raw, roleUsers.manager), 403);
+    });
+
+    await runner.test('E-mail Notifications Honour Opt-Outs', async () => {
+        const jdoe = new APITester();
+        await jdoe.login('jdoe', 'password123');
+
+        await api.put(`/tickets/${emailTicketId}`, { field: 'assigned_to', value: 'John Doe' });
+        await settle();
+        const assigned = outboxMessages(emailTicketId);
+        await runner.assertEqual(assigned.length, 1, 'The assignee should be notified');
+        await runner.assertTrue(assigned[0].includes('To: john.doe@company.com'), 'Notification goes to the assignee');
+        await runner.assertTrue(assigned[0].includes('Assigned to you'), 'Notification should describe the assignment');
+
+        await runner.assertEqual(await jdoe.put('/auth/notifications', { status_change: false }), { assignment: true, status_change: false }, 'Opt-out should be saved');
+        const details = await api.get(`/tickets/${emailTicketId}`);
+        await api.put(`/tickets/${emailTicketId}`, { field: 'status', value: details.next_statuses[0].key });
+        await settle();
+        await runner.assertEqual(outboxMessages(emailTicketId).length, 1, 'Opted-out notifications should not be sent');
+
+        await jdoe.put('/auth/notifications', { status_change: true });
+        await api.expectError(() => jdoe.put('/auth/notifications', { weekly_digest: false }), 400);
+    });
+
+    await runner.test('Replies To Notifications Are Staff Notes', async () => {
+        const notificationId = outboxMessages(emailTicketId)[0].match(/^Message-ID: (<[^>]+>)/mi)[1];
+        const reply = await postEmail([
+            'From: John Doe <john.doe@company.com>',
+            `Subject: Re: [${emailTicketId}] Assigned to you`,
+            `Message-ID: <fourth-${emailSuffix}@company.com>`,
+            `In-Reply-To: ${notificationId}`,
+            '',
+            'Parts ordered.',
+            ''
+        ].join('\r\n'));
+
+        const forged = await postEmail([
+            'From: John Doe <john.doe@company.com>',
+            `Subject: Re: [${emailTicketId}] Assigned to you`,
+            `Message-ID: <fifth-${emailSuffix}@elsewhere.test>`,
+            `In-Reply-To: <${emailTicketId}.guess@company.com>`,
+            '',
+            'Close this ticket.',
+            ''
+        ].join('\r\n'));
+
+        const threads = await api.get(`/tickets/${emailTicketId}/comments`);
+        const staffReply = threads.find(c => c.id === reply.comment_id);
+        const forgedReply = threads.find(c => c.id === forged.comment_id);
+        await runner.assertEqual(staffReply.is_internal, true, 'A reply to a notification should be an internal note');
+        await runner.assertNotNull(staffReply.author_user_id, 'The note should be attributed to the recipient');
+        await runner.assertEqual(forgedReply.is_internal, false, 'A reply to an unknown message should be customer-visible');
+
+        await api.delete(`/tickets/${emailTicketId}`);
+        await api.delete(`/customers/${emailCustomerId}`);
+    });
+
+    await runner.test('Ambiguous Assignees Are Not Notified', async () => {
+        const twins = [];
+        for (const n of [1, 2]) {
+            twins.push(await api.post('/users', {
+                username: `testtwin${n}${emailSuffix}`,
+                password: 'twin-pass-123',
+                full_name: `Test Twin ${emailSuffix}`,
+                email: `twin${n}${emailSuffix}@company.com`,
+                role: 'agent'
+            }));
+        }
+
+        const ticket = await api.post('/tickets', {
+            title: 'Test Twin Assignment',
+            description: 'Assigned to a name two users share',
+            pipeline: 'support',
+            priority: 'low',
+            assigned_to: `Test Twin ${emailSuffix}`
+        });
+        await settle();
+        await runner.assertEqual(outboxMessages(ticket.id).length, 0, 'A name shared by two users should not be notified');
+
+        await api.delete(`/tickets/${ticket.id}`);
+        for (const twin of twins) {
+            await api.delete(`/users/${twin.id}`);
+        }
+    });
+
     // Edge Cases and Error Handling
     console.log(`\n${colors.yellow}>>> Edge Case Tests${colors.reset}`);
     
@@ -363,10 +2564,11 @@ async function runTests() {
             }));
         }
         
-        await Promise.all(promises);
+        const tickets = await Promise.all(promises);
         const duration = Date.now() - startTime;
         
         await runner.assertTrue(duration < 5000, `Bulk creation should complete in <5s (took ${duration}ms)`);
+        await runner.assertEqual(new Set(tickets.map(t => t.id)).size, 10, 'Concurrent creates should get unique IDs');
         
         runner.logDecision('PERFORMANCE_TEST', 'Bulk Creation Test', 
             `Created 10 tickets in ${duration}ms`);